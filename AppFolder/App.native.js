@@ -8,6 +8,7 @@ import {
   Keyboard,
   TouchableOpacity,
   ActivityIndicator,
+  AppState,
 } from 'react-native';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
@@ -20,12 +21,16 @@ import TripProgressView from '../UXUI/TripProgressView';
 import poiData from '../Data/osu_all_pois.json';
 import BusRouteLegend from '../UXUI/BusRouteLegend';
 import BusRouteMapLayer from '../UXUI/BusRouteMapLayer';
+import StopArrivalsBoard from '../UXUI/StopArrivalsBoard';
 import ErrorBoundary from '../UXUI/ErrorBoundary';
 import Icon, { IconSizes } from '../UXUI/Icons';
 import { Colors, Spacing } from '../style/theme';
 
-import { fetchAllRoutes } from '../BackEnd/osuBusAPI';
-import aggregateRouteInfo from '../BackEnd/aggregateRouteInfo';
+import { createDefaultProvider } from '../BackEnd/transitProviders';
+import { mergeVehicles, getVehicleDataAge } from '../BackEnd/routeData';
+import { createHistoryRecorder } from '../BackEnd/vehicleHistory';
+import aggregateRouteInfo, { selectItinerary } from '../BackEnd/aggregateRouteInfo';
+import { parseClockTime } from '../BackEnd/utils';
 
 // Haversine distance calculation for trip tracking
 function haversineDistance(lat1, lon1, lat2, lon2) {
@@ -48,6 +53,9 @@ let ALL_POIS = [];
 try {
   ALL_POIS = (poiData?.pois || []).map((p, index) => ({
     id: p.number || `poi-${index}`,
+    // Building number when the POI has one; others are matched to a building by
+    // name or position when looking up entrances (BackEnd/buildingEntrances.js)
+    number: p.number,
     name: p.name,
     latitude: p.latitude,
     longitude: p.longitude,
@@ -70,6 +78,19 @@ const OSU_REGION = {
 // Arrival threshold in meters
 const ARRIVAL_THRESHOLD = 30;
 
+// Where bus routes, vehicles and alerts come from (swap for a fixture or merged provider here)
+const transitProvider = createDefaultProvider();
+
+// Every vehicle poll is kept on the device for headway and delay analysis
+const vehicleHistory = createHistoryRecorder();
+
+// Live bus positions refresh often; stops and shapes rarely change
+const VEHICLE_POLL_MS = 15000;
+const ROUTE_REFRESH_MS = 30 * 60 * 1000;
+
+// How often the "updated N min ago" label is recalculated
+const DATA_AGE_TICK_MS = 30000;
+
 function App() {
   const mapRef = useRef(null);
 
@@ -80,6 +101,9 @@ function App() {
   // Bus routes state
   const [routes, setRoutes] = useState(null);
   const [loadingRoutes, setLoadingRoutes] = useState(true);
+  const [dataAge, setDataAge] = useState(null); // minutes since the latest vehicle update
+  const [dataError, setDataError] = useState(null); // typed error from httpClient, null when the last fetch worked
+  const [selectedStop, setSelectedStop] = useState(null); // stop whose departures board is open
 
   // App state
   const [destination, setDestination] = useState(null);
@@ -87,6 +111,7 @@ function App() {
   const [routeResult, setRouteResult] = useState(null);
   const [calculatingRoute, setCalculatingRoute] = useState(false);
   const [resetOriginTrigger, setResetOriginTrigger] = useState(false);
+  const [planningOptions, setPlanningOptions] = useState({ mode: 'now', timeText: '', accessible: false }); // mode: 'now' | 'departAt' | 'arriveBy'
 
   // Trip navigation state
   const [tripPhase, setTripPhase] = useState('planning'); // 'planning' | 'navigating'
@@ -116,24 +141,77 @@ function App() {
     })();
   }, []);
 
-  // Fetch OSU bus routes
+  // Load bus routes once (stops and shapes), then poll just the vehicles
+  const routesLoadedRef = useRef(false);
   useEffect(() => {
     const fetchRoutes = async () => {
       try {
-        const data = await fetchAllRoutes();
+        const data = await transitProvider.getRoutes();
         setRoutes(data);
+        setDataError(transitProvider.getLastError?.() || null);
+        routesLoadedRef.current = true;
       } catch (err) {
         console.error('Error fetching routes:', err);
+        setDataError(err);
       } finally {
         setLoadingRoutes(false);
       }
     };
 
+    const fetchVehicles = async () => {
+      // Keep trying the full load until it works
+      if (!routesLoadedRef.current) {
+        await fetchRoutes();
+        return;
+      }
+      try {
+        // While the server is failing, httpClient's circuit breaker turns most of these
+        // polls into an immediate CircuitOpenError instead of another request
+        const vehicles = await transitProvider.getVehicles();
+        setRoutes((prev) => mergeVehicles(prev, vehicles));
+        setDataError(null);
+        vehicleHistory.record(vehicles);
+      } catch (err) {
+        console.warn('Error fetching vehicles:', err.message);
+        setDataError(err);
+      }
+    };
+
+    // Show the last saved routes right away, until the first fetch comes back
+    (async () => {
+      const cached = await transitProvider.getCachedRoutes?.();
+      if (cached && !routesLoadedRef.current) {
+        setRoutes((prev) => prev || cached);
+        setLoadingRoutes(false);
+      }
+    })();
+
     fetchRoutes();
-    const interval = setInterval(fetchRoutes, 15000);
-    return () => clearInterval(interval);
+    const vehicleInterval = setInterval(fetchVehicles, VEHICLE_POLL_MS);
+    const routeInterval = setInterval(fetchRoutes, ROUTE_REFRESH_MS);
+    return () => {
+      clearInterval(vehicleInterval);
+      clearInterval(routeInterval);
+    };
+  }, []);
+
+  // Save recorded vehicle history before the app is suspended
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') vehicleHistory.flush();
+    });
+    return () => subscription.remove();
   }, []);
 
+  // Keep the data age label current, even when nothing new arrives (offline); the
+  // legend flags any route that's fallen behind the rest on its own row
+  useEffect(() => {
+    const updateAge = () => setDataAge(getVehicleDataAge(routes, new Date(), { newest: true }));
+    updateAge();
+    const interval = setInterval(updateAge, DATA_AGE_TICK_MS);
+    return () => clearInterval(interval);
+  }, [routes]);
+
   // Location tracking for active trip
   useEffect(() => {
     if (tripPhase !== 'navigating' || !activeTrip || !routeResult) {
@@ -253,10 +331,23 @@ function App() {
       return;
     }
 
+    // Step-free profile: wheelchair directions, slower pace, no stepped stops
+    let options = { provider: transitProvider, accessible: planningOptions.accessible };
+    if (planningOptions.mode !== 'now') {
+      const time = parseClockTime(planningOptions.timeText);
+      if (!time) {
+        alert('Please enter a time like 9:10 or 9:10 am.');
+        return;
+      }
+      options = planningOptions.mode === 'arriveBy'
+        ? { ...options, arriveBy: time }
+        : { ...options, departAt: time };
+    }
+
     setCalculatingRoute(true);
 
     try {
-      const result = await aggregateRouteInfo(fromLocation, destination);
+      const result = await aggregateRouteInfo(fromLocation, destination, options);
       setRouteResult(result);
       console.log('Route calculated successfully:', result);
     } catch (error) {
@@ -288,6 +379,11 @@ function App() {
     }
   }, [routeResult]);
 
+  // Swap to one of the other itineraries offered before the trip starts
+  const handleSelectItinerary = useCallback((index) => {
+    setRouteResult((prev) => selectItinerary(prev, index));
+  }, []);
+
   // End trip handler
   const handleEndTrip = useCallback(() => {
     if (locationSubscription.current) {
@@ -365,11 +461,12 @@ function App() {
             loadingRoutes={loadingRoutes}
             activeTrip={activeTrip}
             routeResult={tripPhase === 'navigating' ? routeResult : null}
+            onStopPress={tripPhase === 'planning' ? setSelectedStop : undefined}
           />
         </MapView>
 
         {/* Bus Route Legend - Top Left (hide during navigation) */}
-        {tripPhase === 'planning' && <BusRouteLegend routes={routes} />}
+        {tripPhase === 'planning' && <BusRouteLegend routes={routes} dataAge={dataAge} dataError={dataError} />}
 
         {/* Directions Button (only in planning mode) */}
         {destination && tripPhase === 'planning' && (
@@ -420,6 +517,9 @@ function App() {
             destination={destination}
             calculatingRoute={calculatingRoute}
             onStartTrip={handleStartTrip}
+            onSelectItinerary={handleSelectItinerary}
+            planningOptions={planningOptions}
+            onChangePlanningOptions={setPlanningOptions}
           />
         ) : (
           <TripProgressView
@@ -431,6 +531,9 @@ function App() {
           />
         )}
 
+        {/* Live departures for a tapped stop */}
+        <StopArrivalsBoard stop={selectedStop} routes={routes} onClose={() => setSelectedStop(null)} />
+
         <StatusBar style="auto" />
       </View>
   );
@@ -0,0 +1,133 @@
+import aggregateRouteInfo from '../aggregateRouteInfo.js';
+import { setWalkingProvider, clearWalkingCache } from '../walkingDirectionsAPI.js';
+import { createStraightLineWalkingProvider } from '../walkingProviders.js';
+
+// CLS runs north from A1 to A3; ER runs west from B1 (next to A3) to B3
+function makeRoutes({ laterErBus = true } = {}) {
+  const erVehicles = [{
+    id: 'er-1',
+    latitude: 40.0101,
+    longitude: -82.999,
+    predictions: [
+      { stopId: 'B1', timeToArrivalInSeconds: 700 },
+      { stopId: 'B2', timeToArrivalInSeconds: 900 },
+      { stopId: 'B3', timeToArrivalInSeconds: 1100 },
+    ],
+  }];
+  if (laterErBus) {
+    erVehicles.push({
+      id: 'er-2',
+      latitude: 40.0101,
+      longitude: -82.99,
+      predictions: [
+        { stopId: 'B1', timeToArrivalInSeconds: 1500 },
+        { stopId: 'B2', timeToArrivalInSeconds: 1700 },
+        { stopId: 'B3', timeToArrivalInSeconds: 1900 },
+      ],
+    });
+  }
+
+  return {
+    CLS: {
+      id: 'CLS',
+      name: 'Campus Loop South',
+      color: '#FFB81C',
+      patterns: [],
+      stops: [
+        { id: 'A1', name: 'A1', latitude: 40.000, longitude: -83.000 },
+        { id: 'A2', name: 'A2', latitude: 40.005, longitude: -83.000 },
+        { id: 'A3', name: 'A3', latitude: 40.010, longitude: -83.000 },
+      ],
+      vehicles: [{
+        id: 'cls-1',
+        latitude: 39.999,
+        longitude: -83.000,
+        predictions: [
+          { stopId: 'A1', timeToArrivalInSeconds: 120 },
+          { stopId: 'A2', timeToArrivalInSeconds: 300 },
+          { stopId: 'A3', timeToArrivalInSeconds: 480 },
+          // Back around the loop, so the predictions reach past every deadline below
+          { stopId: 'A1', timeToArrivalInSeconds: 2400 },
+        ],
+      }],
+    },
+    ER: {
+      id: 'ER',
+      name: 'East Residential',
+      color: '#008000',
+      patterns: [],
+      stops: [
+        { id: 'B1', name: 'B1', latitude: 40.0101, longitude: -83.000 },
+        { id: 'B2', name: 'B2', latitude: 40.010, longitude: -83.010 },
+        { id: 'B3', name: 'B3', latitude: 40.010, longitude: -83.020 },
+      ],
+      vehicles: erVehicles,
+    },
+  };
+}
+
+const origin = { latitude: 40.000, longitude: -83.0005 };
+const destination = { latitude: 40.0102, longitude: -83.0205 };
+
+// Straight-line walks, except the A3 -> B1 transfer, which the router says takes
+// 10 minutes longer than the planner's estimate (a closed crossing, say)
+function slowTransferProvider() {
+  const straightLine = createStraightLineWalkingProvider();
+  return {
+    ...straightLine,
+    async getDirections(start, end, options) {
+      const directions = await straightLine.getDirections(start, end, options);
+      const near = ([longitude, latitude], stop) =>
+        Math.abs(latitude - stop.latitude) < 0.00005 && Math.abs(longitude - stop.longitude) < 0.00005;
+      const isTransfer = near(start, { latitude: 40.010, longitude: -83.000 }) &&
+        near(end, { latitude: 40.0101, longitude: -83.000 });
+      return isTransfer ? { ...directions, duration: directions.duration + 600 } : directions;
+    },
+  };
+}
+
+const plan = (routes, arriveByMinutes) => aggregateRouteInfo(origin, destination, {
+  arriveBy: new Date(Date.now() + arriveByMinutes * 60000),
+  provider: { getRoutes: async () => routes, getAlerts: async () => [] },
+});
+
+const waits = (result) => result.segments.filter((segment) => segment.type === 'wait');
+
+describe('aggregateRouteInfo re-timing walks when arriving by a time', () => {
+  beforeEach(async () => {
+    setWalkingProvider(slowTransferProvider());
+    await clearWalkingCache();
+  });
+
+  afterAll(() => setWalkingProvider(null));
+
+  it('moves a missed transfer to the next bus and flags the trip when that gets in late', async () => {
+    const result = await plan(makeRoutes(), 25);
+
+    expect(result.recommendation).toBe('bus');
+    const [first, transfer] = waits(result);
+    expect(first.bus.id).toBe('cls-1');
+    // er-1 leaves B1 before the slow walk gets there; er-2 is the next one
+    expect(transfer.bus.id).toBe('er-2');
+    expect(transfer.missedConnection).toBeUndefined();
+    expect(result.arrivesLate).toBe(true);
+    expect(result.missedConnection).toBe(false);
+  });
+
+  it('keeps the later bus without a flag when it still makes the deadline', async () => {
+    const result = await plan(makeRoutes(), 35);
+
+    expect(waits(result)[1].bus.id).toBe('er-2');
+    expect(result.arrivesLate).toBe(false);
+    expect(result.totalTime).toBeCloseTo(
+      result.segments.reduce((sum, segment) => sum + segment.duration, 0)
+    );
+  });
+
+  it('marks the connection missed when no later bus comes', async () => {
+    const result = await plan(makeRoutes({ laterErBus: false }), 25);
+
+    expect(waits(result)[1].missedConnection).toBe(true);
+    expect(result.missedConnection).toBe(true);
+  });
+});
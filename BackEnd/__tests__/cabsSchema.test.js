@@ -0,0 +1,53 @@
+import { normalizeVehicles } from '../cabsSchema.js';
+
+const vehiclesResponse = (predictions) => ({
+  data: {
+    vehicles: [{ id: '1201', latitude: 39.9977, longitude: -83.0086, predictions }],
+  },
+});
+
+describe('normalizeVehicles predictions', () => {
+  it('keeps the countdown text and prediction time', () => {
+    const { vehicles, report } = normalizeVehicles(vehiclesResponse([
+      {
+        stopId: 'UNION',
+        timeToArrivalInSeconds: 300,
+        isDelayed: false,
+        predictionCountdown: '5 min',
+        predictionTime: '2026-10-19T15:05:00Z',
+      },
+    ]));
+
+    const [prediction] = vehicles[0].predictions;
+    expect(prediction.predictionCountdown).toBe('5 min');
+    expect(prediction.predictionTime).toEqual(new Date('2026-10-19T15:05:00Z'));
+    expect(report.predictions.coerced).toBe(0);
+  });
+
+  it('reads Unix timestamps as the prediction time', () => {
+    const { vehicles } = normalizeVehicles(vehiclesResponse([
+      { stopId: 'UNION', timeToArrivalInSeconds: 60, predictionTime: 1760886300 },
+    ]));
+    expect(vehicles[0].predictions[0].predictionTime).toEqual(new Date(1760886300 * 1000));
+  });
+
+  it('drops a countdown that is not text and a time that is not a date', () => {
+    const { vehicles, report } = normalizeVehicles(vehiclesResponse([
+      { stopId: 'UNION', timeToArrivalInSeconds: 60, predictionCountdown: 5, predictionTime: 'soon' },
+    ]));
+
+    const [prediction] = vehicles[0].predictions;
+    expect(prediction.predictionCountdown).toBeNull();
+    expect(prediction.predictionTime).toBeNull();
+    expect(report.predictions.problems).toMatchObject({ 'countdown-type': 1, 'bad-prediction-time': 1 });
+  });
+
+  it('leaves both null when the feed leaves them out', () => {
+    const { vehicles, report } = normalizeVehicles(vehiclesResponse([
+      { stopId: 'UNION', timeToArrivalInSeconds: 60 },
+    ]));
+
+    expect(vehicles[0].predictions[0]).toMatchObject({ predictionCountdown: null, predictionTime: null });
+    expect(report.predictions.coerced).toBe(0);
+  });
+});
@@ -0,0 +1,116 @@
+import { gtfsToRoutes, mergeScheduledRoutes } from '../gtfsStatic.js';
+import { buildTrips } from '../raptor.js';
+
+const csv = (rows) => rows.map((row) => row.join(',')).join('\n');
+const clock = (seconds) => [3600, 60, 1]
+  .map((unit) => String(Math.floor(seconds / unit) % (unit === 3600 ? 100 : 60)).padStart(2, '0'))
+  .join(':');
+
+// CLS in the agency's own feed: its stop IDs aren't the CABS ones, and its stops
+// sit a few meters from where CABS puts them
+function gtfsFiles() {
+  const trips = [];
+  const stopTimes = [];
+  for (let start = 5 * 3600; start < 24 * 3600; start += 15 * 60) {
+    const id = `t${start}`;
+    trips.push(['CLS', 'wk', id, 'Thompson Library']);
+    stopTimes.push([id, clock(start), clock(start), 'g-union', 1]);
+    stopTimes.push([id, clock(start + 180), clock(start + 180), 'g-lane', 2]);
+    stopTimes.push([id, clock(start + 360), clock(start + 360), 'g-library', 3]);
+  }
+
+  return {
+    'routes.txt': csv([['route_id', 'route_short_name', 'route_long_name'], ['CLS', 'CLS', 'Campus Loop South']]),
+    'stops.txt': csv([
+      ['stop_id', 'stop_name', 'stop_lat', 'stop_lon'],
+      ['g-union', 'Ohio Union', '40.00003', '-83.00002'],
+      ['g-lane', 'Lane Ave', '40.00502', '-83.00001'],
+      ['g-library', 'Thompson Library', '40.01002', '-83.00003'],
+    ]),
+    'trips.txt': csv([['route_id', 'service_id', 'trip_id', 'trip_headsign'], ...trips]),
+    'stop_times.txt': csv([['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'], ...stopTimes]),
+    'calendar.txt': csv([
+      ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+      ['wk', 1, 1, 1, 1, 1, 1, 1, '20260101', '20271231'],
+    ]),
+  };
+}
+
+// CLS as the CABS API gives it, with one bus whose predictions reach 8 minutes out
+function cabsRoutes() {
+  return {
+    CLS: {
+      id: 'CLS',
+      name: 'Campus Loop South',
+      color: '#FFB81C',
+      stops: [
+        { id: 'UNION', name: 'Ohio Union', latitude: 40.000, longitude: -83.000 },
+        { id: 'LANE', name: 'Lane Ave', latitude: 40.005, longitude: -83.000 },
+        { id: 'LIBRARY', name: 'Thompson Library', latitude: 40.010, longitude: -83.000 },
+      ],
+      patterns: [],
+      vehicles: [{
+        id: 'bus-1',
+        latitude: 39.999,
+        longitude: -83.000,
+        predictions: [
+          { stopId: 'UNION', timeToArrivalInSeconds: 120 },
+          { stopId: 'LANE', timeToArrivalInSeconds: 300 },
+          { stopId: 'LIBRARY', timeToArrivalInSeconds: 480 },
+        ],
+      }],
+    },
+  };
+}
+
+describe('mergeScheduledRoutes', () => {
+  const now = new Date(2026, 9, 19, 12, 0, 0);
+
+  it('moves the schedule onto the CABS stops', () => {
+    const merged = mergeScheduledRoutes(cabsRoutes(), gtfsToRoutes(gtfsFiles()));
+
+    expect(merged.CLS.stops.map((stop) => stop.id)).toEqual(['UNION', 'LANE', 'LIBRARY']);
+    expect(merged.CLS.vehicles).toHaveLength(1);
+    expect(merged.CLS.schedule.trips[0].stopTimes.map((stopTime) => stopTime.stopId))
+      .toEqual(['UNION', 'LANE', 'LIBRARY']);
+  });
+
+  it('gives the planner scheduled trips past the live horizon', () => {
+    const merged = mergeScheduledRoutes(cabsRoutes(), gtfsToRoutes(gtfsFiles()));
+    const trips = buildTrips(merged, { now, departureTime: 60 });
+
+    const live = trips.filter((trip) => !trip.vehicle.isScheduled);
+    const scheduled = trips.filter((trip) => trip.vehicle.isScheduled);
+    expect(live).toHaveLength(1);
+    expect(scheduled.length).toBeGreaterThan(0);
+
+    // The 13:00 bus leaves the Union an hour from now
+    const oneOClock = scheduled.find((trip) => trip.vehicle.id === `t${13 * 3600}`);
+    expect(oneOClock.stopTimes.map((stopTime) => stopTime.stopId)).toEqual(['UNION', 'LANE', 'LIBRARY']);
+    expect(oneOClock.stopTimes[0].time).toBe(3600);
+
+    // Nothing scheduled inside the 8 minutes the live bus covers
+    scheduled.forEach((trip) => trip.stopTimes.forEach((stopTime) => expect(stopTime.time).toBeGreaterThanOrEqual(480)));
+  });
+
+  it('warns and keeps live data when no scheduled stop matches', () => {
+    const far = cabsRoutes();
+    far.CLS.stops = far.CLS.stops.map((stop) => ({ ...stop, latitude: stop.latitude + 0.01 }));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const merged = mergeScheduledRoutes(far, gtfsToRoutes(gtfsFiles()));
+
+    expect(merged.CLS.schedule.trips).toHaveLength(0);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('CLS'));
+    warn.mockRestore();
+  });
+
+  it('takes the scheduled stops for a live route that has none', () => {
+    const bare = { CLS: { id: 'CLS', name: 'Campus Loop South', vehicles: [] } };
+
+    const merged = mergeScheduledRoutes(bare, gtfsToRoutes(gtfsFiles()));
+
+    expect(merged.CLS.stops.map((stop) => stop.id)).toEqual(['g-union', 'g-lane', 'g-library']);
+    expect(merged.CLS.schedule.trips[0].stopTimes[0].stopId).toBe('g-union');
+  });
+});
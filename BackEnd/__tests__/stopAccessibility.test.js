@@ -0,0 +1,88 @@
+import { attachStopAccessibility, loadLocalStopAccessibility } from '../stopAccessibility.js';
+import { findBestRoute } from '../busRouting.js';
+
+// Two ways north: CLS from the stop right next to the origin, which has a steep
+// approach, and ER from a flat stop 90 m further on, a little later
+function makeRoutes() {
+  return {
+    CLS: {
+      id: 'CLS',
+      name: 'Campus Loop South',
+      stops: [
+        { id: 'STEEP', name: 'Hill stop', latitude: 40.0000, longitude: -83.0000 },
+        { id: 'CLS-END', name: 'North', latitude: 40.0100, longitude: -83.0000 },
+      ],
+      patterns: [],
+      vehicles: [{
+        id: 'cls-1',
+        latitude: 39.999,
+        longitude: -83.000,
+        predictions: [
+          { stopId: 'STEEP', timeToArrivalInSeconds: 180 },
+          { stopId: 'CLS-END', timeToArrivalInSeconds: 480 },
+        ],
+      }],
+    },
+    ER: {
+      id: 'ER',
+      name: 'East Residential',
+      stops: [
+        { id: 'FLAT', name: 'Flat stop', latitude: 40.0008, longitude: -83.0000 },
+        { id: 'ER-END', name: 'North', latitude: 40.0101, longitude: -83.0000 },
+      ],
+      patterns: [],
+      vehicles: [{
+        id: 'er-1',
+        latitude: 39.999,
+        longitude: -83.000,
+        predictions: [
+          { stopId: 'FLAT', timeToArrivalInSeconds: 300 },
+          { stopId: 'ER-END', timeToArrivalInSeconds: 540 },
+        ],
+      }],
+    },
+  };
+}
+
+const origin = { latitude: 40.0000, longitude: -83.0003 };
+const destination = { latitude: 40.0102, longitude: -83.0003 };
+
+describe('step-free planning', () => {
+  const survey = { stops: { STEEP: { steepApproach: true, note: 'Steep ramp up from the street' } }, places: [] };
+
+  it('takes the closest stop on the walking profile', async () => {
+    const result = await findBestRoute(origin, destination, attachStopAccessibility(makeRoutes(), survey));
+    expect(result.trip.startStop.id).toBe('STEEP');
+  });
+
+  it('avoids a stop with a steep approach when step-free is on', async () => {
+    const result = await findBestRoute(origin, destination, attachStopAccessibility(makeRoutes(), survey), {
+      accessible: true,
+    });
+    expect(result.trip.startStop.id).toBe('FLAT');
+  });
+
+  it('matches a surveyed place to the stops next to it', () => {
+    const routes = attachStopAccessibility(makeRoutes(), {
+      stops: {},
+      places: [{ latitude: 40.00005, longitude: -83.00005, stepFree: false, steepApproach: true, note: 'Stairs only' }],
+    });
+
+    expect(routes.CLS.stops[0]).toMatchObject({ stepFree: false, steepApproach: true, accessibilityNote: 'Stairs only' });
+    // 90 m away: not the same stop
+    expect(routes.ER.stops[0].steepApproach).toBeUndefined();
+  });
+});
+
+describe('loadLocalStopAccessibility', () => {
+  it('reads the sample places only when asked to', () => {
+    expect(loadLocalStopAccessibility({ includeSamples: false }).places).toHaveLength(0);
+
+    const { places } = loadLocalStopAccessibility({ includeSamples: true });
+    expect(places.length).toBeGreaterThan(0);
+    places.forEach((place) => {
+      expect(Number.isFinite(place.latitude)).toBe(true);
+      expect(place.note).toMatch(/sample/i);
+    });
+  });
+});
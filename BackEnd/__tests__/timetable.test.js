@@ -0,0 +1,48 @@
+import polyline from 'polyline';
+import { getPatternStopSequence, locateVehicle } from '../timetable.js';
+import { buildTrips } from '../raptor.js';
+import { ageStaleRoutes } from '../busRouting.js';
+
+// A straight 1.1 km line north with three stops on it and one bus that has no predictions
+function makeRoute() {
+  return {
+    id: 'CLS',
+    name: 'Campus Loop South',
+    stops: [
+      { id: 'UNION', name: 'Ohio Union', latitude: 40.000, longitude: -83.000 },
+      { id: 'LANE', name: 'Lane Ave', latitude: 40.005, longitude: -83.000 },
+      { id: 'LIBRARY', name: 'Thompson Library', latitude: 40.010, longitude: -83.000 },
+    ],
+    patterns: [{ id: 'p1', encodedPolyline: polyline.encode([[39.999, -83.000], [40.005, -83.000], [40.011, -83.000]]) }],
+    vehicles: [{ id: 'bus-1', latitude: 39.9995, longitude: -83.000, heading: 0, predictions: [] }],
+  };
+}
+
+describe('pattern stop sequences', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('decodes each pattern once across plans and route copies', () => {
+    const decode = jest.spyOn(polyline, 'decode');
+    const route = makeRoute();
+    const now = new Date(2026, 9, 19, 12, 0, 0);
+
+    const first = buildTrips({ CLS: route }, { now });
+    buildTrips({ CLS: route }, { now });
+    locateVehicle({ ...route }, route.vehicles[0]);
+    buildTrips(ageStaleRoutes({ CLS: route }, now), { now });
+
+    expect(decode).toHaveBeenCalledTimes(1);
+    expect(first[0].stopTimes.map((stopTime) => stopTime.stopId)).toEqual(['UNION', 'LANE', 'LIBRARY']);
+  });
+
+  it('works the order out again when the stops change', () => {
+    const route = makeRoute();
+    const before = getPatternStopSequence(route, route.patterns[0]);
+
+    const moved = { ...route, stops: route.stops.slice(1) };
+    const after = getPatternStopSequence(moved, route.patterns[0]);
+
+    expect(getPatternStopSequence({ ...route }, route.patterns[0])).toBe(before);
+    expect(after.stops.map(({ stop }) => stop.id)).toEqual(['LANE', 'LIBRARY']);
+  });
+});
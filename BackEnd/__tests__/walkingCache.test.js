@@ -0,0 +1,31 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { createWalkingCache } from '../walkingCache.js';
+
+const dorm = [-83.0094, 39.9978];
+const stop = [-83.0086, 39.9990];
+const walk = (duration) => ({ duration, distance: duration * 1.3, coordinates: [dorm, stop] });
+
+describe('createWalkingCache', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it("doesn't serve one router's walk for another", async () => {
+    const cache = createWalkingCache({ storageKey: 'test-walks-provider', writeDelayMs: 0 });
+    await cache.set(dorm, stop, 'walking', 'ors', walk(120));
+
+    expect((await cache.get(dorm, stop, 'walking', 'ors')).directions.duration).toBe(120);
+    expect(await cache.get(dorm, stop, 'walking', 'osrm')).toBeNull();
+  });
+
+  it('saves a burst of walks in one write', async () => {
+    const cache = createWalkingCache({ storageKey: 'test-walks-burst', writeDelayMs: 10 });
+    await cache.get(dorm, stop, 'walking', 'ors');
+
+    await Promise.all([60, 90, 120].map((duration, index) =>
+      cache.set(dorm, [stop[0] + index * 0.001, stop[1]], 'walking', 'ors', walk(duration))));
+
+    expect(AsyncStorage.setItem).toHaveBeenCalledTimes(1);
+  });
+});
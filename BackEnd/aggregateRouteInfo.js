@@ -1,6 +1,13 @@
-import { fetchAllRoutes } from './osuBusAPI.js';
-import { findBestRoute } from './busRouting.js';
-import { getWalkingDirections } from './walkingDirectionsAPI.js';
+import { createDefaultProvider } from './transitProviders.js';
+import { findBestRoute, ageStaleRoutes } from './busRouting.js';
+import { getWalkingDirectionsBatch, getWalkingMatrix } from './walkingDirectionsAPI.js';
+import { formatETA, minutesBetween, haversineDistance, WALKING_SPEED_MPS, ACCESSIBLE_WALKING_SPEED_MPS } from './utils.js';
+import { describeError } from './httpClient.js';
+import { attachAlerts, getRelevantAlerts } from './serviceAlerts.js';
+import { attachStopAccessibility, summarizeStopAccessibility } from './stopAccessibility.js';
+import { snapToEntrance } from './buildingEntrances.js';
+import { getRidePolyline } from './timetable.js';
+import { buildTrips } from './raptor.js';
 
 /*
  * Returns a clean route object with segments array (shoutout to Claude Code)
@@ -9,66 +16,390 @@ import { getWalkingDirections } from './walkingDirectionsAPI.js';
  *   recommendation: 'bus' | 'walk' | 'error',
  *   error?: string,                     // only if recommendation === 'error'
  *
- *   route: {                            // bus route info (null if walk-only)
+ *   route: {                            // first bus route info (null if walk-only)
  *     id: string,                       // e.g., "BE"
  *     name: string,                     // e.g., "Buckeye Express"
  *     color: string                     // e.g., "#BB0000"
  *   },
+ *   transfers: number,                  // 0 for a single bus, 1 when changing buses
  *
  *   segments: [                         // walk → wait → ride → walk
+ *                                       // with a transfer: walk → wait → ride → (walk) → wait → ride → walk
  *     {
  *       type: 'walk',
- *       from: { latitude, longitude },
+ *       from: { latitude, longitude, name?, entrance? },  // a building start is its best door (see buildingEntrances.js)
  *       to: { latitude, longitude, name },
  *       duration: number,               // minutes
  *       distance: number,               // meters
  *       polyline: [{ latitude, longitude }, ...],
- *       steps: [{ instruction, distance, duration, type, name, wayPoints }, ...]
+ *       steps: [{ instruction, distance, duration, type, name, wayPoints }, ...],
+ *       isEstimate: boolean             // directions couldn't be fetched: straight line, haversine time, no steps
  *     },
  *     {
  *       type: 'wait',
  *       stop: { id, name, latitude, longitude },
  *       duration: number,               // minutes
- *       bus: { id, countdown, isDelayed }
+ *       route: { id, name, color },     // bus to board
+ *       bus: { id, countdown, isDelayed },
+ *       isEstimate: boolean,            // bus time comes from the timetable, not a live prediction
+ *       missedConnection?: boolean      // the walk there takes too long to catch any bus we know of
  *     },
  *     {
  *       type: 'ride',
  *       fromStop: { id, name, latitude, longitude },
  *       toStop: { id, name, latitude, longitude },
  *       duration: number,               // minutes
- *       stopsBetween: number
+ *       route: { id, name, color },
+ *       stopsBetween: number,
+ *       polyline: [{ latitude, longitude }, ...] | null,  // the bus's path, cut from the route pattern
+ *       isEstimate: boolean
  *     },
  *     {
  *       type: 'walk',
  *       from: { latitude, longitude, name },
- *       to: { latitude, longitude },
+ *       to: { latitude, longitude, name?, entrance? },   // entrance: { id, name, buildingNumber } when snapped to a door
  *       duration: number,               // minutes
  *       distance: number,               // meters
  *       polyline: [{ latitude, longitude }, ...],
- *       steps: [{ ... }]
+ *       steps: [{ ... }],
+ *       isEstimate: boolean
  *     }
  *   ],
  *
  *   totalTime: number,                  // minutes
  *   eta: string,                        // e.g., "3:45"
+ *   leaveBy: string,                    // when to start walking, e.g., "3:20"
+ *   planningMode: 'now' | 'departAt' | 'arriveBy',
+ *   isEstimate: boolean,                // true when times aren't backed by live predictions
+ *   isStale: boolean,                   // planned from old (e.g. offline cached) data for a route it rides
+ *   dataAge: number | null,             // minutes since the bus data for its routes was fetched
+ *   walkingError?: string,              // why walking directions couldn't be fetched (null if they all were)
+ *   missedConnection: boolean,          // a walk takes longer than planned and no later bus makes up for it
+ *   arrivesLate: boolean,               // arriveBy mode: the fetched walks push the arrival past the deadline
+ *   alerts: [{ id, title, description, effect, severity, ... }],  // active alerts on the trip's routes and stops
+ *   accessibility: {                    // null unless planned with the step-free profile
+ *     profile: 'wheelchair',
+ *     walkingSpeed: number,             // m/s the walks were timed at
+ *     stepFreeStops: number,            // stops confirmed step-free
+ *     unverifiedStops: number,          // stops nobody has surveyed
+ *     steepStops: number,               // stops with a steep approach (avoided where possible)
+ *     notes: [{ stopId, stopName, note }]
+ *   },
  *   directWalkTime: number,             // minutes (for comparison)
- *   alternativeTrips: [...]             // other route options (raw format)
+ *
+ *   itineraries: [                      // the best trip first, then up to maxAlternatives others
+ *     { route, transfers, segments, totalTime, eta, leaveBy, isEstimate, isStale, dataAge, walkingError, missedConnection, arrivesLate, alerts, accessibility }
+ *   ],                                  // (same fields as above; empty for walk-only results)
+ *   selectedItinerary: number           // which itinerary the top-level fields describe (see selectItinerary)
  * }
  */
 
-export default async function aggregateRouteInfo(startCoords, endCoords) {
-    const busRoutes = await fetchAllRoutes();
-    const rawRoute = await findBestRoute(startCoords, endCoords, busRoutes);
+const defaultProvider = createDefaultProvider();
+
+// Other trips offered alongside the planner's pick
+const DEFAULT_MAX_ALTERNATIVES = 2;
+
+const toLngLat = (point) => [point.longitude, point.latitude];
+
+/*
+ * Every walk a trip needs directions for, in order:
+ * origin → first stop, each transfer between different stops, last stop → destination
+ * A building origin or destination is moved to the entrance facing the stop
+ */
+function getTripWalks(trip, startCoords, endCoords, entranceOptions) {
+    const legs = trip.legs;
+    const walks = [{
+        kind: 'access',
+        from: snapToEntrance(startCoords, legs[0].startStop, entranceOptions),
+        to: legs[0].startStop
+    }];
+
+    legs.slice(1).forEach((leg, index) => {
+        const from = legs[index].endStop;
+        if (from.id !== leg.startStop.id) {
+            walks.push({ kind: 'transfer', legIndex: index + 1, from, to: leg.startStop });
+        }
+    });
+
+    const lastStop = legs[legs.length - 1].endStop;
+    walks.push({
+        kind: 'egress',
+        from: lastStop,
+        to: snapToEntrance(endCoords, lastStop, entranceOptions)
+    });
+    return walks;
+}
+
+/*
+ * Straight-line stand-in for a walk that couldn't be routed (and wasn't cached)
+ */
+function estimateWalk(from, to, walkingSpeed) {
+    const distance = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+    return {
+        polyline: [
+            { latitude: from.latitude, longitude: from.longitude },
+            { latitude: to.latitude, longitude: to.longitude }
+        ],
+        distance,
+        duration: distance / walkingSpeed,
+        steps: []
+    };
+}
+
+function walkSegment(walk, walkingSpeed) {
+    // A failed walk doesn't sink the trip: the bus part is still good
+    const isEstimate = walk.result.status === 'rejected';
+    const directions = isEstimate ? estimateWalk(walk.from, walk.to, walkingSpeed) : walk.result.value;
+    return {
+        type: 'walk',
+        from: walk.from,
+        to: walk.to,
+        duration: directions.duration / 60,
+        distance: directions.distance,
+        polyline: directions.polyline,
+        steps: directions.steps,
+        isEstimate
+    };
+}
+
+/*
+ * What the step-free profile tells the rider about a trip (null for the walking profile)
+ */
+function describeAccessibility(accessible, walkingSpeed, stops = []) {
+    if (!accessible) return null;
+    return {
+        profile: 'wheelchair',
+        walkingSpeed,
+        ...summarizeStopAccessibility(stops)
+    };
+}
+
+/*
+ * The earliest bus on a leg's route that reaches the leg's stop at or after readyTime
+ * (minutes from now) and then the stop the rider gets off at. The candidates are the
+ * planner's own trips (see buildTrips in raptor.js): live buses, timetable estimates
+ * and scheduled trips, with stale predictions aged the way busRouting ages them.
+ * Returns { id, countdown, isDelayed, departure, travelTime, vehicle, isEstimate } or null if no bus does
+ */
+function findLaterBus(route, leg, readyTime, now) {
+    if (!route) return null;
+    const trips = buildTrips(ageStaleRoutes({ [route.id]: route }, now), { now, departureTime: readyTime });
+    let best = null;
+
+    trips.forEach((trip) => {
+        // Stop times run in the order the bus reaches them
+        const boardIndex = trip.stopTimes.findIndex(
+            (stopTime) => stopTime.stopId === leg.startStop.id && stopTime.time >= readyTime * 60
+        );
+        if (boardIndex === -1) return;
+        const board = trip.stopTimes[boardIndex];
+        const alight = trip.stopTimes.slice(boardIndex + 1).find((stopTime) => stopTime.stopId === leg.endStop.id);
+        if (!alight || (best && board.time / 60 >= best.departure)) return;
+
+        best = {
+            id: trip.vehicle.id,
+            countdown: board.prediction?.predictionCountdown ?? null,
+            isDelayed: Boolean(board.prediction?.isDelayed),
+            departure: board.time / 60,
+            travelTime: (alight.time - board.time) / 60,
+            vehicle: trip.vehicle,
+            isEstimate: Boolean(board.isEstimate || alight.isEstimate)
+        };
+    });
+
+    return best;
+}
+
+/*
+ * Turn one trip from busRouting into an itinerary: the segments plus the times and alerts that go with them
+ * walks - getTripWalks(trip) with the fetched directions as `result`
+ * routes - The routes the trip was planned on, for the ride paths
+ *
+ * The planner timed the walks itself, so each wait is worked out again from when the
+ * fetched walks really get the rider to the stop: a shorter walk waits longer, a longer
+ * one eats into the wait and, past the bus, moves the rider to the next bus that still
+ * makes it (or, arriving by a set time, leaves earlier for the first one).
+ * deadline - Minutes from now to arrive by (arriveBy mode), or null; a trip that
+ *            the new times get in after it is marked arrivesLate
+ */
+function buildItinerary(trip, walks, { alerts, now, accessible, walkingSpeed, routes, planningMode, deadline }) {
+    const legs = trip.legs;
+    const accessWalk = walkSegment(walks[0], walkingSpeed);
+    const segments = [accessWalk];
+
+    // Minutes from now
+    let leaveTime = trip.leaveTime;
+    let clock = leaveTime + accessWalk.duration;
+    let missedConnection = false;
+
+    legs.forEach((leg, index) => {
+        const transferWalk = walks.find((walk) => walk.kind === 'transfer' && walk.legIndex === index);
+        if (transferWalk) {
+            const segment = walkSegment(transferWalk, walkingSpeed);
+            segments.push(segment);
+            clock += segment.duration;
+        }
+
+        const legRoute = {
+            id: leg.routeId,
+            name: leg.routeName,
+            color: leg.routeColor
+        };
+        const route = routes?.[leg.routeId];
+
+        let bus = {
+            id: leg.busId,
+            countdown: leg.busCountdown,
+            isDelayed: leg.isDelayed,
+            departure: leg.busETA,
+            travelTime: leg.travelTime,
+            vehicle: route?.vehicles?.find((v) => v.id === leg.busId),
+            isEstimate: leg.isEstimate
+        };
+        let legMissed = false;
+        if (clock > bus.departure) {
+            const late = clock - bus.departure;
+            if (index === 0 && planningMode === 'arriveBy' && leaveTime >= late) {
+                leaveTime -= late;
+                clock = bus.departure;
+            } else {
+                const laterBus = findLaterBus(route, leg, clock, now);
+                if (laterBus) {
+                    bus = laterBus;
+                } else {
+                    legMissed = true;
+                    missedConnection = true;
+                }
+            }
+        }
+
+        const legIsEstimate = Boolean(trip.isEstimate || bus.isEstimate);
+        const wait = Math.max(0, bus.departure - clock);
+        clock += wait + bus.travelTime;
+
+        segments.push(
+            {
+                type: 'wait',
+                stop: leg.startStop,
+                duration: wait,
+                route: legRoute,
+                bus: {
+                    id: bus.id,
+                    countdown: bus.countdown,
+                    isDelayed: bus.isDelayed
+                },
+                isEstimate: legIsEstimate,
+                ...(legMissed && { missedConnection: true })
+            },
+            {
+                type: 'ride',
+                fromStop: leg.startStop,
+                toStop: leg.endStop,
+                duration: bus.travelTime,
+                route: legRoute,
+                stopsBetween: leg.stopsBetween,
+                polyline: getRidePolyline(route, leg.startStop, leg.endStop, bus.vehicle),
+                isEstimate: legIsEstimate
+            }
+        );
+    });
+
+    const egressWalk = walkSegment(walks[walks.length - 1], walkingSpeed);
+    segments.push(egressWalk);
+    clock += egressWalk.duration;
+
+    const failedWalk = walks.find((walk) => walk.result.status === 'rejected');
+
+    return {
+        route: {
+            id: trip.routeId,
+            name: trip.routeName,
+            color: trip.routeColor
+        },
+        transfers: trip.transfers,
+        segments,
+        totalTime: clock - leaveTime,
+        eta: formatETA(clock, now),
+        leaveBy: formatETA(leaveTime, now),
+        isEstimate: Boolean(trip.isEstimate),
+        isStale: Boolean(trip.isStale),
+        dataAge: trip.dataAge ?? null,
+        walkingError: failedWalk ? describeError(failedWalk.result.reason) : null,
+        missedConnection,
+        arrivesLate: deadline !== null && deadline !== undefined && clock > deadline,
+        alerts: getRelevantAlerts(alerts, {
+            routeIds: legs.map((leg) => leg.routeId),
+            stopIds: legs.flatMap((leg) => [leg.startStop.id, leg.endStop.id])
+        }, now),
+        accessibility: describeAccessibility(accessible, walkingSpeed, legs.flatMap((leg) => [leg.startStop, leg.endStop]))
+    };
+}
+
+/*
+ * options.departAt - Date to leave at (default: now)
+ * options.arriveBy - Date to arrive by; plans the latest departure that still makes it
+ * options.provider - Where bus data comes from (default: CABS, see transitProviders.js)
+ * options.maxAlternatives - Most other itineraries to offer besides the best one (default 2)
+ * options.accessible - Step-free profile: wheelchair walking directions, a slower pace, and
+ *                      stops that aren't step-free left out (see stopAccessibility.js)
+ * options.walkingSpeed - Walking pace in m/s (default 1.1, or 0.8 when accessible; see utils.js)
+ */
+export default async function aggregateRouteInfo(startCoords, endCoords, options = {}) {
+    const {
+        departAt = null,
+        arriveBy = null,
+        provider = defaultProvider,
+        maxAlternatives = DEFAULT_MAX_ALTERNATIVES,
+        accessible = false,
+        walkingSpeed = accessible ? ACCESSIBLE_WALKING_SPEED_MPS : WALKING_SPEED_MPS
+    } = options;
+    const walkingOptions = { profile: accessible ? 'wheelchair' : 'walking', speedMps: walkingSpeed };
+    const entranceOptions = { stepFreeOnly: accessible };
+    const now = new Date();
+    const planningMode = arriveBy ? 'arriveBy' : departAt ? 'departAt' : 'now';
+
+    // Alerts are a nice-to-have: plan without them rather than fail, even if the provider throws outright
+    const loadAlerts = async () => {
+        try {
+            return (await provider.getAlerts?.()) || [];
+        } catch (err) {
+            console.warn('Service alerts unavailable:', err.message);
+            return [];
+        }
+    };
+    const [busRoutes, alerts] = await Promise.all([provider.getRoutes(), loadAlerts()]);
+
+    // Closed stops (and what we know about step-free access) are marked on the routes so the planner can skip them
+    const plannedRoutes = attachStopAccessibility(attachAlerts(busRoutes, alerts || [], now));
+    // Candidate stops are timed by the walking router (one matrix request each way), not in straight lines
+    const rawRoute = await findBestRoute(startCoords, endCoords, plannedRoutes, {
+        departAt, arriveBy, now, maxAlternatives, accessible, walkingSpeed,
+        walkingMatrix: (sources, destinations) => getWalkingMatrix(sources, destinations, walkingOptions)
+    });
+
+    // Minutes from now to start walking for a walk-only trip of the given length
+    const walkLeaveTime = (walkDuration) => {
+        if (planningMode === 'arriveBy') return Math.max(0, minutesBetween(now, arriveBy) - walkDuration);
+        if (planningMode === 'departAt') return Math.max(0, minutesBetween(now, departAt));
+        return 0;
+    };
 
     // Handle error case - return walk-only directions
     if (rawRoute.recommendation === 'error') {
+        // Buildings at either end are entered and left by the doors facing each other
+        const walkFrom = snapToEntrance(startCoords, endCoords, entranceOptions);
+        const walkTo = snapToEntrance(endCoords, startCoords, entranceOptions);
+
         // Try to get accurate walking directions from ORS API
         try {
-            const walkingDirections = await getWalkingDirections(
-                [startCoords.longitude, startCoords.latitude],
-                [endCoords.longitude, endCoords.latitude]
+            const [walkResult] = await getWalkingDirectionsBatch(
+                [{ from: toLngLat(walkFrom), to: toLngLat(walkTo) }],
+                walkingOptions
             );
+            if (walkResult.status === 'rejected') throw walkResult.reason;
+            const walkingDirections = [walkResult.value];
             const walkDuration = walkingDirections[0].duration / 60;
+            const leaveTime = walkLeaveTime(walkDuration);
 
             return {
                 recommendation: 'walk',
@@ -76,23 +407,32 @@ export default async function aggregateRouteInfo(startCoords, endCoords) {
                 route: null,
                 segments: [{
                     type: 'walk',
-                    from: { latitude: startCoords.latitude, longitude: startCoords.longitude },
-                    to: { latitude: endCoords.latitude, longitude: endCoords.longitude },
+                    from: walkFrom,
+                    to: walkTo,
                     duration: walkDuration,
                     distance: walkingDirections[0].distance,
                     polyline: walkingDirections[0].polyline,
-                    steps: walkingDirections[0].steps
+                    steps: walkingDirections[0].steps,
+                    isEstimate: false
                 }],
                 totalTime: walkDuration,
-                eta: formatETA(walkDuration),
+                eta: formatETA(leaveTime + walkDuration, now),
+                leaveBy: formatETA(leaveTime, now),
+                planningMode,
                 directWalkTime: walkDuration,
                 isEstimate: false,
-                alternativeTrips: []
+                isStale: Boolean(rawRoute.isStale),
+                dataAge: rawRoute.dataAge ?? null,
+                alerts: [],
+                accessibility: describeAccessibility(accessible, walkingSpeed),
+                itineraries: [],
+                selectedItinerary: 0
             };
         } catch (orsError) {
             // Fallback to haversine-based estimate if ORS fails
             console.warn('ORS API failed, using estimated walk time:', orsError.message);
             const estimatedWalkTime = rawRoute.directWalkTime;
+            const leaveTime = walkLeaveTime(estimatedWalkTime);
 
             return {
                 recommendation: 'walk',
@@ -100,86 +440,61 @@ export default async function aggregateRouteInfo(startCoords, endCoords) {
                 route: null,
                 segments: [],
                 totalTime: estimatedWalkTime,
-                eta: formatETA(estimatedWalkTime),
+                eta: formatETA(leaveTime + estimatedWalkTime, now),
+                leaveBy: formatETA(leaveTime, now),
+                planningMode,
                 directWalkTime: estimatedWalkTime,
                 isEstimate: true,
-                alternativeTrips: []
+                walkingError: describeError(orsError),
+                isStale: Boolean(rawRoute.isStale),
+                dataAge: rawRoute.dataAge ?? null,
+                alerts: [],
+                accessibility: describeAccessibility(accessible, walkingSpeed),
+                itineraries: [],
+                selectedItinerary: 0
             };
         }
     }
 
-    // Fetch actual walking directions
-    const firstStopCoords = [rawRoute.trip.startStop.longitude, rawRoute.trip.startStop.latitude];
-    const lastStopCoords = [rawRoute.trip.endStop.longitude, rawRoute.trip.endStop.latitude];
-    const walkingDirections = await getWalkingDirections(
-        [startCoords.longitude, startCoords.latitude],
-        firstStopCoords,
-        lastStopCoords,
-        [endCoords.longitude, endCoords.latitude]
+    // The planner's pick first, then the runners-up, all built the same way
+    const trips = [rawRoute.trip, ...(rawRoute.alternativeTrips || [])];
+    const tripWalks = trips.map((trip) => getTripWalks(trip, startCoords, endCoords, entranceOptions));
+
+    // One batch for every walk in every trip; the same walk (e.g. to a shared first stop) is fetched once
+    const walkResults = await getWalkingDirectionsBatch(
+        tripWalks.flat().map(({ from, to }) => ({ from: toLngLat(from), to: toLngLat(to) })),
+        walkingOptions
     );
 
-    // Calculate actual walk times
-    const walkToStopDuration = walkingDirections[0].duration / 60;
-    const walkFromStopDuration = walkingDirections[1].duration / 60;
-    const totalTime = walkToStopDuration + rawRoute.trip.busWaitTime + rawRoute.trip.busTravelTime + walkFromStopDuration;
+    // Walks that failed become straight-line estimates (see walkSegment)
+    let resultIndex = 0;
+    const built = trips.map((trip, tripIndex) => {
+        const walks = tripWalks[tripIndex].map((walk) => ({ ...walk, result: walkResults[resultIndex++] }));
+        return buildItinerary(trip, walks, {
+            alerts, now, accessible, walkingSpeed, routes: plannedRoutes, planningMode,
+            deadline: planningMode === 'arriveBy' ? minutesBetween(now, arriveBy) : null
+        });
+    });
+    // Trips the real walks still make keep their order, then those that get in late, then those that miss a bus
+    const rank = (itinerary) => (itinerary.missedConnection ? 2 : itinerary.arrivesLate ? 1 : 0);
+    const itineraries = [...built].sort((a, b) => rank(a) - rank(b));
 
     return {
         recommendation: 'bus',
-        route: {
-            id: rawRoute.route.id,
-            name: rawRoute.route.name,
-            color: rawRoute.route.routeColor
-        },
-        segments: [
-            {
-                type: 'walk',
-                from: { latitude: startCoords.latitude, longitude: startCoords.longitude },
-                to: rawRoute.trip.startStop,
-                duration: walkToStopDuration,
-                distance: walkingDirections[0].distance,
-                polyline: walkingDirections[0].polyline,
-                steps: walkingDirections[0].steps
-            },
-            {
-                type: 'wait',
-                stop: rawRoute.trip.startStop,
-                duration: rawRoute.trip.busWaitTime,
-                bus: {
-                    id: rawRoute.trip.busId,
-                    countdown: rawRoute.trip.busCountdown,
-                    isDelayed: rawRoute.trip.isDelayed
-                }
-            },
-            {
-                type: 'ride',
-                fromStop: rawRoute.trip.startStop,
-                toStop: rawRoute.trip.endStop,
-                duration: rawRoute.trip.busTravelTime,
-                stopsBetween: rawRoute.trip.stopsBetween
-            },
-            {
-                type: 'walk',
-                from: rawRoute.trip.endStop,
-                to: { latitude: endCoords.latitude, longitude: endCoords.longitude },
-                duration: walkFromStopDuration,
-                distance: walkingDirections[1].distance,
-                polyline: walkingDirections[1].polyline,
-                steps: walkingDirections[1].steps
-            }
-        ],
-        totalTime,
-        eta: formatETA(totalTime),
+        ...itineraries[0],
+        planningMode,
         directWalkTime: rawRoute.directWalkTime,
-        alternativeTrips: rawRoute.alternativeTrips
+        itineraries,
+        selectedItinerary: 0
     };
 }
 
-function formatETA(totalMinutes) {
-    const now = new Date();
-    now.setMinutes(now.getMinutes() + totalMinutes);
-    let hours = now.getHours();
-    if (hours > 12) hours -= 12;
-    if (hours === 0) hours = 12;
-    const minutes = now.getMinutes().toString().padStart(2, '0');
-    return `${hours}:${minutes}`;
-}
\ No newline at end of file
+/*
+ * Switch a bus result to one of its other itineraries (e.g. when the user picks one before starting)
+ * The top-level route/segments/times are replaced; everything else stays
+ */
+export function selectItinerary(result, index) {
+    const itinerary = result?.itineraries?.[index];
+    if (!itinerary) return result;
+    return { ...result, ...itinerary, selectedItinerary: index };
+}
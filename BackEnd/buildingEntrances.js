@@ -0,0 +1,135 @@
+// buildingEntrances.js - Where walks into and out of buildings actually start and end
+//
+// Buildings in Data/osu_building_points.json (and the POIs built from them) are
+// single centroid points, so a walk to the Union or Thompson Library ends in
+// the middle of the building or on the wrong side of it. Data/buildingEntrances.json
+// lists each building's doors, keyed by building number (see
+// docs/building-entrances.md for the format):
+//
+//   { "buildings": { "<number>": { "name": string, "entrances": [{ id, name, latitude, longitude, stepFree }] } } }
+//
+// snapToEntrance() moves a building's point to the door that best suits the
+// way the walk comes in or goes out. Most POIs (cafes, libraries, offices) have
+// no building number of their own, so buildingNumberFor() finds the building
+// they are in by name or by the nearest building point.
+
+import entrancesFile from '../Data/buildingEntrances.json';
+import buildingPointsFile from '../Data/osu_building_points.json';
+import { haversineDistance } from './utils.js';
+
+/**
+ * Entrances from Data/buildingEntrances.json, keyed by building number
+ * Entrances without usable coordinates are dropped
+ * @returns {Object} number -> [{ id, name, latitude, longitude, stepFree }]
+ */
+export function loadBuildingEntrances() {
+  const buildings = entrancesFile?.buildings || {};
+  const entrances = {};
+
+  Object.entries(buildings).forEach(([number, building]) => {
+    const doors = (building?.entrances || [])
+      .map((entrance, index) => ({
+        id: String(entrance.id ?? index),
+        name: entrance.name || null,
+        latitude: Number(entrance.latitude),
+        longitude: Number(entrance.longitude),
+        stepFree: typeof entrance.stepFree === 'boolean' ? entrance.stepFree : undefined,
+      }))
+      .filter((entrance) => Number.isFinite(entrance.latitude) && Number.isFinite(entrance.longitude));
+    if (doors.length > 0) entrances[number] = doors;
+  });
+
+  return entrances;
+}
+
+const ENTRANCES = loadBuildingEntrances();
+
+// A named POI this close to a building point is taken to be inside that building
+const BUILDING_MATCH_METERS = 40;
+
+const BUILDINGS = (buildingPointsFile?.buildings || []).filter(
+  (building) => building.number && Number.isFinite(building.latitude) && Number.isFinite(building.longitude)
+);
+const BUILDINGS_BY_NAME = new Map(BUILDINGS.map((building) => [building.name.toLowerCase(), building.number]));
+
+/**
+ * Building number for a point from the POI list
+ * Uses the point's own number, then a building with the same name, then the
+ * nearest building point within 40 m. Unnamed points (the user's location) never match.
+ * @param {Object} point - { latitude, longitude, number?, name? }
+ * @returns {string|null} Building number, or null if the point isn't in a known building
+ */
+export function buildingNumberFor(point) {
+  if (point?.number) return point.number;
+  if (!point?.name) return null;
+
+  const byName = BUILDINGS_BY_NAME.get(point.name.toLowerCase());
+  if (byName) return byName;
+
+  let best = null;
+  let bestDistance = BUILDING_MATCH_METERS;
+  BUILDINGS.forEach((building) => {
+    const distance = haversineDistance(point.latitude, point.longitude, building.latitude, building.longitude);
+    if (distance <= bestDistance) {
+      best = building.number;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * The entrance to use when walking between a building and another point
+ * The door closest to that point is the one on the side the walk approaches from.
+ * With stepFreeOnly, doors marked stepFree: false are skipped while any others remain.
+ * @param {Array} entrances - The building's entrances
+ * @param {Object} approach - { latitude, longitude } the walk comes from (or heads to)
+ * @param {Object} options
+ * @param {boolean} options.stepFreeOnly - Prefer step-free doors
+ * @returns {Object|null} The entrance, or null if there are none
+ */
+export function chooseEntrance(entrances, approach, options = {}) {
+  if (!entrances?.length || !approach) return null;
+
+  const usable = options.stepFreeOnly
+    ? entrances.filter((entrance) => entrance.stepFree !== false)
+    : entrances;
+  const candidates = usable.length > 0 ? usable : entrances;
+
+  let best = null;
+  let bestDistance = Infinity;
+  candidates.forEach((entrance) => {
+    const distance = haversineDistance(approach.latitude, approach.longitude, entrance.latitude, entrance.longitude);
+    if (distance < bestDistance) {
+      best = entrance;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Move a building's centroid to its best entrance for a walk to or from `approach`
+ * Points that aren't in a known building (the user's location, a POI away from
+ * any building, a building with no entrances listed) come back unchanged.
+ * @param {Object} point - { latitude, longitude, number?, name? } (a place from the POI list)
+ * @param {Object} approach - { latitude, longitude } at the other end of the walk
+ * @param {Object} options - See chooseEntrance; options.entrances overrides the data file
+ * @returns {Object} { latitude, longitude } or, at an entrance, { latitude, longitude, name, entrance: { id, name, buildingNumber } }
+ */
+export function snapToEntrance(point, approach, options = {}) {
+  const { entrances = ENTRANCES } = options;
+  const base = { latitude: point.latitude, longitude: point.longitude };
+  const number = buildingNumberFor(point);
+  if (!number) return base;
+
+  const entrance = chooseEntrance(entrances[number], approach, options);
+  if (!entrance) return base;
+
+  return {
+    latitude: entrance.latitude,
+    longitude: entrance.longitude,
+    name: [point.name, entrance.name].filter(Boolean).join(' - ') || null,
+    entrance: { id: entrance.id, name: entrance.name, buildingNumber: number },
+  };
+}
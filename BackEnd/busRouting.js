@@ -1,30 +1,28 @@
 // busRouting.js - OSU Bus Route Planning Algorithm
 
+import { haversineDistance, WALKING_SPEED_MPS, ACCESSIBLE_WALKING_SPEED_MPS, formatETA, minutesBetween } from './utils.js';
+import { findJourneys } from './raptor.js';
+import { getRouteDataAge, getVehicleDataAge, STALE_DATA_MINUTES } from './routeData.js';
 
-/**
- * Calculate distance between two points using Haversine formula
- * @returns distance in meters
- */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = (lat1 * Math.PI) / 180;
-  const φ2 = (lat2 * Math.PI) / 180;
-  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
-  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
-
-  const a =
-    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
-    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-
-  return R * c; // Distance in meters
-}
+// Minutes early we have the user reach the first stop when they need to arrive by a set time
+const ARRIVE_BY_BUFFER_MINUTES = 3;
+
+// How many later departures to try when looking for the latest one that still arrives in time
+const MAX_ARRIVE_BY_SEARCHES = 10;
+
+// Arrive-by searches start no earlier than this before the deadline (matters for scheduled service)
+const ARRIVE_BY_LOOKBACK_MINUTES = 90;
+
+// Extra minutes charged for reaching a stop with a steep approach on the step-free
+// profile, so a flat stop a little further away wins
+const STEEP_APPROACH_PENALTY_MINUTES = 4;
 
 /**
  * Calculate walking time between two points
+ * @param {number} walkingSpeed - Meters per second (default WALKING_SPEED_MPS)
  * @returns time in minutes
  */
-function calculateWalkTime(point1, point2) {
+function calculateWalkTime(point1, point2, walkingSpeed = WALKING_SPEED_MPS) {
   //console.log('calculateWalkTime called with:', point1, point2);
   
   if (!point1 || !point2 || !point1.latitude || !point1.longitude || !point2.latitude || !point2.longitude) {
@@ -41,29 +39,37 @@ function calculateWalkTime(point1, point2) {
   
   //console.log(`Distance: ${distance.toFixed(2)} meters`);
   
-  // Average walking speed: 1.1
-  const walkingSpeedMPS = 1.1;
-  const walkTimeMinutes = distance / walkingSpeedMPS / 60;
+  const walkTimeMinutes = distance / walkingSpeed / 60;
   
-  //console.log(`Walk time: ${walkTimeMinutes.toFixed(2)} minutes at ${walkingSpeedMPS} m/s`);
+  //console.log(`Walk time: ${walkTimeMinutes.toFixed(2)} minutes at ${walkingSpeed} m/s`);
   
   return walkTimeMinutes; // Convert to minutes
 }
 
 /**
  * Find all stops within walking distance of a location
+ * Stops closed by a service alert (isClosed, see serviceAlerts.js) are left out
  * @param {Object} location - {latitude, longitude}
  * @param {Object} routes - All bus routes
  * @param {number} maxWalkMeters - Maximum walking distance (default 750m)
+ * @param {Object} profile
+ * @param {number} profile.walkingSpeed - Meters per second (default WALKING_SPEED_MPS)
+ * @param {boolean} profile.stepFreeOnly - Leave out stops marked stepFree: false and charge
+ *                                         STEEP_APPROACH_PENALTY_MINUTES for steep ones
+ *                                         (see stopAccessibility.js)
  * @returns {Array} Array of nearby stops with route info
  */
-function findNearbyStops(location, routes, maxWalkMeters = 750) {
+function findNearbyStops(location, routes, maxWalkMeters = 750, profile = {}) {
+  const { walkingSpeed = WALKING_SPEED_MPS, stepFreeOnly = false } = profile;
   const nearbyStops = [];
   
   Object.values(routes).forEach((route) => {
     if (!route || !route.stops) return;
     
     route.stops.forEach((stop) => {
+      if (stop.isClosed) return;
+      if (stepFreeOnly && stop.stepFree === false) return;
+
       const distance = haversineDistance(
         location.latitude,
         location.longitude,
@@ -72,7 +78,8 @@ function findNearbyStops(location, routes, maxWalkMeters = 750) {
       );
       
       if (distance <= maxWalkMeters) {
-        const walkTimeMinutes = distance / 1.1 / 60; // Use consistent walking speed: 1.1 m/s
+        const steepPenalty = stepFreeOnly && stop.steepApproach ? STEEP_APPROACH_PENALTY_MINUTES : 0;
+        const walkTimeMinutes = distance / walkingSpeed / 60 + steepPenalty; // Use consistent walking speed
         nearbyStops.push({
           stopId: stop.id,
           stopName: stop.name,
@@ -83,6 +90,8 @@ function findNearbyStops(location, routes, maxWalkMeters = 750) {
           routeColor: route.color,
           distanceMeters: distance,
           walkTimeMinutes: walkTimeMinutes,
+          approachPenaltyMinutes: steepPenalty,
+          walkTimeSource: 'straight-line',
         });
       }
     });
@@ -92,130 +101,304 @@ function findNearbyStops(location, routes, maxWalkMeters = 750) {
 }
 
 /**
- * Find the next bus arriving at a specific stop using live prediction data
- * @param {Object} route - Route object with vehicles
- * @param {string} stopId - Stop ID to check
- * @param {number} minArrivalTime - Minimum arrival time in minutes (user's walk time to stop)
- * @returns {Object|null} Vehicle info with ETA and full prediction, or null if no buses found
+ * Replace straight-line walk times with real ones from a walking matrix
+ * A river or a fenced-off site can make a stop that looks close a long walk away.
+ * Every stop is timed in one matrix request; stops the router can't reach are dropped.
+ * If the request fails the straight-line times are kept.
+ * @param {Object} location - {latitude, longitude} of the origin or destination
+ * @param {Array} stops - From findNearbyStops
+ * @param {string} direction - 'from' (location → stops) or 'to' (stops → location)
+ * @param {Function} walkingMatrix - (sources, destinations) => Promise<{ durations, distances }>,
+ *                                   points as [longitude, latitude] (see walkingDirectionsAPI.js)
+ * @returns {Promise<Array>} The stops with walkTimeMinutes and distanceMeters from the router
  */
-function findNextBus(route, stopId, minArrivalTime = 0) {
-  if (!route || !route.vehicles || route.vehicles.length === 0) {
-    return null;
+async function applyWalkingMatrix(location, stops, direction, walkingMatrix) {
+  // The same stop is listed once per route that serves it; ask about each place once
+  const stopIds = Array.from(new Set(stops.map((stop) => stop.stopId)));
+  const points = stopIds.map((id) => {
+    const stop = stops.find((s) => s.stopId === id);
+    return [stop.longitude, stop.latitude];
+  });
+  const here = [[location.longitude, location.latitude]];
+
+  let matrix;
+  try {
+    matrix = direction === 'from'
+      ? await walkingMatrix(here, points)
+      : await walkingMatrix(points, here);
+  } catch (err) {
+    console.warn('Walking matrix unavailable, using straight-line walk times:', err.message);
+    return stops;
   }
 
-  let closestBus = null;
-  let shortestWait = Infinity;
+  const cell = (table, index) => (direction === 'from' ? table?.[0]?.[index] : table?.[index]?.[0]);
+  const walks = new Map(stopIds.map((id, index) => [id, {
+    seconds: cell(matrix.durations, index),
+    meters: cell(matrix.distances, index),
+  }]));
 
-  // Check each vehicle's predictions for this stop
-  route.vehicles.forEach((vehicle) => {
-    if (!vehicle.predictions || vehicle.predictions.length === 0) {
-      return;
-    }
+  return stops
+    .filter((stop) => Number.isFinite(walks.get(stop.stopId).seconds))
+    .map((stop) => {
+      const walk = walks.get(stop.stopId);
+      return {
+        ...stop,
+        distanceMeters: Number.isFinite(walk.meters) ? walk.meters : stop.distanceMeters,
+        walkTimeMinutes: walk.seconds / 60 + stop.approachPenaltyMinutes,
+        walkTimeSource: 'matrix',
+      };
+    });
+}
 
-    // Find prediction for this specific stop
-    const prediction = vehicle.predictions.find(
-      (pred) => pred.stopId === stopId
-    );
-
-    if (prediction && prediction.timeToArrivalInSeconds !== undefined) {
-      const busArrivalMinutes = prediction.timeToArrivalInSeconds / 60;
-
-      // Only consider buses that arrive AFTER the user can get there
-      // Bus must arrive at least when user arrives (busArrival >= minArrivalTime)
-      if (busArrivalMinutes >= minArrivalTime && busArrivalMinutes < shortestWait) {
-        shortestWait = busArrivalMinutes;
-        closestBus = {
-          vehicleId: vehicle.id,
-          eta: busArrivalMinutes,
-          // Actual wait time = bus arrival - user arrival
-          waitTime: busArrivalMinutes - minArrivalTime,
-          predictionTime: prediction.predictionTime,
-          countdown: prediction.predictionCountdown,
-          isDelayed: prediction.isDelayed,
-          prediction: prediction,
-          vehicle: vehicle,
-        };
-      }
-    }
+/**
+ * Convert a journey leg from the RAPTOR search into one bus leg of a trip
+ */
+function buildLeg(journeyLeg) {
+  const { route, vehicle, prediction } = journeyLeg;
+
+  return {
+    routeId: route.id,
+    routeName: route.name,
+    routeColor: route.color,
+    startStop: journeyLeg.boardStop,
+    endStop: journeyLeg.alightStop,
+    busId: vehicle.id,
+    busETA: journeyLeg.departureTime,
+    busCountdown: prediction.predictionCountdown,
+    isDelayed: prediction.isDelayed,
+    arrivalTime: prediction.predictionTime,
+    // Actual wait time = bus arrival - user arrival
+    waitTime: journeyLeg.departureTime - journeyLeg.readyTime,
+    travelTime: journeyLeg.arrivalTime - journeyLeg.departureTime,
+    stopsBetween: journeyLeg.stopsBetween,
+    isEstimate: journeyLeg.isEstimate,
+    // 'bunched' or 'gap' (see serviceSpacing.js); a bus behind a gap already has its wait padded
+    serviceFlag: journeyLeg.serviceFlag,
+  };
+}
+
+/**
+ * Flatten a list of legs into the trip fields the rest of the app reads
+ * Top-level route/stop/bus fields describe the first bus; times cover the whole trip
+ */
+function buildTripSummary(legs, walkToStopTime, walkFromStopTime, transferWalkTime = 0) {
+  const firstLeg = legs[0];
+  const lastLeg = legs[legs.length - 1];
+
+  return {
+    routeId: firstLeg.routeId,
+    routeName: firstLeg.routeName,
+    routeColor: firstLeg.routeColor,
+    startStop: firstLeg.startStop,
+    endStop: lastLeg.endStop,
+    busId: firstLeg.busId,
+    busETA: firstLeg.busETA,
+    busCountdown: firstLeg.busCountdown,
+    isDelayed: legs.some(leg => leg.isDelayed),
+    arrivalTime: firstLeg.arrivalTime,
+    walkToStopTime: walkToStopTime,
+    busWaitTime: legs.reduce((sum, leg) => sum + leg.waitTime, 0),
+    busTravelTime: legs.reduce((sum, leg) => sum + leg.travelTime, 0),
+    transferWalkTime: transferWalkTime,
+    walkFromStopTime: walkFromStopTime,
+    stopsBetween: legs.reduce((sum, leg) => sum + leg.stopsBetween, 0),
+    transfers: legs.length - 1,
+    legs: legs,
+  };
+}
+
+/**
+ * How far into the future the live predictions reach
+ * A published schedule (from a GTFS feed) covers any time, so it has no horizon
+ * @returns {number} Minutes from now of the latest prediction (0 if there are none)
+ */
+function getPredictionHorizon(routes) {
+  let horizon = 0;
+  Object.values(routes).forEach((route) => {
+    if (route?.schedule) horizon = Infinity;
+    route?.vehicles?.forEach((vehicle) => {
+      vehicle.predictions?.forEach((prediction) => {
+        if (prediction.timeToArrivalInSeconds !== undefined) {
+          horizon = Math.max(horizon, prediction.timeToArrivalInSeconds / 60);
+        }
+      });
+    });
   });
+  return horizon;
+}
+
+/**
+ * Turn a journey from the RAPTOR search into a trip that leaves the origin at leaveTime
+ * @param {Object} journey - Journey from findJourneys
+ * @param {number} leaveTime - Minutes from now the user starts walking
+ * @param {Date} now - Time the predictions are relative to
+ */
+function journeyToTrip(journey, leaveTime, now) {
+  const legs = journey.legs.map((leg, index) =>
+    // The first wait starts whenever the user actually gets to the stop
+    buildLeg(index === 0 ? { ...leg, readyTime: leaveTime + journey.accessWalkTime } : leg)
+  );
+  const transferWalkTime = journey.legs.reduce((sum, leg) => sum + leg.transferWalkTime, 0);
+  const totalTime = journey.arrivalTime - leaveTime;
 
-  return closestBus;
+  return {
+    ...buildTripSummary(legs, journey.accessWalkTime, journey.egressWalkTime, transferWalkTime),
+    leaveTime: leaveTime,
+    totalTime: totalTime,
+    ETA: formatETA(journey.arrivalTime, now),
+    // Timetable estimates fill in for buses without live predictions
+    isEstimate: legs.some(leg => leg.isEstimate),
+  };
 }
 
 /**
- * Estimate bus travel time between two stops using live prediction data
- * @param {Object} route - Route object
- * @param {string} startStopId - Starting stop ID
- * @param {string} endStopId - Ending stop ID
- * @param {Object} busInfo - Bus info from findNextBus (includes vehicle and prediction)
- * @returns {Object} { travelTime: minutes, stopsBetween: count } or { travelTime: 0 } if invalid
+ * Find trips for someone leaving the origin at leaveTime (minutes from now)
  */
-function estimateBusTravelTime(route, startStopId, endStopId, busInfo = null) {
-  // PRIORITY: Use live prediction data from the vehicle's predictions array
-  if (busInfo && busInfo.vehicle && busInfo.vehicle.predictions) {
-    const predictions = busInfo.vehicle.predictions;
-
-    // Find the first prediction for the start stop
-    const startPred = predictions.find(p => p.stopId === startStopId);
-    if (!startPred || startPred.timeToArrivalInSeconds === undefined) {
-      return { travelTime: 0, stopsBetween: 0 }; // No valid start prediction
-    }
+function searchTrips(routes, startStops, endStops, leaveTime, now, profile) {
+  return findJourneys(routes, startStops, endStops, { ...profile, maxTransfers: 1, departureTime: leaveTime, now })
+    .map((journey) => journeyToTrip(journey, leaveTime, now));
+}
+
+/**
+ * Find the trips that let the user leave as late as possible and still arrive by the deadline
+ * Each pass searches again from just after the latest bus found so far, so a later
+ * bus that still makes it will be picked up
+ * @param {number} deadline - Minutes from now the user has to arrive by
+ * @returns {Array} On-time trips, each leaving ARRIVE_BY_BUFFER_MINUTES before it has to
+ */
+function planArriveBy(routes, startStops, endStops, deadline, now, profile) {
+  const tripsByKey = new Map();
+  let searchFrom = Math.max(0, deadline - ARRIVE_BY_LOOKBACK_MINUTES);
+
+  for (let i = 0; i < MAX_ARRIVE_BY_SEARCHES; i++) {
+    const onTime = findJourneys(routes, startStops, endStops, { ...profile, maxTransfers: 1, departureTime: searchFrom, now })
+      .filter((journey) => journey.arrivalTime <= deadline);
+    if (onTime.length === 0) break;
+
+    let latestCatch = searchFrom;
+    onTime.forEach((journey) => {
+      // Latest the user could leave and still make the first bus
+      const catchTime = journey.legs[0].departureTime - journey.accessWalkTime;
+      latestCatch = Math.max(latestCatch, catchTime);
+
+      const leaveTime = Math.max(searchFrom, catchTime - ARRIVE_BY_BUFFER_MINUTES);
+      const trip = journeyToTrip(journey, leaveTime, now);
+      const key = trip.legs.map((leg) => `${leg.busId}:${leg.startStop.id}:${leg.endStop.id}`).join('>');
+      if (!tripsByKey.has(key) || tripsByKey.get(key).leaveTime < leaveTime) {
+        tripsByKey.set(key, trip);
+      }
+    });
 
-    const startTime = startPred.timeToArrivalInSeconds;
-
-    // Find the next occurrence of the start stop (when bus loops back)
-    // We only want to consider end stops BEFORE the bus returns to start
-    const nextStartPred = predictions.find(
-      p => p.stopId === startStopId && p.timeToArrivalInSeconds > startTime
-    );
-    const loopBackTime = nextStartPred ? nextStartPred.timeToArrivalInSeconds : Infinity;
-
-    // Find the end stop prediction that comes AFTER start but BEFORE loop back
-    const endPred = predictions.find(
-      p => p.stopId === endStopId &&
-           p.timeToArrivalInSeconds !== undefined &&
-           p.timeToArrivalInSeconds > startTime &&
-           p.timeToArrivalInSeconds < loopBackTime
-    );
-
-    if (endPred) {
-      const travelTimeSec = endPred.timeToArrivalInSeconds - startTime;
-      const endTime = endPred.timeToArrivalInSeconds;
-
-      // Count unique stops between start and end (exclusive of start, inclusive of end)
-      const stopsBetween = new Set(
-        predictions
-          .filter(p =>
-            p.timeToArrivalInSeconds > startTime &&
-            p.timeToArrivalInSeconds <= endTime
-          )
-          .map(p => p.stopId)
-      ).size;
+    // Next pass: leave just too late for that bus and see if a later one still makes it
+    searchFrom = latestCatch + 0.25;
+  }
 
-      return {
-        travelTime: travelTimeSec / 60, // Convert to minutes
-        stopsBetween: stopsBetween
-      };
+  return Array.from(tripsByKey.values());
+}
+
+/**
+ * Reuse the trips running right now when the live predictions don't reach the requested time
+ * Assumes buses will run about like they do now, so every trip is flagged as an estimate
+ * @param {Array} currentTrips - Trips found leaving now
+ * @param {Function} getLeaveTime - (trip) => minutes from now the user should leave
+ */
+function estimateFromCurrentTrips(currentTrips, getLeaveTime, now) {
+  return currentTrips.map((trip) => {
+    const leaveTime = getLeaveTime(trip);
+    // Every bus moves by as much as the trip does
+    const shift = leaveTime - trip.leaveTime;
+    return {
+      ...trip,
+      leaveTime: leaveTime,
+      ETA: formatETA(leaveTime + trip.totalTime, now),
+      busETA: trip.busETA + shift,
+      busCountdown: null,
+      isEstimate: true,
+      legs: trip.legs.map((leg) => ({ ...leg, busETA: leg.busETA + shift, busCountdown: null })),
+    };
+  });
+}
+
+/**
+ * Catch old predictions up to now for "stale data" mode, route by route
+ * A bus predicted 10 minutes out in data that's 4 minutes old is now 6 minutes out;
+ * stops it should already have passed are dropped. Routes updated within
+ * STALE_DATA_MINUTES are left alone.
+ */
+export function ageStaleRoutes(routes, now) {
+  const aged = {};
+
+  Object.values(routes).forEach((route) => {
+    const ageMinutes = getRouteDataAge(route, now);
+    if (ageMinutes === null || ageMinutes <= STALE_DATA_MINUTES) {
+      aged[route.id] = route;
+      return;
     }
 
-    // No valid end stop found before loop back
-    return { travelTime: 0, stopsBetween: 0 };
-  }
+    const ageSeconds = ageMinutes * 60;
+    aged[route.id] = {
+      ...route,
+      vehicles: (route.vehicles || []).map((vehicle) => ({
+        ...vehicle,
+        predictions: (vehicle.predictions || [])
+          .filter((p) => p.timeToArrivalInSeconds !== undefined && p.timeToArrivalInSeconds >= ageSeconds)
+          .map((p) => ({ ...p, timeToArrivalInSeconds: p.timeToArrivalInSeconds - ageSeconds })),
+      })),
+    };
+  });
+
+  return aged;
+}
 
-  // FALLBACK: No prediction data - return 0 to indicate we can't validate this trip
-  // We require live prediction data to confirm direction
-  return { travelTime: 0, stopsBetween: 0 };
+/**
+ * Note how old the data behind a trip is, going by the routes it rides
+ * A trip on any stale route is planned in "stale data" mode and all its times are estimates
+ */
+function withDataAge(trip, routes, now) {
+  const dataAge = getVehicleDataAge(trip.legs.map((leg) => routes[leg.routeId]), now);
+  const isStale = dataAge !== null && dataAge > STALE_DATA_MINUTES;
+  const dated = { ...trip, isStale, dataAge };
+  return isStale ? markEstimate(dated) : dated;
+}
+
+/**
+ * Flag a trip and all its legs as estimated
+ */
+function markEstimate(trip) {
+  return {
+    ...trip,
+    isEstimate: true,
+    legs: trip.legs.map((leg) => ({ ...leg, isEstimate: true })),
+  };
 }
 
 /**
  * Main function: Find the best bus route from user location to destination
  * Only considers bus options - no longer compares to walking
+ * Considers direct trips and trips with one transfer between routes, using the
+ * round-based search in raptor.js
  * @param {Object} userLocation - {latitude, longitude}
  * @param {Object} destinationLocation - {latitude, longitude}
  * @param {Object} routes - All available bus routes
- * @returns {Object} Best bus route recommendation
+ * @param {Object} options
+ * @param {Date} options.departAt - Leave at this time instead of now
+ * @param {Date} options.arriveBy - Arrive by this time, leaving as late as possible
+ * @param {Date} options.now - Time to plan from (default new Date())
+ * @param {number} options.maxAlternatives - Most runner-up trips in alternativeTrips (default 2)
+ * @param {boolean} options.accessible - Step-free profile: slower walking, no stops marked
+ *                                       stepFree: false, steep approaches avoided
+ * @param {number} options.walkingSpeed - Walking pace in m/s (default WALKING_SPEED_MPS, or
+ *                                        ACCESSIBLE_WALKING_SPEED_MPS when accessible)
+ * @param {Function} options.walkingMatrix - (sources, destinations) => Promise<{ durations, distances }>;
+ *                                          when given, walks to and from the candidate stops are
+ *                                          timed by the router instead of in a straight line
+ * @returns {Object} Best bus route recommendation. When the vehicle data for a route the
+ *                   trip rides is more than STALE_DATA_MINUTES old (e.g. loaded from the
+ *                   offline cache) the trip is planned in "stale data" mode: isStale is true,
+ *                   dataAge says how old the data is, and every time is an estimate. Each
+ *                   trip (the best and the alternatives) carries its own isStale and dataAge.
  */
-export async function findBestRoute(userLocation, destinationLocation, routes) {
+export async function findBestRoute(userLocation, destinationLocation, routes, options = {}) {
   
   
     // Validation
@@ -226,11 +409,30 @@ export async function findBestRoute(userLocation, destinationLocation, routes) {
     };
   }
 
-  const directWalkTime = calculateWalkTime(userLocation, destinationLocation);
+  const {
+    departAt = null,
+    arriveBy = null,
+    now = new Date(),
+    maxAlternatives = 2,
+    accessible = false,
+    walkingSpeed = accessible ? ACCESSIBLE_WALKING_SPEED_MPS : WALKING_SPEED_MPS,
+    walkingMatrix = null,
+  } = options;
+  const profile = { walkingSpeed, stepFreeOnly: accessible };
+
+  const directWalkTime = calculateWalkTime(userLocation, destinationLocation, walkingSpeed);
   
   // Find all possible bus trips
-  const startStops = findNearbyStops(userLocation, routes, 750);
-  const endStops = findNearbyStops(destinationLocation, routes, 750);
+  let startStops = findNearbyStops(userLocation, routes, 750, profile);
+  let endStops = findNearbyStops(destinationLocation, routes, 750, profile);
+
+  // Real walking times (one matrix request each way) beat straight lines
+  if (walkingMatrix && startStops.length > 0 && endStops.length > 0) {
+    [startStops, endStops] = await Promise.all([
+      applyWalkingMatrix(userLocation, startStops, 'from', walkingMatrix),
+      applyWalkingMatrix(destinationLocation, endStops, 'to', walkingMatrix),
+    ]);
+  }
   
   if (startStops.length === 0) {
     return {
@@ -250,106 +452,86 @@ export async function findBestRoute(userLocation, destinationLocation, routes) {
     };
   }
   
-  // Check direction, get live ETAs, and calculate total time
-  const possibleTrips = [];
-  
-  //console.log(`\n=== Checking ${startStops.length} start stops x ${endStops.length} end stops ===`);
-  
-  for (const startStop of startStops) {
-    const route = routes[startStop.routeId];
-    if (!route) continue;
-    
-    //console.log(`\nStart stop: ${startStop.stopName} (${startStop.stopId}) on route ${route.id}`);
-    
-    for (const endStop of endStops) {
-      // Only consider stops on the same route
-      if (endStop.routeId !== startStop.routeId) continue;
-      
-      //console.log(`  End stop: ${endStop.stopName} (${endStop.stopId})`);
+  const planningMode = arriveBy ? 'arriveBy' : departAt ? 'departAt' : 'now';
 
-      // Same stop - skip
-      if (startStop.stopId === endStop.stopId) continue;
+  // Routes with old (cached) data: shift their predictions to now; trips on them are estimates
+  const fetchedRoutes = routes;
+  routes = ageStaleRoutes(routes, now);
 
-      // Get the next bus that arrives AFTER user can walk to the stop
-      const nextBus = findNextBus(route, startStop.stopId, startStop.walkTimeMinutes);
-      if (!nextBus) {
-        continue;
-      }
+  // Live predictions only look so far ahead - past that we fall back to estimates
+  const horizon = getPredictionHorizon(routes);
 
-      // Calculate bus travel time using live prediction data
-      // This also validates direction - if travelTime <= 0, the bus goes the wrong way
-      const busEstimate = estimateBusTravelTime(
-        route,
-        startStop.stopId,
-        endStop.stopId,
-        nextBus
-      );
+  // Round-based search over live predictions: direct trips and trips with one transfer
+  let possibleTrips = [];
+
+  if (planningMode === 'arriveBy') {
+    const deadline = minutesBetween(now, arriveBy);
+    if (deadline <= 0) {
+      return {
+        recommendation: 'error',
+        reason: 'That arrival time has already passed',
+        directWalkTime: directWalkTime,
+      };
+    }
 
-      // Skip if bus doesn't go from start to end (wrong direction or no valid prediction)
-      if (busEstimate.travelTime <= 0) continue;
+    // Predictions cover the window if the last bus the user could take would already show up in them
+    const shortestWalkFromStop = Math.min(...endStops.map((stop) => stop.walkTimeMinutes));
+    if (deadline - shortestWalkFromStop <= horizon) {
+      possibleTrips = planArriveBy(routes, startStops, endStops, deadline, now, profile);
+    } else {
+      possibleTrips = estimateFromCurrentTrips(
+        searchTrips(routes, startStops, endStops, 0, now, profile),
+        (trip) => Math.max(0, deadline - trip.totalTime - ARRIVE_BY_BUFFER_MINUTES),
+        now
+      ).filter((trip) => trip.leaveTime + trip.totalTime <= deadline);
+    }
+  } else {
+    const leaveTime = planningMode === 'departAt' ? Math.max(0, minutesBetween(now, departAt)) : 0;
 
-      // Calculate walk time from end stop to destination
-      const walkFromStop = calculateWalkTime(
-        { latitude: endStop.latitude, longitude: endStop.longitude },
-        destinationLocation
+    if (leaveTime <= horizon) {
+      possibleTrips = searchTrips(routes, startStops, endStops, leaveTime, now, profile);
+    }
+    if (possibleTrips.length === 0 && leaveTime > 0) {
+      possibleTrips = estimateFromCurrentTrips(
+        searchTrips(routes, startStops, endStops, 0, now, profile),
+        () => leaveTime,
+        now
       );
-
-      // Total time = walk to stop + wait for bus + ride + walk from stop
-      const totalTime =
-        startStop.walkTimeMinutes +  // Walk to start stop
-        nextBus.waitTime +           // Wait at stop (bus arrival - user arrival)
-        busEstimate.travelTime +     // Ride the bus
-        walkFromStop;                // Walk from end stop to destination
-
-      possibleTrips.push({
-        routeId: route.id,
-        routeName: route.name,
-        routeColor: route.color,
-        startStop: {
-          id: startStop.stopId,
-          name: startStop.stopName,
-          latitude: startStop.latitude,
-          longitude: startStop.longitude,
-        },
-        endStop: {
-          id: endStop.stopId,
-          name: endStop.stopName,
-          latitude: endStop.latitude,
-          longitude: endStop.longitude,
-        },
-        busId: nextBus.vehicleId,
-        busETA: nextBus.eta,
-        busCountdown: nextBus.countdown,
-        isDelayed: nextBus.isDelayed,
-        arrivalTime: nextBus.predictionTime,
-        walkToStopTime: startStop.walkTimeMinutes,
-        busWaitTime: nextBus.waitTime,  // Actual wait time at stop
-        busTravelTime: busEstimate.travelTime,
-        walkFromStopTime: walkFromStop,
-        totalTime: totalTime,
-        ETA: calculateETA(totalTime),
-        stopsBetween: busEstimate.stopsBetween,
-      });
     }
   }
   
   // Find the best trip
   if (possibleTrips.length === 0) {
+    // Old data on the routes near either end may be why nothing was found
+    const nearbyRoutes = [...startStops, ...endStops].map((stop) => fetchedRoutes[stop.routeId]);
+    const dataAge = getVehicleDataAge(nearbyRoutes, now);
     return {
       recommendation: 'error',
-      reason: 'No buses running along your route',
+      reason: planningMode === 'arriveBy'
+        ? 'No bus gets you there by that time'
+        : 'No buses running along your route',
       nearbyStartStops: startStops,
       nearbyEndStops: endStops,
+      isStale: dataAge !== null && dataAge > STALE_DATA_MINUTES,
+      dataAge: dataAge,
     };
   }
+
+  possibleTrips = possibleTrips.map((trip) => withDataAge(trip, fetchedRoutes, now));
   
   // Sort by total time, with closest start stop as tiebreaker when times are similar
+  // (for arrive-by, the trip that lets the user leave latest comes first)
   const TIME_SIMILARITY_THRESHOLD = 1; // minutes - consider times "about the same" if within this range
   possibleTrips.sort((a, b) => {
-    const timeDiff = a.totalTime - b.totalTime;
+    const timeDiff = planningMode === 'arriveBy'
+      ? b.leaveTime - a.leaveTime
+      : a.totalTime - b.totalTime;
 
-    // If arrival times are within threshold, prioritize closer start stop
+    // If times are within threshold, prefer fewer transfers, then closer start stop
     if (Math.abs(timeDiff) <= TIME_SIMILARITY_THRESHOLD) {
+      if (a.transfers !== b.transfers) {
+        return a.transfers - b.transfers;
+      }
       return a.walkToStopTime - b.walkToStopTime;
     }
 
@@ -366,6 +548,11 @@ export async function findBestRoute(userLocation, destinationLocation, routes) {
     routeShortName: bestTrip.routeId,
     routeLongName: bestTrip.routeName,
   },
+  routes: bestTrip.legs.map((leg) => ({
+    id: leg.routeId,
+    name: leg.routeName,
+    routeColor: leg.routeColor,
+  })),
   trip: {
     ...bestTrip,
     fromStop: bestTrip.startStop.name,
@@ -373,8 +560,14 @@ export async function findBestRoute(userLocation, destinationLocation, routes) {
     waitTime: bestTrip.busWaitTime,
     busTime: bestTrip.busTravelTime,
   },
+  planningMode: planningMode,
+  isEstimate: bestTrip.isEstimate,
+  isStale: bestTrip.isStale,
+  dataAge: bestTrip.dataAge,
   directWalkTime: directWalkTime,
-  alternativeTrips: possibleTrips.slice(1, 3),
+  accessible: accessible,
+  walkingSpeed: walkingSpeed,
+  alternativeTrips: possibleTrips.slice(1, 1 + maxAlternatives),
 };
 }
 
@@ -387,19 +580,4 @@ export function formatTime(minutes) {
   }
   const mins = Math.round(minutes);
   return `${mins} min${mins !== 1 ? 's' : ''}`;
-}
-
-/**
- * Calculate the ETA for a trip
- * @param {number} totalTime - Total time in minutes
- * @returns {string} ETA in the format of "H:MM"
- */
-function calculateETA(totalTime) {
-  const now = new Date();
-  now.setMinutes(now.getMinutes() + totalTime);
-  let hours = now.getHours();
-  hours = hours % 12;
-  if (hours === 0) hours = 12;
-  const minutes = now.getMinutes().toString().padStart(2, '0');
-  return `${hours}:${minutes}`;
-}
+}
\ No newline at end of file
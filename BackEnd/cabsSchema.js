@@ -0,0 +1,469 @@
+// cabsSchema.js - Validation and cleanup of CABS API responses
+//
+// The CABS API is loosely typed: numbers sometimes arrive as strings, stops and
+// buses occasionally report 0,0, and fields go missing. Everything from
+// content.osu.edu goes through here before the rest of the app sees it, so
+// downstream code can rely on:
+//
+//   stops      { id: string, name: string, latitude: number, longitude: number }
+//   patterns   { id: string, direction: string, length: number|null, encodedPolyline: string }
+//   vehicles   { id: string, latitude: number, longitude: number, heading: number|null,
+//                speed: number|null (m/s), destination: string|null, routeCode: string|null,
+//                predictions: [...], nextStop: string, lastUpdated: Date|null }
+//   predictions { stopId: string, stopName: string|null, timeToArrivalInSeconds: number,
+//                 isDelayed: boolean, predictionCountdown: string|null (e.g. "5 min"),
+//                 predictionTime: Date|null }  (sorted soonest first)
+//
+// Records that can't be repaired are dropped, and every normalize function
+// returns a report saying how many records were dropped or coerced and why.
+
+import { haversineDistance } from './utils.js';
+
+// Everything downstream uses m/s (the same as GTFS-Realtime), but the CABS API
+// doesn't document which unit vehicles[].speed is in. createSpeedUnitDetector()
+// works it out from how far buses actually move between polls; until it has
+// enough samples, mph is assumed.
+export const SPEED_UNITS = {
+  mph: 0.44704,
+  'km/h': 1 / 3.6,
+  'm/s': 1,
+};
+const DEFAULT_SPEED_UNIT = 'mph';
+
+/**
+ * Empty report for one kind of record
+ * @returns {Object} { total, valid, dropped, coerced, problems: { reason: count } }
+ */
+function createReport() {
+  return { total: 0, valid: 0, dropped: 0, coerced: 0, problems: {} };
+}
+
+function noteProblem(report, reason) {
+  report.problems[reason] = (report.problems[reason] || 0) + 1;
+}
+
+/**
+ * Combine reports, e.g. the per-route vehicle reports from one poll
+ */
+export function mergeReports(reports) {
+  const merged = createReport();
+  reports.filter(Boolean).forEach((report) => {
+    merged.total += report.total;
+    merged.valid += report.valid;
+    merged.dropped += report.dropped;
+    merged.coerced += report.coerced;
+    Object.entries(report.problems).forEach(([reason, count]) => {
+      merged.problems[reason] = (merged.problems[reason] || 0) + count;
+    });
+  });
+  return merged;
+}
+
+/**
+ * One-line summary for logs, or null if everything was clean
+ */
+export function describeReport(label, report) {
+  if (!report || (report.dropped === 0 && report.coerced === 0)) return null;
+  const problems = Object.entries(report.problems)
+    .map(([reason, count]) => `${reason} x${count}`)
+    .join(', ');
+  return `${label}: ${report.dropped} of ${report.total} dropped, ${report.coerced} coerced (${problems})`;
+}
+
+// --- Field coercion -------------------------------------------------------
+// Each helper returns { value, coerced } so callers can count repairs.
+
+function toNumber(raw) {
+  if (typeof raw === 'number') return { value: Number.isFinite(raw) ? raw : null, coerced: !Number.isFinite(raw) };
+  if (typeof raw === 'string' && raw.trim() !== '') {
+    const value = Number(raw);
+    return { value: Number.isFinite(value) ? value : null, coerced: true };
+  }
+  return { value: null, coerced: raw !== undefined && raw !== null };
+}
+
+function toId(raw) {
+  if (typeof raw === 'string') return { value: raw.trim() || null, coerced: raw !== raw.trim() };
+  if (typeof raw === 'number' && Number.isFinite(raw)) return { value: String(raw), coerced: true };
+  return { value: null, coerced: false };
+}
+
+function toText(raw) {
+  if (typeof raw === 'string') return raw.trim() || null;
+  if (typeof raw === 'number') return String(raw);
+  return null;
+}
+
+function toBoolean(raw) {
+  if (typeof raw === 'boolean') return { value: raw, coerced: false };
+  if (raw === 'true' || raw === 1 || raw === '1') return { value: true, coerced: true };
+  return { value: false, coerced: raw !== undefined && raw !== null };
+}
+
+/**
+ * ISO strings, Unix seconds or Unix milliseconds -> Date
+ */
+function toDate(raw) {
+  if (raw instanceof Date) return { value: Number.isNaN(raw.getTime()) ? null : raw, coerced: false };
+  if (raw === undefined || raw === null || raw === '') return { value: null, coerced: false };
+
+  const numeric = typeof raw === 'number' ? raw : (/^\d+(\.\d+)?$/.test(String(raw)) ? Number(raw) : null);
+  let date;
+  if (numeric !== null) {
+    // Anything below ~2001 in milliseconds must be seconds
+    date = new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+  } else {
+    date = new Date(raw);
+  }
+  return { value: Number.isNaN(date.getTime()) ? null : date, coerced: true };
+}
+
+/**
+ * True for a real place on Earth; 0,0 is what a GPS unit with no fix reports
+ */
+export function isValidCoordinate(latitude, longitude) {
+  return (
+    Number.isFinite(latitude) &&
+    Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180 &&
+    !(latitude === 0 && longitude === 0)
+  );
+}
+
+function readCoordinate(record) {
+  const latitude = toNumber(record.latitude);
+  const longitude = toNumber(record.longitude);
+  return {
+    latitude: latitude.value,
+    longitude: longitude.value,
+    coerced: latitude.coerced || longitude.coerced,
+    valid: isValidCoordinate(latitude.value, longitude.value),
+  };
+}
+
+// --- Records --------------------------------------------------------------
+
+function normalizeList(rawList, report, normalizeOne) {
+  if (!Array.isArray(rawList)) {
+    if (rawList !== undefined && rawList !== null) noteProblem(report, 'not-a-list');
+    return [];
+  }
+
+  const seen = new Set();
+  const results = [];
+  rawList.forEach((raw) => {
+    report.total += 1;
+    const reject = (reason) => {
+      report.dropped += 1;
+      noteProblem(report, reason);
+    };
+
+    if (!raw || typeof raw !== 'object') {
+      reject('not-an-object');
+      return;
+    }
+
+    let coerced = false;
+    const markCoerced = (reason) => {
+      coerced = true;
+      noteProblem(report, reason);
+    };
+
+    const record = normalizeOne(raw, reject, markCoerced);
+    if (!record) return;
+
+    if (record.id !== undefined) {
+      if (seen.has(record.id)) {
+        reject('duplicate-id');
+        return;
+      }
+      seen.add(record.id);
+    }
+
+    if (coerced) report.coerced += 1;
+    report.valid += 1;
+    results.push(record);
+  });
+  return results;
+}
+
+function normalizeStop(raw, reject, markCoerced) {
+  const id = toId(raw.id);
+  if (!id.value) return reject('missing-id');
+  if (id.coerced) markCoerced('id-type');
+
+  const position = readCoordinate(raw);
+  if (!position.valid) return reject('bad-coordinates');
+  if (position.coerced) markCoerced('coordinate-type');
+
+  return {
+    id: id.value,
+    name: toText(raw.name) || id.value,
+    latitude: position.latitude,
+    longitude: position.longitude,
+  };
+}
+
+function normalizePattern(raw, reject, markCoerced) {
+  const id = toId(raw.id);
+  if (!id.value) return reject('missing-id');
+  if (id.coerced) markCoerced('id-type');
+
+  if (typeof raw.encodedPolyline !== 'string' || raw.encodedPolyline.length === 0) {
+    return reject('missing-polyline');
+  }
+
+  const length = toNumber(raw.length);
+  if (length.coerced) markCoerced('length-type');
+
+  return {
+    id: id.value,
+    direction: toText(raw.direction) || '',
+    length: length.value !== null && length.value > 0 ? length.value : null,
+    encodedPolyline: raw.encodedPolyline,
+  };
+}
+
+function normalizePrediction(raw, reject, markCoerced) {
+  const stopId = toId(raw.stopId);
+  if (!stopId.value) return reject('missing-stop-id');
+  if (stopId.coerced) markCoerced('stop-id-type');
+
+  const seconds = toNumber(raw.timeToArrivalInSeconds);
+  if (seconds.value === null) return reject('bad-arrival-time');
+  if (seconds.coerced) markCoerced('arrival-time-type');
+
+  const isDelayed = toBoolean(raw.isDelayed);
+  if (isDelayed.coerced) markCoerced('delayed-type');
+
+  // Shown to the rider as is ("Bus arriving in 5 min"), so only text is kept
+  const hasCountdown = raw.predictionCountdown !== undefined && raw.predictionCountdown !== null;
+  const countdown = typeof raw.predictionCountdown === 'string' ? raw.predictionCountdown.trim() || null : null;
+  if (hasCountdown && typeof raw.predictionCountdown !== 'string') markCoerced('countdown-type');
+
+  const predictionTime = toDate(raw.predictionTime);
+  if (raw.predictionTime && !predictionTime.value) markCoerced('bad-prediction-time');
+
+  return {
+    stopId: stopId.value,
+    stopName: toText(raw.stopName),
+    timeToArrivalInSeconds: Math.round(seconds.value),
+    isDelayed: isDelayed.value,
+    predictionCountdown: countdown,
+    predictionTime: predictionTime.value,
+  };
+}
+
+function normalizeVehicle(raw, reject, markCoerced, predictionReport, speedFactor) {
+  const id = toId(raw.id);
+  if (!id.value) return reject('missing-id');
+  if (id.coerced) markCoerced('id-type');
+
+  const position = readCoordinate(raw);
+  if (!position.valid) return reject('bad-coordinates');
+  if (position.coerced) markCoerced('coordinate-type');
+
+  const heading = toNumber(raw.heading);
+  if (heading.coerced) markCoerced('heading-type');
+
+  const speed = toNumber(raw.speed);
+  if (speed.coerced) markCoerced('speed-type');
+
+  const updated = toDate(raw.updated ?? raw.lastUpdated);
+  if ((raw.updated ?? raw.lastUpdated) && !updated.value) markCoerced('bad-timestamp');
+
+  const predictions = normalizeList(raw.predictions, predictionReport, normalizePrediction)
+    .sort((a, b) => a.timeToArrivalInSeconds - b.timeToArrivalInSeconds);
+
+  const destination = toText(raw.destination);
+
+  return {
+    id: id.value,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    heading: heading.value === null ? null : ((heading.value % 360) + 360) % 360,
+    speed: speed.value === null || speed.value < 0 ? null : speed.value * speedFactor,
+    destination,
+    routeCode: toText(raw.routeCode),
+    predictions,
+
+    // Get the first prediction's stop name as the next stop
+    nextStop: predictions[0]?.stopName || destination || 'Unknown',
+    lastUpdated: updated.value,
+  };
+}
+
+// --- Responses ------------------------------------------------------------
+
+/**
+ * Clean up GET /routes
+ * @returns {Object} { routes: [{ code, name, color }], report }
+ */
+export function normalizeRouteList(json) {
+  const report = createReport();
+  const routes = normalizeList(json?.data?.routes, report, (raw, reject) => {
+    const code = toId(raw.code);
+    if (!code.value) return reject('missing-code');
+    return {
+      id: code.value,
+      code: code.value,
+      name: toText(raw.name),
+      color: typeof raw.color === 'string' && /^#?[0-9a-f]{3,8}$/i.test(raw.color)
+        ? (raw.color.startsWith('#') ? raw.color : `#${raw.color}`)
+        : null,
+    };
+  }).map(({ code, name, color }) => ({ code, name, color }));
+
+  return { routes, report };
+}
+
+/**
+ * Clean up GET /routes/:id
+ * @returns {Object} { name, stops, patterns, report }
+ */
+export function normalizeRouteDetails(json) {
+  const data = json?.data || {};
+  const stopReport = createReport();
+  const patternReport = createReport();
+
+  const stops = normalizeList(data.stops, stopReport, normalizeStop);
+  const patterns = normalizeList(data.patterns, patternReport, normalizePattern);
+
+  return {
+    name: toText(data.name),
+    stops,
+    patterns,
+    report: { stops: stopReport, patterns: patternReport },
+  };
+}
+
+/**
+ * Clean up GET /routes/:id/vehicles
+ * @param {Object} options
+ * @param {string} options.speedUnit - Unit the feed reports speed in, a key of SPEED_UNITS
+ *                                     (default mph; see createSpeedUnitDetector)
+ * @returns {Object} { vehicles, report: { vehicles, predictions } }
+ */
+export function normalizeVehicles(json, options = {}) {
+  const { speedUnit = DEFAULT_SPEED_UNIT } = options;
+  const speedFactor = SPEED_UNITS[speedUnit] ?? SPEED_UNITS[DEFAULT_SPEED_UNIT];
+  const vehicleReport = createReport();
+  const predictionReport = createReport();
+
+  const vehicles = normalizeList(json?.data?.vehicles, vehicleReport, (raw, reject, markCoerced) =>
+    normalizeVehicle(raw, reject, markCoerced, predictionReport, speedFactor));
+
+  return { vehicles, report: { vehicles: vehicleReport, predictions: predictionReport } };
+}
+
+// Position pairs further apart in time than this don't say much about speed
+const SPEED_SAMPLE_MIN_SECONDS = 5;
+const SPEED_SAMPLE_MAX_SECONDS = 90;
+
+// Buses that barely moved (or barely report moving) are left out: GPS jitter swamps them
+const SPEED_SAMPLE_MIN_METERS = 15;
+const SPEED_SAMPLE_MIN_REPORTED = 2;
+
+/**
+ * Work out which unit a feed reports vehicle speed in
+ * Each pair of polls of a moving bus gives one sample: the distance it covered over
+ * the time between reports, divided by the speed it reported. The median sample
+ * should sit near the unit's m/s factor (0.45 for mph, 0.28 for km/h, 1 for m/s);
+ * the straight line between polls is a little shorter than the road, so it reads
+ * slightly low.
+ * @param {Object} options
+ * @param {number} options.minSamples - Samples needed before leaving the default (default 10)
+ * @param {number} options.maxSamples - Most recent samples kept (default 50)
+ */
+export function createSpeedUnitDetector(options = {}) {
+  const { minSamples = 10, maxSamples = 50 } = options;
+
+  // `${routeId}:${vehicleId}` -> { latitude, longitude, time, reported }
+  const lastSeen = new Map();
+  const samples = [];
+  let unit = DEFAULT_SPEED_UNIT;
+
+  function pickUnit() {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+
+    // Closest factor on a log scale; anything more than 1.5x off every unit is noise
+    let best = null;
+    let bestDistance = Math.log(1.5);
+    Object.entries(SPEED_UNITS).forEach(([name, factor]) => {
+      const distance = Math.abs(Math.log(median / factor));
+      if (distance < bestDistance) {
+        best = name;
+        bestDistance = distance;
+      }
+    });
+    return best || unit;
+  }
+
+  return {
+    /**
+     * The unit speeds should be read in right now
+     */
+    unit() {
+      return unit;
+    },
+
+    /**
+     * Learn from one poll of a route's vehicles
+     * @param {string} routeId
+     * @param {Array} vehicles - From normalizeVehicles, read with the current unit()
+     * @param {number} fetchedAt - When the poll happened (ms), for vehicles without lastUpdated
+     * @returns {boolean} Whether the unit changed
+     */
+    observe(routeId, vehicles, fetchedAt = Date.now()) {
+      const factor = SPEED_UNITS[unit];
+
+      (vehicles || []).forEach((vehicle) => {
+        if (typeof vehicle.speed !== 'number') return;
+        const key = `${routeId}:${vehicle.id}`;
+        const time = vehicle.lastUpdated ? new Date(vehicle.lastUpdated).getTime() : fetchedAt;
+        const current = { latitude: vehicle.latitude, longitude: vehicle.longitude, time, reported: vehicle.speed / factor };
+        const previous = lastSeen.get(key);
+        lastSeen.set(key, current);
+        if (!previous) return;
+
+        const seconds = (current.time - previous.time) / 1000;
+        if (seconds < SPEED_SAMPLE_MIN_SECONDS || seconds > SPEED_SAMPLE_MAX_SECONDS) return;
+        const meters = haversineDistance(previous.latitude, previous.longitude, current.latitude, current.longitude);
+        const reported = (previous.reported + current.reported) / 2;
+        if (meters < SPEED_SAMPLE_MIN_METERS || reported < SPEED_SAMPLE_MIN_REPORTED) return;
+
+        samples.push(meters / seconds / reported);
+        if (samples.length > maxSamples) samples.shift();
+      });
+
+      if (samples.length < minSamples) return false;
+      const next = pickUnit();
+      const changed = next !== unit;
+      unit = next;
+      return changed;
+    },
+  };
+}
+
+/**
+ * Turn lastUpdated back into a Date on vehicles read from JSON (e.g. the offline cache)
+ * @param {Object} routes - Routes keyed by ID
+ * @returns {Object} The same routes with revived dates
+ */
+export function reviveVehicleDates(routes) {
+  if (!routes) return routes;
+
+  const revived = {};
+  Object.values(routes).forEach((route) => {
+    revived[route.id] = {
+      ...route,
+      vehicles: (route.vehicles || []).map((vehicle) => ({
+        ...vehicle,
+        lastUpdated: toDate(vehicle.lastUpdated).value,
+      })),
+    };
+  });
+  return revived;
+}
@@ -0,0 +1,477 @@
+// gtfsRealtime.js - GTFS-Realtime vehicle positions and trip updates
+//
+// Reads GTFS-Realtime protobuf feeds (VehiclePositions, TripUpdates) and maps
+// them onto the same vehicles[].predictions[] structure fetchAllRoutes gives
+// for CABS buses, so agencies like COTA can be planned alongside them.
+// Service Alerts feeds are read into the alerts serviceAlerts.js works with.
+// The decoder takes raw bytes, so fixture .pb files can be fed straight in.
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+const FIXED32 = 5;
+
+import { normalizeAlerts } from './serviceAlerts.js';
+import { requestBinary } from './httpClient.js';
+
+// TripUpdate.StopTimeUpdate.ScheduleRelationship
+const STOP_SKIPPED = 1;
+
+// Alert.Effect -> effect names from serviceAlerts.js (anything else is 'other')
+const ALERT_EFFECTS = {
+  1: 'no-service',
+  2: 'reduced-service',
+  3: 'delays',
+  4: 'detour',
+  6: 'detour',      // MODIFIED_SERVICE
+  9: 'detour',      // STOP_MOVED
+};
+
+// A bus this far behind schedule is shown as delayed
+const DELAYED_THRESHOLD_SECONDS = 120;
+
+// The parts of gtfs-realtime.proto the planner uses: field number -> [name, type, repeated]
+// Other fields (occupancy, translations' languages, ...) are skipped.
+const SCHEMA = {
+  FeedMessage: {
+    1: ['header', 'FeedHeader'],
+    2: ['entity', 'FeedEntity', true],
+  },
+  FeedHeader: {
+    1: ['gtfsRealtimeVersion', 'string'],
+    3: ['timestamp', 'uint64'],
+  },
+  FeedEntity: {
+    1: ['id', 'string'],
+    2: ['isDeleted', 'bool'],
+    3: ['tripUpdate', 'TripUpdate'],
+    4: ['vehicle', 'VehiclePosition'],
+    5: ['alert', 'Alert'],
+  },
+  TripUpdate: {
+    1: ['trip', 'TripDescriptor'],
+    2: ['stopTimeUpdate', 'StopTimeUpdate', true],
+    3: ['vehicle', 'VehicleDescriptor'],
+    4: ['timestamp', 'uint64'],
+    5: ['delay', 'int32'],
+  },
+  StopTimeUpdate: {
+    1: ['stopSequence', 'uint32'],
+    2: ['arrival', 'StopTimeEvent'],
+    3: ['departure', 'StopTimeEvent'],
+    4: ['stopId', 'string'],
+    5: ['scheduleRelationship', 'uint32'],
+  },
+  StopTimeEvent: {
+    1: ['delay', 'int32'],
+    2: ['time', 'int64'],
+    3: ['uncertainty', 'int32'],
+  },
+  TripDescriptor: {
+    1: ['tripId', 'string'],
+    2: ['startTime', 'string'],
+    3: ['startDate', 'string'],
+    5: ['routeId', 'string'],
+    6: ['directionId', 'uint32'],
+  },
+  VehicleDescriptor: {
+    1: ['id', 'string'],
+    2: ['label', 'string'],
+  },
+  VehiclePosition: {
+    1: ['trip', 'TripDescriptor'],
+    2: ['position', 'Position'],
+    3: ['currentStopSequence', 'uint32'],
+    5: ['timestamp', 'uint64'],
+    7: ['stopId', 'string'],
+    8: ['vehicle', 'VehicleDescriptor'],
+  },
+  Position: {
+    1: ['latitude', 'float'],
+    2: ['longitude', 'float'],
+    3: ['bearing', 'float'],
+    5: ['speed', 'float'],
+  },
+  Alert: {
+    1: ['activePeriod', 'TimeRange', true],
+    5: ['informedEntity', 'EntitySelector', true],
+    7: ['effect', 'uint32'],
+    10: ['headerText', 'TranslatedString'],
+    11: ['descriptionText', 'TranslatedString'],
+  },
+  TimeRange: {
+    1: ['start', 'uint64'],
+    2: ['end', 'uint64'],
+  },
+  EntitySelector: {
+    2: ['routeId', 'string'],
+    4: ['trip', 'TripDescriptor'],
+    5: ['stopId', 'string'],
+  },
+  TranslatedString: {
+    1: ['translation', 'Translation', true],
+  },
+  Translation: {
+    1: ['text', 'string'],
+    2: ['language', 'string'],
+  },
+};
+
+/**
+ * Read a varint as its low and high 32-bit halves
+ * JS numbers can't hold every 64-bit value, and negative int32s are sent as 10-byte varints
+ */
+function readVarint(state) {
+  const { bytes } = state;
+  let lo = 0;
+  let hi = 0;
+
+  for (let shift = 0; shift < 70; shift += 7) {
+    if (state.pos >= bytes.length) throw new Error('Truncated GTFS-Realtime varint');
+    const b = bytes[state.pos++];
+    const bits = b & 0x7f;
+
+    if (shift < 28) {
+      lo |= bits << shift;
+    } else if (shift === 28) {
+      lo |= bits << 28;
+      hi |= bits >>> 4;
+    } else {
+      hi |= bits << (shift - 32);
+    }
+
+    if ((b & 0x80) === 0) break;
+  }
+
+  return { lo: lo >>> 0, hi: hi >>> 0 };
+}
+
+function readValue(state, type, wireType) {
+  const { bytes, view } = state;
+
+  switch (type) {
+    case 'bool':
+    case 'uint32': {
+      const { lo } = readVarint(state);
+      return type === 'bool' ? lo !== 0 : lo;
+    }
+    case 'int32':
+      return readVarint(state).lo | 0;
+    case 'uint64': {
+      const { lo, hi } = readVarint(state);
+      return hi * 4294967296 + lo;
+    }
+    case 'int64': {
+      const { lo, hi } = readVarint(state);
+      return (hi | 0) * 4294967296 + lo;
+    }
+    case 'float': {
+      const value = view.getFloat32(state.pos, true);
+      state.pos += 4;
+      return value;
+    }
+    default: {
+      // Strings and nested messages are both length-delimited
+      if (wireType !== LENGTH_DELIMITED) throw new Error(`Unexpected wire type ${wireType} for ${type}`);
+      const length = readVarint(state).lo;
+      const start = state.pos;
+      state.pos += length;
+      if (state.pos > bytes.length) throw new Error('Truncated GTFS-Realtime message');
+      return type === 'string'
+        ? decodeUtf8(bytes.subarray(start, state.pos))
+        : decodeMessage(bytes.subarray(start, state.pos), type);
+    }
+  }
+}
+
+function skipField(state, wireType) {
+  switch (wireType) {
+    case VARINT:
+      readVarint(state);
+      break;
+    case FIXED64:
+      state.pos += 8;
+      break;
+    case LENGTH_DELIMITED:
+      state.pos += readVarint(state).lo;
+      break;
+    case FIXED32:
+      state.pos += 4;
+      break;
+    default:
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+  }
+}
+
+function decodeUtf8(bytes) {
+  if (typeof TextDecoder !== 'undefined') return new TextDecoder().decode(bytes);
+  // Feed IDs are ASCII in practice; good enough where TextDecoder is missing
+  return String.fromCharCode(...bytes);
+}
+
+/**
+ * Decode one protobuf message using SCHEMA
+ * @param {Uint8Array} bytes
+ * @param {string} typeName - Message name in SCHEMA
+ */
+function decodeMessage(bytes, typeName) {
+  const fields = SCHEMA[typeName];
+  const state = {
+    bytes,
+    view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength),
+    pos: 0,
+  };
+  const message = {};
+
+  while (state.pos < bytes.length) {
+    const key = readVarint(state).lo;
+    const fieldNumber = key >>> 3;
+    const wireType = key & 0x7;
+    const field = fields[fieldNumber];
+
+    if (!field) {
+      skipField(state, wireType);
+      continue;
+    }
+
+    const [name, type, repeated] = field;
+    const value = readValue(state, type, wireType);
+    if (repeated) {
+      if (!message[name]) message[name] = [];
+      message[name].push(value);
+    } else {
+      message[name] = value;
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Decode a GTFS-Realtime FeedMessage
+ * @param {Uint8Array|ArrayBuffer} data - Raw protobuf bytes (from fetch or a fixture file)
+ * @returns {Object} { header: { timestamp }, entity: [{ id, tripUpdate, vehicle }] }
+ */
+export function decodeFeedMessage(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const feed = decodeMessage(bytes, 'FeedMessage');
+  feed.entity = feed.entity || [];
+  return feed;
+}
+
+/**
+ * Turn a trip update's stop time updates into predictions
+ * Stops the bus will skip, and stops it has already passed, are left out
+ * @param {number} nowSeconds - Unix time (seconds) predictions are measured from
+ */
+function buildPredictions(tripUpdate, nowSeconds) {
+  const predictions = [];
+
+  (tripUpdate.stopTimeUpdate || []).forEach((update) => {
+    if (update.scheduleRelationship === STOP_SKIPPED || !update.stopId) return;
+
+    const event = update.arrival?.time ? update.arrival : update.departure;
+    // Delay-only updates need the static schedule to become a time; skip them
+    if (!event?.time) return;
+
+    const timeToArrivalInSeconds = Math.round(event.time - nowSeconds);
+    if (timeToArrivalInSeconds < 0) return;
+
+    const delay = event.delay ?? tripUpdate.delay ?? 0;
+    predictions.push({
+      stopId: update.stopId,
+      timeToArrivalInSeconds,
+      isDelayed: delay >= DELAYED_THRESHOLD_SECONDS,
+    });
+  });
+
+  return predictions.sort((a, b) => a.timeToArrivalInSeconds - b.timeToArrivalInSeconds);
+}
+
+/**
+ * Map decoded VehiclePositions and TripUpdates feeds onto vehicles with predictions
+ * Trip updates are matched to positions by vehicle ID, then by trip ID. Either
+ * feed can be left out, and a single feed carrying both entity types works too.
+ * @param {Array} feeds - Decoded FeedMessages
+ * @param {Object} options
+ * @param {Date} options.now - Time predictions are relative to (default new Date())
+ * @returns {Array} Vehicles: { id, latitude, longitude, heading, speed, destination, routeCode,
+ *                  tripId, predictions: [{ stopId, timeToArrivalInSeconds, isDelayed }], nextStop, lastUpdated }
+ */
+export function feedsToVehicles(feeds, options = {}) {
+  const { now = new Date() } = options;
+  const nowSeconds = now.getTime() / 1000;
+
+  const vehicles = new Map();
+  const byTripId = new Map();
+
+  const getVehicle = (key, trip) => {
+    const existing = vehicles.get(key) || (trip?.tripId && byTripId.get(trip.tripId));
+    if (existing) return existing;
+
+    const vehicle = {
+      id: key,
+      latitude: null,
+      longitude: null,
+      heading: null,
+      speed: null,
+      destination: null,
+      routeCode: trip?.routeId || null,
+      tripId: trip?.tripId || null,
+      predictions: [],
+      nextStop: 'Unknown',
+      lastUpdated: null,
+    };
+    vehicles.set(key, vehicle);
+    if (vehicle.tripId) byTripId.set(vehicle.tripId, vehicle);
+    return vehicle;
+  };
+
+  feeds.forEach((feed) => {
+    (feed?.entity || []).forEach((entity) => {
+      if (entity.isDeleted) return;
+
+      if (entity.vehicle) {
+        const { vehicle: descriptor, trip, position, timestamp, stopId } = entity.vehicle;
+        const vehicle = getVehicle(descriptor?.id || trip?.tripId || entity.id, trip);
+
+        if (position) {
+          vehicle.latitude = position.latitude;
+          vehicle.longitude = position.longitude;
+          vehicle.heading = position.bearing ?? null;
+          vehicle.speed = position.speed ?? null; // meters per second
+        }
+        vehicle.routeCode = vehicle.routeCode || trip?.routeId || null;
+        if (!vehicle.tripId && trip?.tripId) {
+          vehicle.tripId = trip.tripId;
+          byTripId.set(trip.tripId, vehicle);
+        }
+        if (stopId && vehicle.nextStop === 'Unknown') vehicle.nextStop = stopId;
+        if (timestamp) vehicle.lastUpdated = new Date(timestamp * 1000);
+      }
+
+      if (entity.tripUpdate) {
+        const { vehicle: descriptor, trip } = entity.tripUpdate;
+        const vehicle = getVehicle(descriptor?.id || trip?.tripId || entity.id, trip);
+
+        vehicle.predictions = buildPredictions(entity.tripUpdate, nowSeconds);
+        vehicle.routeCode = vehicle.routeCode || trip?.routeId || null;
+        if (vehicle.predictions.length > 0) vehicle.nextStop = vehicle.predictions[0].stopId;
+      }
+    });
+  });
+
+  return Array.from(vehicles.values());
+}
+
+/**
+ * English text from a TranslatedString, or the first translation there is
+ */
+function translatedText(translated) {
+  const translations = translated?.translation || [];
+  const english = translations.find((t) => !t.language || t.language.toLowerCase().startsWith('en'));
+  return (english || translations[0])?.text || '';
+}
+
+/**
+ * Read the alerts out of decoded Service Alerts feeds
+ * GTFS route_ids are turned into the app's route IDs using the routes' schedules
+ * @param {Array} feeds - Decoded FeedMessages
+ * @param {Object} options
+ * @param {Object} options.routes - Routes keyed by ID, e.g. from gtfsToRoutes
+ * @param {string} options.idPrefix - Prefix the routes were imported with
+ * @returns {Array} Normalized alerts (see serviceAlerts.js)
+ */
+export function feedsToAlerts(feeds, options = {}) {
+  const { routes = {}, idPrefix = '' } = options;
+  const rawAlerts = [];
+
+  const routeIdByGtfsId = new Map();
+  Object.values(routes).forEach((route) => {
+    (route.schedule?.trips || []).forEach((trip) => routeIdByGtfsId.set(trip.routeId, route.id));
+  });
+  const toRouteId = (gtfsId) => routeIdByGtfsId.get(gtfsId) || `${idPrefix}${gtfsId}`;
+
+  feeds.forEach((feed) => {
+    (feed?.entity || []).forEach((entity) => {
+      if (entity.isDeleted || !entity.alert) return;
+      const { alert } = entity;
+      const informed = alert.informedEntity || [];
+      const routeIds = informed.map((selector) => selector.routeId || selector.trip?.routeId).filter(Boolean);
+
+      rawAlerts.push({
+        id: entity.id,
+        title: translatedText(alert.headerText),
+        description: translatedText(alert.descriptionText),
+        effect: ALERT_EFFECTS[alert.effect] || 'other',
+        routeIds: [...new Set(routeIds.map(toRouteId))],
+        stopIds: [...new Set(informed.map((selector) => selector.stopId).filter(Boolean))],
+        // Unset times decode as missing, which serviceAlerts reads as open-ended
+        activePeriods: (alert.activePeriod || []).map((period) => ({ start: period.start || null, end: period.end || null })),
+      });
+    });
+  });
+
+  return normalizeAlerts(rawAlerts, 'gtfs');
+}
+
+/**
+ * Attach realtime vehicles to routes, replacing each matched route's vehicles
+ * Vehicles are matched by trip ID against a route's GTFS schedule first, then by
+ * route ID (with or without the prefix gtfsToRoutes was given)
+ * @param {Object} routes - Routes keyed by ID, e.g. from gtfsToRoutes
+ * @param {Array} vehicles - From feedsToVehicles
+ * @param {Object} options
+ * @param {string} options.idPrefix - Prefix the routes were imported with
+ * @returns {Object} New routes object
+ */
+export function attachRealtimeVehicles(routes, vehicles, options = {}) {
+  const { idPrefix = '' } = options;
+
+  const routeByTripId = new Map();
+  const routeByGtfsId = new Map();
+  Object.values(routes).forEach((route) => {
+    routeByGtfsId.set(route.id, route);
+    (route.schedule?.trips || []).forEach((trip) => {
+      routeByTripId.set(trip.id, route);
+      routeByGtfsId.set(trip.routeId, route);
+    });
+  });
+
+  const vehiclesByRoute = new Map();
+  vehicles.forEach((vehicle) => {
+    const route = routeByTripId.get(vehicle.tripId) ||
+      routeByGtfsId.get(vehicle.routeCode) ||
+      routeByGtfsId.get(`${idPrefix}${vehicle.routeCode}`);
+    if (!route) return;
+    if (!vehiclesByRoute.has(route.id)) vehiclesByRoute.set(route.id, []);
+    vehiclesByRoute.get(route.id).push({ ...vehicle, routeCode: route.id });
+  });
+
+  const updated = { ...routes };
+  vehiclesByRoute.forEach((routeVehicles, routeId) => {
+    updated[routeId] = { ...routes[routeId], vehicles: routeVehicles };
+  });
+  return updated;
+}
+
+/**
+ * Fetch and decode a GTFS-Realtime feed
+ * Goes through httpClient, so a feed that's down gets the same timeout, retries
+ * and circuit breaker as the CABS endpoints
+ * @param {string} url - VehiclePositions, TripUpdates or Service Alerts endpoint
+ * @returns {Promise<Object|null>} Decoded FeedMessage, or null if the feed couldn't be fetched or read
+ */
+export async function fetchGtfsRealtimeFeed(url) {
+  try {
+    return await requestBinary(url, {
+      endpoint: `gtfs-realtime ${url}`,
+      retries: 1,
+      decode: decodeFeedMessage,
+    });
+  } catch (err) {
+    console.warn(`GTFS-Realtime feed ${url} unavailable:`, err.message);
+    return null;
+  }
+}
@@ -0,0 +1,444 @@
+// gtfsStatic.js - Import a GTFS static feed as scheduled routes
+//
+// Turns a GTFS zip (stops.txt, trips.txt, stop_times.txt, shapes.txt,
+// calendar.txt, calendar_dates.txt, routes.txt) into the same
+// { id, name, color, stops, patterns } shape fetchAllRoutes produces, plus a
+// `schedule` the planner turns into trips when no live buses are reporting, or
+// past the last live prediction.
+// Used for routes the CABS API doesn't cover (MM, ACK, WMC), COTA, and offline.
+
+import { unzipSync, strFromU8 } from 'fflate';
+import polyline from 'polyline';
+import { haversineDistance } from './utils.js';
+import { requestBinary } from './httpClient.js';
+
+// calendar.txt day columns, in Date.getDay() order
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// calendar_dates.txt exception_type values
+const SERVICE_ADDED = 1;
+const SERVICE_REMOVED = 2;
+
+const REQUIRED_FILES = ['stops.txt', 'trips.txt', 'stop_times.txt'];
+
+// A whole agency's feed is a few megabytes, so give it longer than an API call
+const GTFS_ZIP_TIMEOUT_MS = 60 * 1000;
+
+// A scheduled stop this close to a live one is taken to be the same stop
+const STOP_MATCH_METERS = 30;
+
+/**
+ * Parse a GTFS CSV file into one object per row, keyed by the header names
+ * Handles quoted fields, escaped quotes, CRLF line endings and a leading BOM
+ * @returns {Array} Rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let header = null;
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    fields.push(field);
+    field = '';
+    if (!header) {
+      header = fields.map((name) => name.trim());
+    } else if (fields.length > 1 || fields[0] !== '') {
+      const row = {};
+      header.forEach((name, i) => {
+        row[name] = (fields[i] ?? '').trim();
+      });
+      rows.push(row);
+    }
+    fields = [];
+  };
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n') {
+      endRow();
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+}
+
+/**
+ * Parse a GTFS time ("HH:MM:SS", hours may go past 24 for trips after midnight)
+ * @returns {number|null} Seconds after the start of the service day
+ */
+export function parseGtfsTime(text) {
+  const match = String(text || '').match(/^(\d{1,3}):(\d{2}):(\d{2})$/);
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+/**
+ * Format a date as a GTFS service date key ("YYYYMMDD", local time)
+ */
+export function serviceDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}${month}${day}`;
+}
+
+/**
+ * Unzip a GTFS feed
+ * @param {Uint8Array|ArrayBuffer} zipData - Contents of the .zip file
+ * @returns {Object} filename -> file text, for the .txt files in the zip
+ */
+export function readGtfsZip(zipData) {
+  const bytes = zipData instanceof Uint8Array ? zipData : new Uint8Array(zipData);
+  const entries = unzipSync(bytes, {
+    filter: (file) => file.name.endsWith('.txt'),
+  });
+
+  const files = {};
+  Object.entries(entries).forEach(([path, contents]) => {
+    // Some feeds are zipped inside a folder
+    const name = path.split('/').pop();
+    files[name] = strFromU8(contents);
+  });
+
+  REQUIRED_FILES.forEach((name) => {
+    if (!files[name]) throw new Error(`GTFS feed is missing ${name}`);
+  });
+
+  return files;
+}
+
+/**
+ * Whether a service runs on a given day, applying calendar_dates exceptions
+ * @param {Object} schedule - Route schedule from gtfsToRoutes
+ * @param {string} serviceId
+ * @param {Date} date - Any time on the service day
+ */
+export function isServiceActive(schedule, serviceId, date) {
+  const dateKey = serviceDateKey(date);
+
+  const exception = schedule.exceptions?.[serviceId]?.[dateKey];
+  if (exception === SERVICE_ADDED) return true;
+  if (exception === SERVICE_REMOVED) return false;
+
+  const service = schedule.calendar?.[serviceId];
+  if (!service) return false;
+  if (dateKey < service.startDate || dateKey > service.endDate) return false;
+  return service.days[date.getDay()];
+}
+
+/**
+ * Encode a list of points the way the CABS API encodes pattern shapes
+ * @returns {Object} { encodedPolyline, length } with length in meters
+ */
+function encodeShape(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += haversineDistance(points[i - 1][0], points[i - 1][1], points[i][0], points[i][1]);
+  }
+  return { encodedPolyline: polyline.encode(points), length };
+}
+
+/**
+ * Group shapes.txt rows into ordered point lists
+ * @returns {Map} shapeId -> [[lat, lng], ...]
+ */
+function buildShapes(rows) {
+  const grouped = new Map();
+
+  rows.forEach((row) => {
+    const latitude = Number(row.shape_pt_lat);
+    const longitude = Number(row.shape_pt_lon);
+    if (!isFinite(latitude) || !isFinite(longitude)) return;
+    if (!grouped.has(row.shape_id)) grouped.set(row.shape_id, []);
+    grouped.get(row.shape_id).push({ sequence: Number(row.shape_pt_sequence), point: [latitude, longitude] });
+  });
+
+  const shapes = new Map();
+  grouped.forEach((points, shapeId) => {
+    points.sort((a, b) => a.sequence - b.sequence);
+    shapes.set(shapeId, points.map((p) => p.point));
+  });
+  return shapes;
+}
+
+/**
+ * Group stop_times.txt rows by trip, in stop order
+ * @returns {Map} tripId -> [{ stopId, time }] with time in seconds after the start of the service day
+ */
+function buildStopTimes(rows) {
+  const grouped = new Map();
+
+  rows.forEach((row) => {
+    // Untimed stops between timepoints are left blank; riders can't plan around them
+    const time = parseGtfsTime(row.departure_time || row.arrival_time);
+    if (time === null) return;
+    if (!grouped.has(row.trip_id)) grouped.set(row.trip_id, []);
+    grouped.get(row.trip_id).push({ stopId: row.stop_id, time, sequence: Number(row.stop_sequence) });
+  });
+
+  grouped.forEach((stopTimes) => {
+    stopTimes.sort((a, b) => a.sequence - b.sequence);
+    stopTimes.forEach((stopTime) => delete stopTime.sequence);
+  });
+  return grouped;
+}
+
+/**
+ * Read calendar.txt and calendar_dates.txt
+ * @returns {Object} { calendar: { serviceId: { days, startDate, endDate } }, exceptions: { serviceId: { date: type } } }
+ */
+function buildCalendar(calendarRows, calendarDateRows) {
+  const calendar = {};
+  calendarRows.forEach((row) => {
+    calendar[row.service_id] = {
+      days: WEEKDAYS.map((day) => row[day] === '1'),
+      startDate: row.start_date,
+      endDate: row.end_date,
+    };
+  });
+
+  const exceptions = {};
+  calendarDateRows.forEach((row) => {
+    if (!exceptions[row.service_id]) exceptions[row.service_id] = {};
+    exceptions[row.service_id][row.date] = Number(row.exception_type);
+  });
+
+  return { calendar, exceptions };
+}
+
+/**
+ * Convert unzipped GTFS files into routes
+ * @param {Object} files - filename -> file text, e.g. from readGtfsZip
+ * @param {Object} options
+ * @param {string} options.idPrefix - Prepended to every route ID so feeds from different agencies can't collide
+ * @returns {Object} Routes keyed by ID: { id, name, color, stops, patterns, vehicles: [], schedule }
+ *                   schedule is { calendar, exceptions, trips: [{ id, routeId, serviceId, headsign, direction, patternId, stopTimes }] }
+ */
+export function gtfsToRoutes(files, options = {}) {
+  const { idPrefix = '' } = options;
+
+  const stopRows = parseCsv(files['stops.txt'] || '');
+  const tripRows = parseCsv(files['trips.txt'] || '');
+  const routeRows = parseCsv(files['routes.txt'] || '');
+  const { calendar, exceptions } = buildCalendar(
+    parseCsv(files['calendar.txt'] || ''),
+    parseCsv(files['calendar_dates.txt'] || '')
+  );
+  const shapes = buildShapes(parseCsv(files['shapes.txt'] || ''));
+  const stopTimesByTrip = buildStopTimes(parseCsv(files['stop_times.txt'] || ''));
+
+  const stopsById = new Map();
+  stopRows.forEach((row) => {
+    const latitude = Number(row.stop_lat);
+    const longitude = Number(row.stop_lon);
+    if (!isFinite(latitude) || !isFinite(longitude)) return;
+    const stop = { id: row.stop_id, name: row.stop_name, latitude, longitude };
+    // wheelchair_boarding: 1 = step-free boarding, 2 = not possible, 0/empty = unknown
+    if (row.wheelchair_boarding === '1') stop.stepFree = true;
+    if (row.wheelchair_boarding === '2') stop.stepFree = false;
+    stopsById.set(row.stop_id, stop);
+  });
+
+  const routeInfo = new Map();
+  routeRows.forEach((row) => routeInfo.set(row.route_id, row));
+
+  const routes = {};
+  const routeStopIds = new Map();
+
+  tripRows.forEach((tripRow) => {
+    const stopTimes = (stopTimesByTrip.get(tripRow.trip_id) || [])
+      .filter((stopTime) => stopsById.has(stopTime.stopId));
+    if (stopTimes.length < 2) return;
+
+    const info = routeInfo.get(tripRow.route_id) || {};
+    const id = `${idPrefix}${info.route_short_name || tripRow.route_id}`;
+
+    if (!routes[id]) {
+      routes[id] = {
+        id,
+        name: info.route_long_name || info.route_short_name || 'Unknown',
+        color: info.route_color ? `#${info.route_color}` : '#990000',
+        stops: [],
+        patterns: [],
+        vehicles: [],
+        schedule: { calendar: {}, exceptions: {}, trips: [] },
+      };
+      routeStopIds.set(id, new Set());
+    }
+    const route = routes[id];
+
+    // One pattern per shape; trips without a shape get one traced through their stops
+    const patternId = tripRow.shape_id || `${tripRow.route_id}:${stopTimes.map((st) => st.stopId).join('-')}`;
+    if (!route.patterns.some((pattern) => pattern.id === patternId)) {
+      const points = shapes.get(tripRow.shape_id) ||
+        stopTimes.map((st) => [stopsById.get(st.stopId).latitude, stopsById.get(st.stopId).longitude]);
+      const { encodedPolyline, length } = encodeShape(points);
+      route.patterns.push({
+        id: patternId,
+        direction: tripRow.direction_id || null,
+        length,
+        encodedPolyline,
+      });
+    }
+
+    const stopIds = routeStopIds.get(id);
+    stopTimes.forEach((stopTime) => {
+      if (!stopIds.has(stopTime.stopId)) {
+        stopIds.add(stopTime.stopId);
+        route.stops.push(stopsById.get(stopTime.stopId));
+      }
+    });
+
+    const serviceId = tripRow.service_id;
+    if (calendar[serviceId]) route.schedule.calendar[serviceId] = calendar[serviceId];
+    if (exceptions[serviceId]) route.schedule.exceptions[serviceId] = exceptions[serviceId];
+
+    route.schedule.trips.push({
+      id: tripRow.trip_id,
+      routeId: tripRow.route_id,
+      serviceId,
+      headsign: tripRow.trip_headsign || null,
+      direction: tripRow.direction_id || null,
+      patternId,
+      stopTimes,
+    });
+  });
+
+  return routes;
+}
+
+/**
+ * Load a GTFS zip straight into routes
+ * @param {Uint8Array|ArrayBuffer} zipData - Contents of the .zip file
+ * @param {Object} options - See gtfsToRoutes
+ */
+export function loadGtfsRoutes(zipData, options = {}) {
+  return gtfsToRoutes(readGtfsZip(zipData), options);
+}
+
+/**
+ * Download a GTFS static zip
+ * @param {string} url - Where the agency publishes its feed
+ * @returns {Promise<ArrayBuffer>} The zip contents, for loadGtfsRoutes
+ * @throws {HttpClientError} If the feed couldn't be fetched
+ */
+export async function fetchGtfsZip(url) {
+  return requestBinary(url, { endpoint: `gtfs-static ${url}`, timeoutMs: GTFS_ZIP_TIMEOUT_MS, retries: 1 });
+}
+
+/**
+ * Match each scheduled stop to a live one: the same ID, or else the closest live
+ * stop within STOP_MATCH_METERS (feeds rarely share stop IDs)
+ * @returns {Map} Scheduled stop ID -> live stop ID, for the stops that matched
+ */
+function matchStops(liveStops, scheduledStops) {
+  const liveIds = new Set(liveStops.map((stop) => stop.id));
+  const matches = new Map();
+
+  scheduledStops.forEach((scheduledStop) => {
+    if (liveIds.has(scheduledStop.id)) {
+      matches.set(scheduledStop.id, scheduledStop.id);
+      return;
+    }
+
+    let best = null;
+    let bestDistance = STOP_MATCH_METERS;
+    liveStops.forEach((liveStop) => {
+      const distance = haversineDistance(scheduledStop.latitude, scheduledStop.longitude, liveStop.latitude, liveStop.longitude);
+      if (distance <= bestDistance) {
+        best = liveStop.id;
+        bestDistance = distance;
+      }
+    });
+    if (best) matches.set(scheduledStop.id, best);
+  });
+
+  return matches;
+}
+
+/**
+ * A schedule with its stop times moved onto the live route's stop IDs
+ * Stop times at stops the live route doesn't have are dropped, and so are trips
+ * left with fewer than two stops
+ */
+function remapSchedule(schedule, stopMatches) {
+  const trips = schedule.trips
+    .map((trip) => ({
+      ...trip,
+      stopTimes: trip.stopTimes
+        .filter((stopTime) => stopMatches.has(stopTime.stopId))
+        .map((stopTime) => ({ ...stopTime, stopId: stopMatches.get(stopTime.stopId) })),
+    }))
+    .filter((trip) => trip.stopTimes.length >= 2);
+  return { ...schedule, trips };
+}
+
+/**
+ * Combine live routes with scheduled ones
+ * Live routes keep their live data and pick up the schedule for the same route, so
+ * the planner can fall back to it when no buses are reporting and past the last
+ * prediction. The schedule's stop IDs are moved onto the live route's stops (see
+ * matchStops), since the planner looks stops up on the route. Routes only in the
+ * schedule (MM, ACK, WMC, COTA) are added as-is.
+ * @param {Object} liveRoutes - From fetchAllRoutes
+ * @param {Object} scheduledRoutes - From gtfsToRoutes
+ */
+export function mergeScheduledRoutes(liveRoutes, scheduledRoutes) {
+  const merged = { ...scheduledRoutes };
+
+  Object.values(liveRoutes || {}).forEach((route) => {
+    const scheduled = scheduledRoutes?.[route.id];
+    if (!scheduled) {
+      merged[route.id] = route;
+      return;
+    }
+
+    const liveStops = route.stops || [];
+    if (liveStops.length === 0) {
+      merged[route.id] = {
+        ...route,
+        stops: scheduled.stops,
+        patterns: route.patterns?.length > 0 ? route.patterns : scheduled.patterns,
+        schedule: scheduled.schedule,
+      };
+      return;
+    }
+
+    let schedule = scheduled.schedule;
+    if (schedule?.trips) {
+      schedule = remapSchedule(schedule, matchStops(liveStops, scheduled.stops || []));
+      if (schedule.trips.length === 0 && scheduled.schedule.trips.length > 0) {
+        console.warn(`Schedule for route ${route.id} doesn't line up with its live stops; planning it from live data only`);
+      }
+    }
+
+    merged[route.id] = {
+      ...route,
+      patterns: route.patterns?.length > 0 ? route.patterns : scheduled.patterns,
+      schedule,
+    };
+  });
+
+  return merged;
+}
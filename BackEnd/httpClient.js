@@ -0,0 +1,308 @@
+// httpClient.js - Shared HTTP client for the CABS, GTFS-Realtime and walking directions APIs
+//
+// Adds what plain fetch doesn't have: a timeout on every request, retries with
+// exponential backoff and jitter, and a circuit breaker per endpoint so a server
+// that's down isn't hit again on every poll. Failures are thrown as typed errors
+// so callers (and the UI) can tell a dropped connection from a server error
+// from a response in the wrong shape.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;
+
+// Backoff before retry n is a random delay up to BASE * 2^n, capped at MAX
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+// Consecutive failed requests before an endpoint's circuit opens
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+
+// How long an open circuit rejects requests; doubles each time a trial request fails
+const CIRCUIT_COOLDOWN_MS = 30 * 1000;
+const CIRCUIT_MAX_COOLDOWN_MS = 5 * 60 * 1000;
+
+/**
+ * Base class for every error the client throws
+ * `type` is a plain string for places that can't use instanceof (e.g. after JSON)
+ */
+export class HttpClientError extends Error {
+  constructor(message, { endpoint, url, cause } = {}) {
+    super(message);
+    this.name = 'HttpClientError';
+    this.type = 'unknown';
+    this.endpoint = endpoint;
+    this.url = url;
+    this.cause = cause;
+  }
+}
+
+/** The request never got an answer: offline, DNS, connection reset */
+export class NetworkError extends HttpClientError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.type = 'network';
+  }
+}
+
+/** The server took longer than the timeout to answer */
+export class TimeoutError extends NetworkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+    this.type = 'timeout';
+  }
+}
+
+/** The server answered with a non-2xx status */
+export class HttpStatusError extends HttpClientError {
+  constructor(status, details) {
+    super(`HTTP ${status}`, details);
+    this.name = 'HttpStatusError';
+    this.type = 'http';
+    this.status = status;
+  }
+}
+
+/** The server answered, but not with the data we expected */
+export class SchemaError extends HttpClientError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'SchemaError';
+    this.type = 'schema';
+  }
+}
+
+/** The endpoint has failed repeatedly, so the request wasn't sent */
+export class CircuitOpenError extends HttpClientError {
+  constructor(endpoint, retryAt) {
+    super(`${endpoint} is unavailable; retrying after ${new Date(retryAt).toLocaleTimeString()}`, { endpoint });
+    this.name = 'CircuitOpenError';
+    this.type = 'circuit-open';
+    this.retryAt = retryAt;
+  }
+}
+
+// endpoint -> { failures, openUntil, cooldown, trialInFlight }
+const circuits = new Map();
+
+function getCircuit(endpoint) {
+  if (!circuits.has(endpoint)) {
+    circuits.set(endpoint, { failures: 0, openUntil: 0, cooldown: CIRCUIT_COOLDOWN_MS, trialInFlight: false });
+  }
+  return circuits.get(endpoint);
+}
+
+function recordSuccess(endpoint) {
+  circuits.set(endpoint, { failures: 0, openUntil: 0, cooldown: CIRCUIT_COOLDOWN_MS, trialInFlight: false });
+}
+
+function recordFailure(endpoint) {
+  const circuit = getCircuit(endpoint);
+  circuit.failures += 1;
+
+  if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    // Already tripped before: the trial request failed, so wait longer this time
+    if (circuit.openUntil > 0) {
+      circuit.cooldown = Math.min(circuit.cooldown * 2, CIRCUIT_MAX_COOLDOWN_MS);
+    }
+    circuit.openUntil = Date.now() + circuit.cooldown;
+  }
+}
+
+/**
+ * Current circuit breaker state for an endpoint
+ * @returns {Object} { state: 'closed' | 'open' | 'half-open', failures, retryAt }
+ */
+export function getCircuitState(endpoint) {
+  const circuit = getCircuit(endpoint);
+  let state = 'closed';
+  if (circuit.openUntil > Date.now()) state = 'open';
+  else if (circuit.openUntil > 0) state = 'half-open';
+  return { state, failures: circuit.failures, retryAt: circuit.openUntil || null };
+}
+
+/**
+ * Close every circuit (e.g. when the device comes back online)
+ */
+export function resetCircuits() {
+  circuits.clear();
+}
+
+function backoffDelay(attempt) {
+  const cap = Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  return Math.random() * cap;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Transport failures, timeouts, 5xx and 429: worth retrying, and a sign the server is down.
+// Other errors (a 404 for a walk that can't be routed, bad data) mean it answered.
+function isRetryable(error) {
+  if (error instanceof NetworkError) return true;
+  if (error instanceof HttpStatusError) return error.status >= 500 || error.status === 429;
+  return false;
+}
+
+/**
+ * One attempt: fetch with a timeout, check the status, parse and validate the body
+ * `parse` turns the response into data (JSON by default) and throws if it can't
+ */
+async function attemptRequest(url, fetchOptions, { endpoint, timeoutMs, validate, parse = parseJson }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+  } catch (err) {
+    if (err?.name === 'AbortError') {
+      throw new TimeoutError(`No response from ${endpoint} after ${timeoutMs / 1000}s`, { endpoint, url, cause: err });
+    }
+    throw new NetworkError(`Couldn't reach ${endpoint}: ${err?.message || err}`, { endpoint, url, cause: err });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    throw new HttpStatusError(response.status, { endpoint, url });
+  }
+
+  let data;
+  try {
+    data = await parse(response);
+  } catch (err) {
+    throw new SchemaError(`${endpoint} didn't return valid ${parse.format || 'data'}: ${err?.message || err}`, { endpoint, url, cause: err });
+  }
+
+  if (validate) {
+    const problem = validate(data);
+    if (problem) {
+      throw new SchemaError(`${endpoint} returned unexpected data: ${problem}`, { endpoint, url });
+    }
+  }
+
+  return data;
+}
+
+function parseJson(response) {
+  return response.json();
+}
+parseJson.format = 'JSON';
+
+/**
+ * Fetch JSON with a timeout, retries and a per-endpoint circuit breaker
+ * @param {string} url
+ * @param {Object} options
+ * @param {string} options.endpoint - Name the circuit breaker tracks (default: host + path).
+ *                                    Give URLs that differ only by ID the same name.
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.headers
+ * @param {string} options.body
+ * @param {number} options.timeoutMs - Per attempt (default 8s)
+ * @param {number} options.retries - Extra attempts after the first for network errors, 5xx and 429 (default 2)
+ * @param {Function} options.validate - (json) => problem description, or null if it looks right
+ * @returns {Promise<Object>} Parsed JSON
+ * @throws {NetworkError|TimeoutError|HttpStatusError|SchemaError|CircuitOpenError}
+ */
+export async function requestJson(url, options = {}) {
+  return request(url, { ...options, parse: parseJson });
+}
+
+/**
+ * Fetch a binary body (e.g. a GTFS-Realtime protobuf feed) with the same timeout,
+ * retries and circuit breaker as requestJson
+ * @param {string} url
+ * @param {Object} options - Same as requestJson, plus:
+ * @param {Function} options.decode - (ArrayBuffer) => data; throw if the bytes can't be read,
+ *                                    which surfaces as a SchemaError (default: the raw ArrayBuffer)
+ * @returns {Promise<*>} The decoded body
+ * @throws {NetworkError|TimeoutError|HttpStatusError|SchemaError|CircuitOpenError}
+ */
+export async function requestBinary(url, options = {}) {
+  const { decode = (bytes) => bytes, ...rest } = options;
+  const parse = async (response) => decode(await response.arrayBuffer());
+  parse.format = 'binary data';
+  return request(url, { ...rest, parse });
+}
+
+async function request(url, options) {
+  const {
+    endpoint = defaultEndpoint(url),
+    method = 'GET',
+    headers,
+    body,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    validate,
+    parse,
+  } = options;
+
+  const circuit = getCircuit(endpoint);
+  if (circuit.openUntil > Date.now()) {
+    throw new CircuitOpenError(endpoint, circuit.openUntil);
+  }
+
+  // Half-open: one trial request decides whether the circuit closes; the rest wait for it
+  const isTrial = circuit.openUntil > 0;
+  if (isTrial) {
+    if (circuit.trialInFlight) throw new CircuitOpenError(endpoint, Date.now());
+    circuit.trialInFlight = true;
+  }
+
+  let lastError;
+  try {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) await sleep(backoffDelay(attempt - 1));
+
+      try {
+        const data = await attemptRequest(url, { method, headers, body }, { endpoint, timeoutMs, validate, parse });
+        recordSuccess(endpoint);
+        return data;
+      } catch (err) {
+        lastError = err;
+        if (!isRetryable(err)) break;
+      }
+    }
+  } finally {
+    if (isTrial) circuit.trialInFlight = false;
+  }
+
+  // Only failures that say the server is down count; any other answer shows it's up
+  if (isRetryable(lastError)) {
+    recordFailure(endpoint);
+  } else {
+    recordSuccess(endpoint);
+  }
+  throw lastError;
+}
+
+function defaultEndpoint(url) {
+  const match = String(url).match(/^[a-z]+:\/\/([^/?#]+)([^?#]*)/i);
+  return match ? `${match[1]}${match[2]}` : String(url);
+}
+
+/**
+ * A short message for the UI that says what kind of failure happened
+ */
+export function describeError(error) {
+  switch (error?.type) {
+    case 'timeout':
+      return 'The server is taking too long to respond';
+    case 'network':
+      return 'No connection - check your internet';
+    case 'http':
+      return error.status >= 500
+        ? `The server is having problems (HTTP ${error.status})`
+        : `The request was rejected (HTTP ${error.status})`;
+    case 'schema':
+      return 'The server sent data we couldn\'t read';
+    case 'circuit-open':
+      return 'The service is down - trying again shortly';
+    case 'unsupported-profile':
+      return 'Step-free walking directions aren\'t available - walks are straight-line estimates';
+    default:
+      return 'Something went wrong loading data';
+  }
+}
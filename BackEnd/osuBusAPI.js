@@ -1,102 +1,273 @@
-export async function fetchAllRoutes() {
-  const routeIds = ['BE', 'CC', 'CLS', 'ER', 'NWC', 'MC']; // MM, ACK, WMC missing info in API
+import { markDegraded, mergeVehicles } from './routeData.js';
+import { requestJson } from './httpClient.js';
+import { normalizeAlerts } from './serviceAlerts.js';
+import {
+  normalizeRouteList,
+  normalizeRouteDetails,
+  normalizeVehicles,
+  mergeReports,
+  describeReport,
+  createSpeedUnitDetector,
+} from './cabsSchema.js';
+
+const CABS_BASE_URL = 'https://content.osu.edu/v2/bus';
+
+// Only used when the route list itself can't be fetched
+const FALLBACK_ROUTE_IDS = ['BE', 'CC', 'CLS', 'ER', 'NWC', 'MC'];
+
+// Stops and pattern shapes only change between semesters
+const STATIC_ROUTES_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Try again sooner when part of the static data failed to load
+const PARTIAL_STATIC_ROUTES_TTL_MS = 5 * 60 * 1000;
+
+let staticRoutesCache = null;   // { routes, fetchedAt, ttl }
+let staticRoutesRequest = null; // Download in progress, if any
 
-  // Fetch color data ONCE outside the loop
-  let routeColors = {};
+// Latest schema reports per route, for getDataQualityReport()
+const qualityReports = { routeList: null, stops: {}, patterns: {}, vehicles: {}, predictions: {} };
+
+// CABS doesn't document its speed unit, so it's worked out from the buses' own movement
+const speedUnitDetector = createSpeedUnitDetector();
+
+/**
+ * Fetch the routes CABS is currently running
+ * Service changes each semester, so this list is the source of truth rather than a hard-coded one
+ * @returns {Promise<Array|null>} [{ code, name, color }], or null if the list couldn't be fetched
+ */
+export async function fetchRouteList() {
   try {
-    const routesResponse = await fetch('https://content.osu.edu/v2/bus/routes');
-    if (routesResponse.ok) {
-      const routesJson = await routesResponse.json();
-      routesJson.data.routes.forEach(route => {
-        routeColors[route.code] = route.color;
-      });
-    }
+    const routesJson = await requestJson(`${CABS_BASE_URL}/routes`, {
+      endpoint: 'cabs-routes',
+      validate: (json) => (Array.isArray(json?.data?.routes) ? null : 'no data.routes list'),
+    });
+    const { routes, report } = normalizeRouteList(routesJson);
+    qualityReports.routeList = report;
+    logReport('Route list', report);
+    return routes;
   } catch (err) {
-    console.warn('Failed to fetch route colors:', err);
+    console.warn('Failed to fetch route list:', err.message);
+    return null;
   }
+}
 
-  const promises = routeIds.map(async (id) => {
-    try {
-      const routeColor = routeColors[id];
+/**
+ * Fetch every active route's stops and pattern shapes, without vehicles
+ * These change at most once a semester, so they're cached for hours and shared by
+ * every caller; only vehicles need polling (see fetchRouteVehicles)
+ * @param {Object} options
+ * @param {boolean} options.force - Ignore the cache and download again
+ * @returns {Promise<Object>} Routes keyed by route code, each with vehicles: []
+ * @throws {HttpClientError} If no route's details could be downloaded at all (e.g. offline)
+ */
+export async function fetchStaticRoutes(options = {}) {
+  const { force = false } = options;
+
+  if (!force && staticRoutesCache && Date.now() - staticRoutesCache.fetchedAt < staticRoutesCache.ttl) {
+    return staticRoutesCache.routes;
+  }
+
+  // Callers that arrive while a download is running share it
+  if (!staticRoutesRequest) {
+    staticRoutesRequest = downloadStaticRoutes()
+      .then((result) => {
+        // Nothing came back: don't cache an empty answer, let the caller fall back
+        if (result.error) throw result.error;
+
+        staticRoutesCache = {
+          routes: result.routes,
+          fetchedAt: Date.now(),
+          ttl: result.complete ? STATIC_ROUTES_TTL_MS : PARTIAL_STATIC_ROUTES_TTL_MS,
+        };
+        return result.routes;
+      })
+      .finally(() => {
+        staticRoutesRequest = null;
+      });
+  }
+
+  return staticRoutesRequest;
+}
 
+/**
+ * Download the route list and every route's stops and patterns
+ * @returns {Promise<Object>} { routes, complete, error } where complete is false if anything
+ *                            failed to load, and error is set if nothing loaded
+ */
+async function downloadStaticRoutes() {
+  const listedRoutes = await fetchRouteList();
+  const routeList = listedRoutes || FALLBACK_ROUTE_IDS.map((code) => ({ code }));
+  let firstError = null;
+
+  const promises = routeList.map(async ({ code: id, name, color }) => {
+    let stops = [];
+    let patterns = [];
+    let routeName = name || 'Unknown';
+    let detailsMissing = true;
+
+    try {
       // Fetch route data
-      const response = await fetch(`https://content.osu.edu/v2/bus/routes/${id}`);
-      if (!response.ok) {
-        console.warn(`Route ${id} fetch failed: HTTP ${response.status}`);
-        return null;
-      }
-
-      const routeJson = await response.json();
-      const routeData = routeJson.data;
-
-      if (!routeData) return null;
-
-      const stops = routeData.stops?.map((stop) => ({
-        id: stop.id,
-        name: stop.name,
-        latitude: stop.latitude,
-        longitude: stop.longitude,
-      })) || [];
-
-      const patterns = routeData.patterns?.map((pattern) => ({
-        id: pattern.id,
-        direction: pattern.direction,
-        length: pattern.length,
-        encodedPolyline: pattern.encodedPolyline,
-      })) || [];
-
-      // Fetch vehicle locations for this route
-      let vehicles = [];
-      try {
-        const vehiclesResponse = await fetch(`https://content.osu.edu/v2/bus/routes/${id}/vehicles`);
-        if (vehiclesResponse.ok) {
-          const vehiclesJson = await vehiclesResponse.json();
-          
-          //The vehicles are in data.vehicles
-          const vehicleArray = vehiclesJson.data?.vehicles || [];
-          
-          vehicles = vehicleArray.map((vehicle) => ({
-  id: vehicle.id,
-  latitude: vehicle.latitude,
-  longitude: vehicle.longitude,
-  heading: vehicle.heading,
-  speed: vehicle.speed,
-  destination: vehicle.destination,
-  routeCode: vehicle.routeCode,
-  predictions: vehicle.predictions || [],
-
-  // Get the first prediction's stop name as the next stop
-  nextStop:
-    (vehicle.predictions && vehicle.predictions[0]?.stopName) ||
-    vehicle.destination ||
-    'Unknown',
-  lastUpdated: vehicle.updated,
-}));
-        } else {
-          console.warn(`Vehicles for route ${id} fetch failed: HTTP ${vehiclesResponse.status}`);
-        }
-      } catch (vehicleErr) {
-        console.error(`Route ${id} vehicles fetch error:`, vehicleErr);
-      }
-
-      return {
-        id,
-        name: routeData.name || 'Unknown',
-        color: routeColor  || '#990000',
-        stops,
-        patterns,
-        vehicles,
-      };
+      const routeJson = await requestJson(`${CABS_BASE_URL}/routes/${id}`, {
+        endpoint: 'cabs-route-details',
+        validate: (json) => (json?.data && typeof json.data === 'object' ? null : 'no data object'),
+      });
+      const details = normalizeRouteDetails(routeJson);
+      qualityReports.stops[id] = details.report.stops;
+      qualityReports.patterns[id] = details.report.patterns;
+      logReport(`Route ${id} stops`, details.report.stops);
+      logReport(`Route ${id} patterns`, details.report.patterns);
+
+      detailsMissing = false;
+      routeName = details.name || routeName;
+      stops = details.stops;
+      patterns = details.patterns;
     } catch (err) {
-      console.error(`Route ${id} fetch error:`, err);
-      return null;
+      console.warn(`Route ${id} fetch failed:`, err.message);
+      firstError = firstError || err;
     }
+
+    return markDegraded({
+      id,
+      name: routeName,
+      color: color || '#990000',
+      stops,
+      patterns,
+      vehicles: [],
+    }, detailsMissing);
   });
 
-  const routesArray = (await Promise.all(promises)).filter(Boolean);
+  const routesArray = await Promise.all(promises);
 
   const routes = {};
   routesArray.forEach((r) => (routes[r.id] = r));
 
-  return routes;
-}
\ No newline at end of file
+  const detailsLoaded = routesArray.filter((r) => !r.degradedReasons.includes('no-route-details'));
+
+  return {
+    routes,
+    complete: Boolean(listedRoutes) && detailsLoaded.length === routesArray.length,
+    error: detailsLoaded.length === 0 ? firstError : null,
+  };
+}
+
+/**
+ * Fetch live vehicles for several routes at once
+ * @param {Array} routeIds - Route codes
+ * @returns {Promise<Object>} routeId -> vehicles[] (routes whose fetch failed are left out)
+ * @throws {HttpClientError} If every route's fetch failed, so callers can tell "offline" from "no buses"
+ */
+export async function fetchLiveVehicles(routeIds) {
+  const results = await Promise.allSettled(routeIds.map((id) => requestRouteVehicles(id)));
+  const vehicles = {};
+  let firstError = null;
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      vehicles[routeIds[index]] = result.value;
+    } else {
+      console.warn(`Vehicles for route ${routeIds[index]} fetch failed:`, result.reason.message);
+      firstError = firstError || result.reason;
+    }
+  });
+
+  if (firstError && Object.keys(vehicles).length === 0) throw firstError;
+  return vehicles;
+}
+
+/**
+ * Fetch every active route with its stops, patterns and live vehicles
+ * Stops and patterns come from the fetchStaticRoutes cache; only vehicles are fetched fresh.
+ * Routes missing some of that data are kept, with degraded: true and
+ * degradedReasons saying what's missing
+ * @returns {Promise<Object>} Routes keyed by route code
+ * @throws {HttpClientError} If the static data couldn't be loaded at all
+ */
+export async function fetchAllRoutes() {
+  const staticRoutes = await fetchStaticRoutes();
+  let vehicles = {};
+  try {
+    vehicles = await fetchLiveVehicles(Object.keys(staticRoutes));
+  } catch (err) {
+    // Stops and shapes are still worth showing; the routes just come back without buses
+  }
+  return mergeVehicles(staticRoutes, vehicles);
+}
+
+/**
+ * Fetch live vehicle locations and predictions for one route
+ * @param {string} id - Route code, e.g. "CLS"
+ * @returns {Promise<Array|null>} Vehicles, or null if the fetch fails
+ */
+export async function fetchRouteVehicles(id) {
+  try {
+    return await requestRouteVehicles(id);
+  } catch (err) {
+    console.warn(`Vehicles for route ${id} fetch failed:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Same as fetchRouteVehicles, but throws the typed error from httpClient on failure
+ */
+async function requestRouteVehicles(id) {
+  const vehiclesJson = await requestJson(`${CABS_BASE_URL}/routes/${id}/vehicles`, {
+    endpoint: 'cabs-vehicles',
+    validate: (json) => {
+      if (!json?.data || typeof json.data !== 'object') return 'no data object';
+      if (json.data.vehicles !== undefined && !Array.isArray(json.data.vehicles)) return 'data.vehicles is not a list';
+      return null;
+    },
+  });
+
+  const { vehicles, report } = normalizeVehicles(vehiclesJson, { speedUnit: speedUnitDetector.unit() });
+  speedUnitDetector.observe(id, vehicles);
+  qualityReports.vehicles[id] = report.vehicles;
+  qualityReports.predictions[id] = report.predictions;
+  logReport(`Route ${id} vehicles`, report.vehicles);
+  logReport(`Route ${id} predictions`, report.predictions);
+  return vehicles;
+}
+
+/**
+ * Fetch current service alerts (stop closures, detours, reduced service) from a JSON feed
+ * CABS doesn't publish a documented alerts endpoint, so the URL has to be configured
+ * (see createCabsProvider); the feed is read in the { data: { alerts: [...] } } envelope
+ * the other CABS endpoints use
+ * @param {string} url - Alerts feed URL
+ * @returns {Promise<Array>} Normalized alerts (see serviceAlerts.js)
+ * @throws {HttpClientError} If the alerts couldn't be fetched
+ */
+export async function fetchServiceAlerts(url) {
+  const alertsJson = await requestJson(url, {
+    endpoint: 'cabs-alerts',
+    retries: 1,
+    validate: (json) => (Array.isArray(json?.data?.alerts) ? null : 'no data.alerts list'),
+  });
+  return normalizeAlerts(alertsJson.data.alerts, 'cabs');
+}
+
+/**
+ * How many records the latest CABS responses had, and how many were dropped or repaired
+ * @returns {Object} { routeList, stops, patterns, vehicles, predictions }, each
+ *                   { total, valid, dropped, coerced, problems: { reason: count } },
+ *                   plus speedUnit: the unit vehicle speeds are currently read in
+ */
+export function getDataQualityReport() {
+  return {
+    routeList: mergeReports([qualityReports.routeList]),
+    stops: mergeReports(Object.values(qualityReports.stops)),
+    patterns: mergeReports(Object.values(qualityReports.patterns)),
+    vehicles: mergeReports(Object.values(qualityReports.vehicles)),
+    predictions: mergeReports(Object.values(qualityReports.predictions)),
+    speedUnit: speedUnitDetector.unit(),
+  };
+}
+
+/**
+ * Log what the schema layer had to drop or repair, if anything
+ */
+function logReport(label, report) {
+  const summary = describeReport(label, report);
+  if (summary) console.warn(`CABS data problems - ${summary}`);
+}
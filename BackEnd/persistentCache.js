@@ -0,0 +1,78 @@
+// persistentCache.js - Last good bus data and walking directions, kept on the device
+//
+// Everything is stored in AsyncStorage as { value, savedAt } so the app can start
+// (and keep planning) from the last data it saw when the network drops.
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { reviveVehicleDates } from './cabsSchema.js';
+
+const KEY_PREFIX = '@gOSU/';
+
+export const CACHE_KEYS = {
+  routes: 'routes',
+  walkingDirections: 'walkingDirections',   // see walkingCache.js
+  vehicleHistory: 'vehicleHistory',
+};
+
+/**
+ * Read a cached value
+ * @returns {Promise<Object|null>} { value, savedAt: Date } or null if nothing is stored
+ */
+export async function readCache(key) {
+  try {
+    const stored = await AsyncStorage.getItem(KEY_PREFIX + key);
+    if (!stored) return null;
+
+    const { value, savedAt } = JSON.parse(stored);
+    return { value, savedAt: new Date(savedAt) };
+  } catch (err) {
+    console.warn(`Failed to read cache "${key}":`, err);
+    return null;
+  }
+}
+
+/**
+ * Store a value with the current time
+ * Storage failures are logged, never thrown - the cache is a nice-to-have
+ */
+export async function writeCache(key, value) {
+  try {
+    await AsyncStorage.setItem(KEY_PREFIX + key, JSON.stringify({ value, savedAt: Date.now() }));
+  } catch (err) {
+    console.warn(`Failed to write cache "${key}":`, err);
+  }
+}
+
+/**
+ * Delete a cached value
+ */
+export async function removeCache(key) {
+  try {
+    await AsyncStorage.removeItem(KEY_PREFIX + key);
+  } catch (err) {
+    console.warn(`Failed to remove cache "${key}":`, err);
+  }
+}
+
+/**
+ * Save the last good routes (stops, patterns and vehicles)
+ * GTFS schedules are left out: they run to megabytes and come back with the feed
+ */
+export async function saveRoutes(routes) {
+  const saved = {};
+  Object.entries(routes || {}).forEach(([id, route]) => {
+    const { schedule, ...rest } = route || {};
+    saved[id] = rest;
+  });
+  await writeCache(CACHE_KEYS.routes, saved);
+}
+
+/**
+ * Load the last good routes
+ * @returns {Promise<Object|null>} { routes, savedAt } or null
+ */
+export async function loadCachedRoutes() {
+  const cached = await readCache(CACHE_KEYS.routes);
+  if (!cached || !cached.value) return null;
+  return { routes: reviveVehicleDates(cached.value), savedAt: cached.savedAt };
+}
@@ -0,0 +1,349 @@
+// raptor.js - Round-based (RAPTOR-style) transit search over live bus data
+//
+// Round k finds the earliest arrival at every stop using at most k buses.
+// Each live vehicle is treated as one trip: its predictions, sorted by time,
+// give the stops it will visit and when. Between rounds, riders may walk a
+// short distance to a different stop to transfer.
+
+import { haversineDistance, WALKING_SPEED_MPS } from './utils.js';
+import { buildEstimatedStopTimes, extendStopTimes, buildScheduledTrips } from './timetable.js';
+import { analyzeRouteSpacing, adjustStopTimesForSpacing, getServiceFlag } from './serviceSpacing.js';
+
+// Furthest we'll ask someone to walk between getting off one bus and boarding the next
+const MAX_TRANSFER_WALK_METERS = 250;
+
+/**
+ * Build the list of trips to scan from live vehicle predictions
+ * Buses without predictions (or stops past the last prediction) get times
+ * estimated from the route's timetable, flagged with isEstimate. Routes with a
+ * published schedule use their scheduled trips where no live prediction reaches:
+ * all day when no buses are reporting, otherwise past the last prediction.
+ * Buses running behind a large service gap have their times pushed back (see
+ * serviceSpacing.js), and every trip says whether its bus is bunched or behind a gap.
+ * @param {Object} routes - Normalized routes object from fetchAllRoutes
+ * @param {Object} options
+ * @param {Date} options.now - Time the stop times are relative to (default new Date())
+ * @param {number} options.departureTime - Minutes from now the search starts (default 0)
+ * @returns {Array} Trips: { id, route, vehicle, serviceFlag, stopTimes: [{ stopId, time, prediction, isEstimate }] }
+ *                  where time is seconds from now
+ */
+export function buildTrips(routes, options = {}) {
+  const { now = new Date(), departureTime = 0 } = options;
+  const trips = [];
+
+  Object.values(routes).forEach((route) => {
+    if (!route) return;
+    const liveTripCount = trips.length;
+    const spacing = analyzeRouteSpacing(route);
+    // Seconds from now of the route's last live prediction
+    let liveHorizon = 0;
+
+    (route.vehicles || []).forEach((vehicle) => {
+      const liveStopTimes = (vehicle.predictions || [])
+        .filter((p) => p.timeToArrivalInSeconds !== undefined && p.timeToArrivalInSeconds >= 0)
+        .sort((a, b) => a.timeToArrivalInSeconds - b.timeToArrivalInSeconds)
+        .map((p) => ({ stopId: p.stopId, time: p.timeToArrivalInSeconds, prediction: p, isEstimate: false }));
+      if (liveStopTimes.length > 0) {
+        liveHorizon = Math.max(liveHorizon, liveStopTimes[liveStopTimes.length - 1].time);
+      }
+
+      const vehicleSpacing = spacing.vehicles[vehicle.id];
+      const stopTimes = adjustStopTimesForSpacing(
+        liveStopTimes.length > 0
+          ? extendStopTimes(route, vehicle, liveStopTimes)
+          : buildEstimatedStopTimes(route, vehicle),
+        vehicleSpacing
+      );
+
+      // A trip needs somewhere to get on and somewhere to get off
+      if (stopTimes.length < 2) return;
+
+      trips.push({
+        id: `${route.id}-${vehicle.id}`,
+        route,
+        vehicle,
+        serviceFlag: getServiceFlag(vehicleSpacing),
+        stopTimes,
+      });
+    });
+
+    // The live predictions only reach so far; past them the schedule takes over.
+    // Scheduled stop times the predictions already cover are left out.
+    if (route.schedule) {
+      const scheduleFrom = trips.length === liveTripCount
+        ? departureTime
+        : Math.max(departureTime, liveHorizon / 60);
+      trips.push(...buildScheduledTrips(route, now, scheduleFrom));
+    }
+  });
+
+  return trips;
+}
+
+/**
+ * Index every stop on every route by ID
+ * @returns {Map} stopId -> { id, name, latitude, longitude, stepFree, steepApproach, accessibilityNote }
+ */
+function buildStopIndex(routes) {
+  const stops = new Map();
+
+  Object.values(routes).forEach((route) => {
+    if (!route || !route.stops) return;
+    route.stops.forEach((stop) => {
+      if (!stops.has(stop.id)) {
+        stops.set(stop.id, {
+          id: stop.id,
+          name: stop.name,
+          latitude: stop.latitude,
+          longitude: stop.longitude,
+          // Step-free access (see stopAccessibility.js), carried through to the trip's stops
+          stepFree: stop.stepFree,
+          steepApproach: stop.steepApproach,
+          accessibilityNote: stop.accessibilityNote,
+        });
+      }
+    });
+  });
+
+  return stops;
+}
+
+/**
+ * Stops each route won't serve because of a service alert
+ * @returns {Map} routeId -> Set of stop IDs (only routes with closed stops)
+ */
+function buildClosedStops(routes) {
+  const closed = new Map();
+  Object.values(routes).forEach((route) => {
+    const ids = (route?.stops || []).filter((stop) => stop.isClosed).map((stop) => stop.id);
+    if (ids.length > 0) closed.set(route.id, new Set(ids));
+  });
+  return closed;
+}
+
+/**
+ * Find the stops within transfer walking distance of each stop
+ * @param {number} walkingSpeed - Meters per second
+ * @returns {Map} stopId -> [{ stopId, walkSeconds }]
+ */
+function buildFootpaths(stopIndex, maxTransferWalkMeters, walkingSpeed) {
+  const footpaths = new Map();
+  const stops = Array.from(stopIndex.values());
+
+  stops.forEach((from) => {
+    const nearby = [];
+    stops.forEach((to) => {
+      if (to.id === from.id) return;
+      const distance = haversineDistance(from.latitude, from.longitude, to.latitude, to.longitude);
+      if (distance <= maxTransferWalkMeters) {
+        nearby.push({ stopId: to.id, walkSeconds: distance / walkingSpeed });
+      }
+    });
+    footpaths.set(from.id, nearby);
+  });
+
+  return footpaths;
+}
+
+/**
+ * Walk the label chain back to the access walk and turn it into a journey
+ * Ride labels point at the label they boarded from; walk labels point at the ride they left
+ */
+function reconstructJourney(egressLabel, egressSeconds, stopIndex) {
+  const legs = [];
+  let label = egressLabel;
+  let transferWalkSeconds = 0;
+
+  while (label.type !== 'access') {
+    if (label.type === 'walk') {
+      transferWalkSeconds = label.walkSeconds;
+      label = label.from;
+      continue;
+    }
+
+    const { trip, boardIndex, alightIndex } = label;
+    const board = trip.stopTimes[boardIndex];
+    const alight = trip.stopTimes[alightIndex];
+
+    // Count unique stops between board and alight (exclusive of board, inclusive of alight)
+    const stopsBetween = new Set(
+      trip.stopTimes.slice(boardIndex + 1, alightIndex + 1).map((st) => st.stopId)
+    ).size;
+
+    // Any pending transfer walk happened after this leg, so it belongs to the next one
+    if (legs.length > 0) {
+      legs[0].transferWalkTime = transferWalkSeconds / 60;
+    }
+    transferWalkSeconds = 0;
+
+    legs.unshift({
+      route: trip.route,
+      vehicle: trip.vehicle,
+      prediction: board.prediction,
+      boardStop: stopIndex.get(board.stopId),
+      alightStop: stopIndex.get(alight.stopId),
+      readyTime: label.from.arrival / 60,     // When the user is standing at the stop
+      departureTime: board.time / 60,         // When the bus gets there
+      arrivalTime: alight.time / 60,          // When the bus reaches the alight stop
+      stopsBetween,
+      transferWalkTime: 0,
+      isEstimate: board.isEstimate || alight.isEstimate,
+      serviceFlag: trip.serviceFlag || null,
+    });
+
+    label = label.from;
+  }
+
+  return {
+    transfers: legs.length - 1,
+    accessStop: stopIndex.get(label.stopId),
+    accessWalkTime: label.walkSeconds / 60,
+    egressStop: stopIndex.get(egressLabel.stopId),
+    egressWalkTime: egressSeconds / 60,
+    arrivalTime: (egressLabel.arrival + egressSeconds) / 60,
+    legs,
+  };
+}
+
+/**
+ * Round-based earliest-arrival search
+ * @param {Object} routes - Normalized routes object from fetchAllRoutes
+ * @param {Array} accessStops - Stops near the origin: [{ stopId, walkTimeMinutes }]
+ * @param {Array} egressStops - Stops near the destination: [{ stopId, walkTimeMinutes }]
+ * @param {Object} options
+ * @param {number} options.maxTransfers - Most bus changes allowed (default 1)
+ * @param {number} options.maxTransferWalkMeters - Longest walk between transfer stops (default 250m)
+ * @param {number} options.departureTime - Minutes from now the user leaves the origin (default 0)
+ * @param {Date} options.now - Time "from now" is measured from, for scheduled trips (default new Date())
+ * @param {number} options.walkingSpeed - Transfer walking pace in m/s (default WALKING_SPEED_MPS)
+ * @param {boolean} options.stepFreeOnly - Never board or get off at a stop marked stepFree: false
+ * @returns {Array} Journeys sorted by arrival time (minutes from now). For each
+ *                  number of transfers there is one journey per reachable egress
+ *                  stop, and the first one is the earliest arrival for that count.
+ */
+export function findJourneys(routes, accessStops, egressStops, options = {}) {
+  const {
+    maxTransfers = 1,
+    maxTransferWalkMeters = MAX_TRANSFER_WALK_METERS,
+    departureTime = 0,
+    now = new Date(),
+    walkingSpeed = WALKING_SPEED_MPS,
+    stepFreeOnly = false,
+  } = options;
+
+  const stopIndex = buildStopIndex(routes);
+  const closedStops = buildClosedStops(routes);
+  const footpaths = buildFootpaths(stopIndex, maxTransferWalkMeters, walkingSpeed);
+  const isStepped = (stopId) => stepFreeOnly && stopIndex.get(stopId)?.stepFree === false;
+  const trips = buildTrips(routes, { now, departureTime });
+
+  // Egress walk (seconds) keyed by stop - the same stop can be listed once per route
+  const egressSeconds = new Map();
+  egressStops.forEach((stop) => {
+    const seconds = stop.walkTimeMinutes * 60;
+    if (seconds < (egressSeconds.get(stop.stopId) ?? Infinity)) {
+      egressSeconds.set(stop.stopId, seconds);
+    }
+  });
+
+  // Round 0: walk from the origin to each nearby stop
+  let labels = new Map();
+  const best = new Map();
+  let marked = new Set();
+
+  accessStops.forEach((stop) => {
+    if (!stopIndex.has(stop.stopId)) return;
+    const walkSeconds = stop.walkTimeMinutes * 60;
+    const arrival = departureTime * 60 + walkSeconds;
+    if (arrival < (best.get(stop.stopId) ?? Infinity)) {
+      labels.set(stop.stopId, { type: 'access', stopId: stop.stopId, arrival, walkSeconds, round: 0 });
+      best.set(stop.stopId, arrival);
+      marked.add(stop.stopId);
+    }
+  });
+
+  const journeys = [];
+
+  for (let round = 1; round <= maxTransfers + 1 && marked.size > 0; round++) {
+    const prevLabels = labels;
+    labels = new Map(prevLabels);
+    const rideMarked = new Set();
+
+    // Ride every bus that passes a stop improved last round
+    trips.forEach((trip) => {
+      if (!trip.stopTimes.some((st) => marked.has(st.stopId))) return;
+
+      const closed = closedStops.get(trip.route.id);
+      let boardIndex = -1;
+      let boardLabel = null;
+
+      trip.stopTimes.forEach((stopTime, index) => {
+        // The bus passes closed stops without stopping, and step-free riders can't use stepped ones
+        if (closed?.has(stopTime.stopId) || isStepped(stopTime.stopId)) return;
+
+        // Get off here if it beats the best arrival so far
+        if (boardLabel && index > boardIndex && stopTime.time < (best.get(stopTime.stopId) ?? Infinity)) {
+          labels.set(stopTime.stopId, {
+            type: 'ride',
+            stopId: stopTime.stopId,
+            arrival: stopTime.time,
+            round,
+            trip,
+            boardIndex,
+            alightIndex: index,
+            from: boardLabel,
+          });
+          best.set(stopTime.stopId, stopTime.time);
+          rideMarked.add(stopTime.stopId);
+        }
+
+        // Get on here if the user can make it in time. When the same bus can be
+        // caught at several stops, prefer the one the user reaches soonest
+        // (for the first bus that's the shortest walk).
+        const prevLabel = prevLabels.get(stopTime.stopId);
+        if (
+          prevLabel &&
+          marked.has(stopTime.stopId) &&
+          prevLabel.arrival <= stopTime.time &&
+          (!boardLabel || prevLabel.arrival < boardLabel.arrival)
+        ) {
+          boardIndex = index;
+          boardLabel = prevLabel;
+        }
+      });
+    });
+
+    // Walk from where the bus dropped the user to nearby stops for the next round
+    const walkLabels = [];
+    rideMarked.forEach((stopId) => {
+      const rideLabel = labels.get(stopId);
+      (footpaths.get(stopId) || []).forEach(({ stopId: toStopId, walkSeconds }) => {
+        const arrival = rideLabel.arrival + walkSeconds;
+        if (arrival < (best.get(toStopId) ?? Infinity)) {
+          walkLabels.push({ type: 'walk', stopId: toStopId, arrival, round, walkSeconds, from: rideLabel });
+        }
+      });
+    });
+
+    const nextMarked = new Set(rideMarked);
+    walkLabels.forEach((walkLabel) => {
+      if (walkLabel.arrival < (best.get(walkLabel.stopId) ?? Infinity)) {
+        labels.set(walkLabel.stopId, walkLabel);
+        best.set(walkLabel.stopId, walkLabel.arrival);
+        nextMarked.add(walkLabel.stopId);
+      }
+    });
+
+    // Collect journeys that reach a stop near the destination by bus this round
+    egressSeconds.forEach((seconds, stopId) => {
+      const label = labels.get(stopId);
+      if (label && label.round === round && label.type === 'ride') {
+        journeys.push(reconstructJourney(label, seconds, stopIndex));
+      }
+    });
+
+    marked = nextMarked;
+  }
+
+  return journeys.sort((a, b) => a.arrivalTime - b.arrivalTime);
+}
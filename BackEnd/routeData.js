@@ -0,0 +1,76 @@
+// routeData.js - Helpers for the shared routes structure every provider returns
+
+// Vehicle data older than this is "stale": predictions can't be trusted as live
+export const STALE_DATA_MINUTES = 2;
+
+/**
+ * Note which parts of a route's data are missing
+ * Degraded routes still show on the map and legend; the planner just has less to work with
+ * @param {Object} route - { stops, patterns, vehicles, degradedReasons? }
+ * @param {boolean} detailsMissing - The route's stops/patterns couldn't be fetched
+ *                                   (default: whatever the route was already marked with)
+ */
+export function markDegraded(route, detailsMissing = route.degradedReasons?.includes('no-route-details') || false) {
+  const degradedReasons = [];
+  if (detailsMissing) degradedReasons.push('no-route-details');
+  if (!route.stops?.length) degradedReasons.push('no-stops');
+  if (!route.patterns?.length) degradedReasons.push('no-patterns');
+  if (!route.vehicles?.length) degradedReasons.push('no-vehicles');
+
+  return {
+    ...route,
+    degraded: degradedReasons.length > 0,
+    degradedReasons,
+  };
+}
+
+/**
+ * Drop fresh vehicles into routes that are already loaded, leaving stops and patterns alone
+ * Routes missing from vehiclesByRoute keep the vehicles (and vehiclesFetchedAt) they had
+ * @param {Object} routes - Routes keyed by ID
+ * @param {Object} vehiclesByRoute - routeId -> vehicles[], from a provider's getVehicles()
+ * @param {number} fetchedAt - When the vehicles were fetched (ms since epoch, default now)
+ * @returns {Object} New routes object
+ */
+export function mergeVehicles(routes, vehiclesByRoute, fetchedAt = Date.now()) {
+  if (!routes) return routes;
+
+  const merged = {};
+  Object.values(routes).forEach((route) => {
+    const vehicles = vehiclesByRoute?.[route.id];
+    merged[route.id] = vehicles
+      ? markDegraded({ ...route, vehicles, vehiclesFetchedAt: fetchedAt })
+      : route;
+  });
+  return merged;
+}
+
+/**
+ * How old one route's live vehicle data is
+ * @returns {number|null} Minutes, or null if the route doesn't say when it was fetched
+ *                        (fixtures, schedules)
+ */
+export function getRouteDataAge(route, now = new Date()) {
+  if (!route?.vehiclesFetchedAt) return null;
+  return Math.max(0, (now.getTime() - route.vehiclesFetchedAt) / 60000);
+}
+
+/**
+ * How old the live vehicle data is across a set of routes, going by the route updated longest ago
+ * Pass only the routes that matter (e.g. the ones a trip rides), so one route that
+ * failed to update doesn't make the others look stale.
+ * Routes without a vehiclesFetchedAt (fixtures, schedules) don't count
+ * @param {Object|Array} routes - Routes keyed by ID, or a list of them
+ * @param {Date} now
+ * @param {Object} options
+ * @param {boolean} options.newest - Go by the most recently updated route instead
+ * @returns {number|null} Minutes, or null if no route says when it was fetched
+ */
+export function getVehicleDataAge(routes, now = new Date(), options = {}) {
+  const { newest = false } = options;
+  const ages = Object.values(routes || {})
+    .map((route) => getRouteDataAge(route, now))
+    .filter((age) => age !== null);
+  if (ages.length === 0) return null;
+  return newest ? Math.min(...ages) : Math.max(...ages);
+}
@@ -0,0 +1,231 @@
+// routeGeometry.js - Helpers for working with route pattern shapes
+
+import polyline from 'polyline';
+import { haversineDistance } from './utils.js';
+
+// Pattern shapes whose ends are this close together are treated as loops
+const LOOP_CLOSE_METERS = 75;
+
+/**
+ * Decode a pattern's encoded polyline into points with distance along the shape
+ * @param {string} encodedPolyline - Pattern encodedPolyline from the CABS API
+ * @returns {Array} [{ latitude, longitude, distance }] where distance is meters from the first point
+ */
+export function decodeShape(encodedPolyline) {
+  if (!encodedPolyline) return [];
+
+  let points = [];
+  try {
+    points = polyline.decode(encodedPolyline);
+  } catch (e) {
+    console.warn('Failed to decode pattern polyline:', e);
+    return [];
+  }
+
+  const shape = [];
+  points.forEach(([lat, lng]) => {
+    const latitude = Number(lat);
+    const longitude = Number(lng);
+    if (!isFinite(latitude) || !isFinite(longitude)) return;
+
+    const prev = shape[shape.length - 1];
+    const distance = prev
+      ? prev.distance + haversineDistance(prev.latitude, prev.longitude, latitude, longitude)
+      : 0;
+    shape.push({ latitude, longitude, distance });
+  });
+
+  return shape;
+}
+
+/**
+ * Total length of a decoded shape in meters
+ */
+export function shapeLength(shape) {
+  return shape.length > 0 ? shape[shape.length - 1].distance : 0;
+}
+
+/**
+ * Whether a decoded shape ends where it starts (most campus routes are loops)
+ */
+export function isLoopShape(shape) {
+  if (shape.length < 2) return false;
+  const first = shape[0];
+  const last = shape[shape.length - 1];
+  return haversineDistance(first.latitude, first.longitude, last.latitude, last.longitude) <= LOOP_CLOSE_METERS;
+}
+
+/**
+ * Compass bearing from one point to another
+ * @returns {number} degrees clockwise from north (0-360)
+ */
+export function bearingBetween(from, to) {
+  const φ1 = (from.latitude * Math.PI) / 180;
+  const φ2 = (to.latitude * Math.PI) / 180;
+  const Δλ = ((to.longitude - from.longitude) * Math.PI) / 180;
+
+  const y = Math.sin(Δλ) * Math.cos(φ2);
+  const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Smallest angle between two bearings
+ * @returns {number} degrees (0-180)
+ */
+export function bearingDifference(a, b) {
+  const diff = Math.abs(a - b) % 360;
+  return diff > 180 ? 360 - diff : diff;
+}
+
+/**
+ * Project a point onto one segment of a shape (flat-earth, in meters from the segment start)
+ */
+function projectOntoSegment(a, b, point, segmentIndex, metersPerDegLng) {
+  const metersPerDegLat = 111320;
+  const bx = (b.longitude - a.longitude) * metersPerDegLng;
+  const by = (b.latitude - a.latitude) * metersPerDegLat;
+  const px = (point.longitude - a.longitude) * metersPerDegLng;
+  const py = (point.latitude - a.latitude) * metersPerDegLat;
+
+  const lengthSq = bx * bx + by * by;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq)) : 0;
+  const dx = px - t * bx;
+  const dy = py - t * by;
+
+  return {
+    distanceAlong: a.distance + t * (b.distance - a.distance),
+    offset: Math.sqrt(dx * dx + dy * dy),
+    segmentIndex,
+    bearing: bearingBetween(a, b),
+    latitude: a.latitude + t * (b.latitude - a.latitude),
+    longitude: a.longitude + t * (b.longitude - a.longitude),
+  };
+}
+
+/**
+ * Find the closest point on a shape to a location
+ * Uses a flat-earth approximation per segment, which is plenty accurate at campus scale
+ * @param {Array} shape - Decoded shape from decodeShape
+ * @param {Object} point - { latitude, longitude }
+ * @returns {Object|null} { distanceAlong, offset, segmentIndex, bearing, latitude, longitude }
+ *                        offset is how far (meters) the point is from the shape
+ */
+export function projectOntoShape(shape, point) {
+  if (!shape || shape.length < 2 || !point) return null;
+
+  const metersPerDegLng = 111320 * Math.cos((point.latitude * Math.PI) / 180);
+
+  let best = null;
+  for (let i = 0; i < shape.length - 1; i++) {
+    const projection = projectOntoSegment(shape[i], shape[i + 1], point, i, metersPerDegLng);
+    if (!best || projection.offset < best.offset) best = projection;
+  }
+
+  return best;
+}
+
+/**
+ * Every place a shape passes near a location, e.g. both passes of an out-and-back
+ * route along the same street, or a loop that goes by a stop twice
+ * Each run of segments within maxOffset of the point counts as one pass, at its closest point.
+ * @param {Array} shape - Decoded shape from decodeShape
+ * @param {Object} point - { latitude, longitude }
+ * @param {number} maxOffset - Meters from the shape a pass may be
+ * @returns {Array} Projections as from projectOntoShape, in order along the shape
+ */
+export function projectionsOntoShape(shape, point, maxOffset) {
+  if (!shape || shape.length < 2 || !point) return [];
+
+  const metersPerDegLng = 111320 * Math.cos((point.latitude * Math.PI) / 180);
+
+  const passes = [];
+  let current = null;
+  for (let i = 0; i < shape.length - 1; i++) {
+    const projection = projectOntoSegment(shape[i], shape[i + 1], point, i, metersPerDegLng);
+    if (projection.offset > maxOffset) {
+      current = null;
+    } else if (!current) {
+      current = projection;
+      passes.push(current);
+    } else if (projection.offset < current.offset) {
+      passes[passes.length - 1] = projection;
+      current = projection;
+    }
+  }
+
+  return passes;
+}
+
+/**
+ * The point a given distance along a shape
+ * @param {Array} shape - Decoded shape from decodeShape
+ * @param {number} distance - Meters from the start of the shape
+ * @param {Object} options
+ * @param {boolean} options.loop - Distances past the end wrap around to the start (default: isLoopShape)
+ * @returns {Object|null} { latitude, longitude, bearing, distanceAlong } where distanceAlong is
+ *                        the distance actually used after wrapping or clamping to the shape
+ */
+export function pointAlongShape(shape, distance, options = {}) {
+  if (!shape || shape.length < 2 || !isFinite(distance)) return null;
+
+  const { loop = isLoopShape(shape) } = options;
+  const length = shapeLength(shape);
+  if (length <= 0) return null;
+
+  const distanceAlong = loop
+    ? ((distance % length) + length) % length
+    : Math.max(0, Math.min(length, distance));
+
+  // Binary search for the segment containing distanceAlong
+  let low = 0;
+  let high = shape.length - 1;
+  while (high - low > 1) {
+    const mid = (low + high) >> 1;
+    if (shape[mid].distance <= distanceAlong) low = mid;
+    else high = mid;
+  }
+
+  const a = shape[low];
+  const b = shape[high];
+  const span = b.distance - a.distance;
+  const t = span > 0 ? (distanceAlong - a.distance) / span : 0;
+
+  return {
+    latitude: a.latitude + t * (b.latitude - a.latitude),
+    longitude: a.longitude + t * (b.longitude - a.longitude),
+    bearing: bearingBetween(a, b),
+    distanceAlong,
+  };
+}
+
+/**
+ * The stretch of a shape between two distances, in the direction of travel
+ * On a loop a stretch that ends before it starts runs through the end of the shape
+ * and round to the start; on any other shape that's the wrong way, so there's none.
+ * @param {Array} shape - Decoded shape from decodeShape
+ * @param {number} fromDistance - Meters from the start of the shape
+ * @param {number} toDistance - Meters from the start of the shape
+ * @param {Object} options
+ * @param {boolean} options.loop - Whether the shape is a loop (default: isLoopShape)
+ * @returns {Array|null} [{ latitude, longitude }] from the first point to the last, or null
+ */
+export function sliceShape(shape, fromDistance, toDistance, options = {}) {
+  if (!shape || shape.length < 2 || !isFinite(fromDistance) || !isFinite(toDistance)) return null;
+
+  const { loop = isLoopShape(shape) } = options;
+  const wraps = toDistance < fromDistance;
+  if (wraps && !loop) return null;
+
+  const toPoint = ({ latitude, longitude }) => ({ latitude, longitude });
+  const after = (distance) => shape.filter((point) => point.distance > distance);
+  const before = (distance) => shape.filter((point) => point.distance < distance);
+
+  const start = pointAlongShape(shape, fromDistance, { loop: false });
+  const end = pointAlongShape(shape, toDistance, { loop: false });
+  const middle = wraps
+    ? [...after(fromDistance), ...before(toDistance)]
+    : after(fromDistance).filter((point) => point.distance < toDistance);
+
+  return [toPoint(start), ...middle.map(toPoint), toPoint(end)];
+}
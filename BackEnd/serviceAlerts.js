@@ -0,0 +1,202 @@
+// serviceAlerts.js - Service alerts and detours
+//
+// Alerts come from the provider's getAlerts() (a configured CABS alerts feed, a
+// GTFS-Realtime alerts feed, or Data/serviceAlerts.json when there's no feed or it
+// can't be reached) and are normalized to one shape:
+//
+//   {
+//     id: string,
+//     title: string,
+//     description: string | null,
+//     effect: 'no-service' | 'stop-closed' | 'detour' | 'reduced-service' | 'delays' | 'other',
+//     severity: 'severe' | 'warning' | 'info',
+//     routeIds: string[],            // empty: every route
+//     stopIds: string[],             // empty: the whole route
+//     activePeriods: [{ start: Date | null, end: Date | null }],   // empty: always
+//     source: string                 // 'cabs', 'gtfs', 'local', 'sample', ...
+//   }
+//
+// attachAlerts() puts the active ones on routes and stops. Stops a bus won't
+// serve get isClosed: true, and the planner won't send anyone to them.
+
+import localAlertsFile from '../Data/serviceAlerts.json';
+
+const EFFECTS = ['no-service', 'stop-closed', 'detour', 'reduced-service', 'delays', 'other'];
+
+// Alerts with these effects close the stops they list
+const CLOSING_EFFECTS = ['no-service', 'stop-closed', 'detour'];
+
+const DEFAULT_SEVERITY = {
+  'no-service': 'severe',
+  'stop-closed': 'severe',
+  detour: 'warning',
+  'reduced-service': 'warning',
+  delays: 'warning',
+  other: 'info',
+};
+
+// Loose spellings used by feeds and hand-written files
+const EFFECT_ALIASES = {
+  closed: 'stop-closed',
+  closure: 'stop-closed',
+  stop_closed: 'stop-closed',
+  stop_moved: 'detour',
+  no_service: 'no-service',
+  suspended: 'no-service',
+  reduced_service: 'reduced-service',
+  significant_delays: 'delays',
+  delay: 'delays',
+  modified_service: 'detour',
+};
+
+function toList(raw) {
+  if (raw === undefined || raw === null || raw === '') return [];
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map((item) => String(item?.id ?? item?.code ?? item).trim()).filter(Boolean);
+}
+
+function toDate(raw) {
+  if (raw === undefined || raw === null || raw === '') return null;
+  const date = typeof raw === 'number' ? new Date(raw < 1e12 ? raw * 1000 : raw) : new Date(raw);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function normalizeEffect(raw) {
+  const key = String(raw || '').trim().toLowerCase().replace(/\s+/g, '_');
+  const effect = EFFECT_ALIASES[key] || key.replace(/_/g, '-');
+  return EFFECTS.includes(effect) ? effect : 'other';
+}
+
+/**
+ * Clean up alerts from any source
+ * Accepts the shape above plus the field names the CABS API and older files use
+ * (message, routes, stops, startTime/endTime). Alerts with no text are dropped.
+ * @param {Array} rawAlerts
+ * @param {string} source - Where they came from, kept on each alert
+ * @returns {Array} Normalized alerts
+ */
+export function normalizeAlerts(rawAlerts, source) {
+  if (!Array.isArray(rawAlerts)) return [];
+
+  return rawAlerts
+    .map((raw, index) => {
+      if (!raw || typeof raw !== 'object') return null;
+
+      const title = String(raw.title ?? raw.header ?? raw.headerText ?? '').trim();
+      const description = String(raw.description ?? raw.message ?? raw.descriptionText ?? '').trim() || null;
+      if (!title && !description) return null;
+
+      const effect = normalizeEffect(raw.effect ?? raw.type);
+      const severity = ['severe', 'warning', 'info'].includes(raw.severity) ? raw.severity : DEFAULT_SEVERITY[effect];
+
+      let activePeriods = Array.isArray(raw.activePeriods)
+        ? raw.activePeriods.map((period) => ({ start: toDate(period?.start), end: toDate(period?.end) }))
+        : [];
+      if (activePeriods.length === 0 && (raw.startTime || raw.endTime || raw.start || raw.end)) {
+        activePeriods = [{ start: toDate(raw.startTime ?? raw.start), end: toDate(raw.endTime ?? raw.end) }];
+      }
+
+      return {
+        id: String(raw.id ?? `${source}-${index}`),
+        title: title || description,
+        description: title ? description : null,
+        effect,
+        severity,
+        routeIds: toList(raw.routeIds ?? raw.routes ?? raw.routeCodes),
+        stopIds: toList(raw.stopIds ?? raw.stops),
+        activePeriods,
+        source: raw.source || source,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Alerts from Data/serviceAlerts.json, for when the live source can't be reached
+ * (or has no alerts feed at all). See the README for the file format.
+ * The file's sampleAlerts are added in development builds so the alert UI can be
+ * seen working; riders never get them.
+ * @param {Object} options
+ * @param {boolean} options.includeSamples - Add sampleAlerts (default: development builds only)
+ */
+export function loadLocalAlerts(options = {}) {
+  const { includeSamples = typeof __DEV__ !== 'undefined' && __DEV__ } = options;
+  const alerts = normalizeAlerts(localAlertsFile?.alerts, 'local');
+  if (!includeSamples) return alerts;
+  return [...alerts, ...normalizeAlerts(localAlertsFile?.sampleAlerts, 'sample')];
+}
+
+/**
+ * Whether an alert is in effect at a given time
+ */
+export function isAlertActive(alert, now = new Date()) {
+  if (!alert.activePeriods?.length) return true;
+  const time = now.getTime();
+  return alert.activePeriods.some(({ start, end }) =>
+    (!start || new Date(start).getTime() <= time) && (!end || time <= new Date(end).getTime()));
+}
+
+function appliesToRoute(alert, routeId) {
+  return alert.routeIds.length === 0 || alert.routeIds.includes(routeId);
+}
+
+function closesStop(alert, routeId, stopId) {
+  if (!CLOSING_EFFECTS.includes(alert.effect) || !appliesToRoute(alert, routeId)) return false;
+  // A route-wide "no service" closes every stop; other effects only close the stops they name
+  if (alert.stopIds.length === 0) return alert.effect === 'no-service';
+  return alert.stopIds.includes(stopId);
+}
+
+/**
+ * Attach active alerts to the routes and stops they affect
+ * Each route gets alerts: [...] and each stop gets alerts: [...] plus isClosed
+ * @param {Object} routes - Routes keyed by ID
+ * @param {Array} alerts - Normalized alerts
+ * @param {Date} now - Time to check active periods against (default new Date())
+ * @returns {Object} New routes object
+ */
+export function attachAlerts(routes, alerts, now = new Date()) {
+  if (!routes) return routes;
+  const active = (alerts || []).filter((alert) => isAlertActive(alert, now));
+
+  const updated = {};
+  Object.values(routes).forEach((route) => {
+    if (!route) return;
+    const routeAlerts = active.filter((alert) =>
+      appliesToRoute(alert, route.id) && (alert.routeIds.length > 0 || alert.stopIds.length === 0 ||
+        route.stops?.some((stop) => alert.stopIds.includes(stop.id))));
+
+    updated[route.id] = {
+      ...route,
+      alerts: routeAlerts,
+      stops: (route.stops || []).map((stop) => {
+        const stopAlerts = routeAlerts.filter((alert) =>
+          alert.stopIds.includes(stop.id) || closesStop(alert, route.id, stop.id));
+        return {
+          ...stop,
+          alerts: stopAlerts,
+          isClosed: stopAlerts.some((alert) => closesStop(alert, route.id, stop.id)),
+        };
+      }),
+    };
+  });
+  return updated;
+}
+
+/**
+ * The active alerts that matter for an itinerary, most severe first
+ * @param {Array} alerts - Normalized alerts
+ * @param {Object} scope
+ * @param {Array} scope.routeIds - Routes the trip rides
+ * @param {Array} scope.stopIds - Stops it boards or leaves at
+ * @param {Date} now
+ */
+export function getRelevantAlerts(alerts, { routeIds = [], stopIds = [] } = {}, now = new Date()) {
+  const rank = { severe: 0, warning: 1, info: 2 };
+  return (alerts || [])
+    .filter((alert) => isAlertActive(alert, now))
+    .filter((alert) =>
+      alert.stopIds.some((id) => stopIds.includes(id)) ||
+      (alert.stopIds.length === 0 && (alert.routeIds.length === 0 || alert.routeIds.some((id) => routeIds.includes(id)))))
+    .sort((a, b) => rank[a.severity] - rank[b.severity]);
+}
@@ -0,0 +1,150 @@
+// serviceSpacing.js - Bus bunching and service gaps
+//
+// Buses on the same pattern should be spread out evenly. In practice a bus
+// that falls behind picks up everyone waiting, slows down further, and the bus
+// behind catches up: two buses arrive together (bunching) and then nobody
+// comes for a long time (a gap). Each bus is placed on its pattern, the buses
+// are ordered along it, and the time to the bus in front is worked out from
+// the distance between them.
+
+import { locateVehicle, estimateRunSeconds } from './timetable.js';
+
+// Buses closer together than this are running as a bunch
+const BUNCHED_SECONDS = 2 * 60;
+
+// A gap is "large" when it's this many times the even spacing for the buses running...
+const LARGE_GAP_FACTOR = 2;
+
+// ...and at least this long (frequent routes can double a short headway without anyone noticing)
+const MIN_LARGE_GAP_SECONDS = 12 * 60;
+
+// Extra time a bus behind a large gap loses at each stop picking up the crowd waiting there
+const GAP_DWELL_SECONDS_PER_STOP = 15;
+const MAX_GAP_DELAY_SECONDS = 4 * 60;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Spacing for the buses running one pattern, in travel order
+ * @param {Object} sequence - From getPatternStopSequence
+ * @param {Array} located - [{ vehicle, distanceAlong }]
+ */
+function analyzePattern(sequence, located) {
+  const ordered = [...located].sort((a, b) => a.distanceAlong - b.distanceAlong);
+
+  // Gap to the bus in front; on a line (not a loop) the front bus has nobody ahead
+  const gaps = ordered.map((entry, index) => {
+    const ahead = ordered[index + 1] || (sequence.isLoop ? ordered[0] : null);
+    if (!ahead || ahead === entry) return null;
+    return estimateRunSeconds(sequence, entry.distanceAlong, ahead.distanceAlong);
+  });
+
+  // Even spacing: a lap shared between the buses on loops, the typical gap otherwise
+  const knownGaps = gaps.filter((gap) => gap !== null);
+  const evenSeconds = sequence.isLoop
+    ? estimateRunSeconds(sequence, 0, sequence.length) / ordered.length
+    : (knownGaps.length > 0 ? median(knownGaps) : null);
+  const largeGapSeconds = Math.max(MIN_LARGE_GAP_SECONDS, (evenSeconds || 0) * LARGE_GAP_FACTOR);
+
+  return ordered.map((entry, index) => {
+    const gapAhead = gaps[index];
+    const gapBehind = sequence.isLoop
+      ? gaps[(index - 1 + ordered.length) % ordered.length]
+      : (index > 0 ? gaps[index - 1] : null);
+
+    return {
+      vehicleId: entry.vehicle.id,
+      distanceAlong: entry.distanceAlong,
+      gapAheadMinutes: gapAhead === null ? null : gapAhead / 60,
+      gapBehindMinutes: gapBehind === null ? null : gapBehind / 60,
+      isBunched: (gapAhead !== null && gapAhead < BUNCHED_SECONDS) ||
+        (gapBehind !== null && gapBehind < BUNCHED_SECONDS),
+      isBehindGap: gapAhead !== null && gapAhead >= largeGapSeconds,
+    };
+  });
+}
+
+/**
+ * Where each bus on a route is relative to the others
+ * Buses are grouped by the pattern they're running; a pattern with one bus has no spacing to judge
+ * @param {Object} route - Route with stops, patterns and vehicles
+ * @returns {Object} { vehicles: { [vehicleId]: { patternId, distanceAlong, gapAheadMinutes,
+ *                   gapBehindMinutes, isBunched, isBehindGap } }, isBunched, hasLargeGap,
+ *                   largestGapMinutes }
+ */
+export function analyzeRouteSpacing(route) {
+  const byPattern = new Map();
+
+  (route?.vehicles || []).forEach((vehicle) => {
+    const located = locateVehicle(route, vehicle);
+    if (!located) return;
+
+    const patternId = located.pattern.id;
+    if (!byPattern.has(patternId)) byPattern.set(patternId, { sequence: located.sequence, located: [] });
+    byPattern.get(patternId).located.push({ vehicle, distanceAlong: located.distanceAlong });
+  });
+
+  const vehicles = {};
+  byPattern.forEach(({ sequence, located }, patternId) => {
+    if (located.length < 2) return;
+    analyzePattern(sequence, located).forEach((spacing) => {
+      vehicles[spacing.vehicleId] = { patternId, ...spacing };
+    });
+  });
+
+  const spacings = Object.values(vehicles);
+  const gaps = spacings.map((spacing) => spacing.gapAheadMinutes).filter((gap) => gap !== null);
+
+  return {
+    vehicles,
+    isBunched: spacings.some((spacing) => spacing.isBunched),
+    hasLargeGap: spacings.some((spacing) => spacing.isBehindGap),
+    largestGapMinutes: gaps.length > 0 ? Math.max(...gaps) : null,
+  };
+}
+
+/**
+ * Spacing for every route
+ * @param {Object} routes - Routes keyed by ID
+ * @returns {Object} routeId -> analyzeRouteSpacing result
+ */
+export function analyzeServiceSpacing(routes) {
+  const spacing = {};
+  Object.values(routes || {}).forEach((route) => {
+    if (route) spacing[route.id] = analyzeRouteSpacing(route);
+  });
+  return spacing;
+}
+
+/**
+ * Which service problem, if any, affects a bus
+ * @param {Object} spacing - One vehicle's entry from analyzeRouteSpacing
+ * @returns {string|null} 'gap' (running behind a large gap), 'bunched', or null
+ */
+export function getServiceFlag(spacing) {
+  if (!spacing) return null;
+  if (spacing.isBehindGap) return 'gap';
+  if (spacing.isBunched) return 'bunched';
+  return null;
+}
+
+/**
+ * Push back a bus's stop times when it's running behind a large gap
+ * It has to pick up everyone who's been waiting since the last bus, so it loses
+ * time at each stop and predictions made from its current pace run early
+ * @param {Array} stopTimes - Stop times sorted by time (seconds from now)
+ * @param {Object} spacing - The bus's entry from analyzeRouteSpacing
+ * @returns {Array} Adjusted stop times (the same array if nothing changes)
+ */
+export function adjustStopTimesForSpacing(stopTimes, spacing) {
+  if (!spacing?.isBehindGap) return stopTimes;
+
+  return stopTimes.map((stopTime, index) => {
+    // The next stop is close enough that its prediction already holds
+    const delay = Math.min(MAX_GAP_DELAY_SECONDS, index * GAP_DWELL_SECONDS_PER_STOP);
+    return delay === 0 ? stopTime : { ...stopTime, time: stopTime.time + delay };
+  });
+}
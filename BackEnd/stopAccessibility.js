@@ -0,0 +1,129 @@
+// stopAccessibility.js - What each stop is like to reach in a wheelchair
+//
+// Two sources, merged per stop:
+//
+//   - GTFS wheelchair_boarding (gtfsStatic.js sets stop.stepFree from it)
+//   - Data/stopAccessibility.json, surveyed by hand, which wins where both say something:
+//
+//       { "stops": { "<stopId>": { "stepFree": boolean, "steepApproach": boolean, "note": string } },
+//         "places": [{ "name": string, "latitude": number, "longitude": number, "stepFree", "steepApproach", "note" }],
+//         "samplePlaces": [...] }
+//
+//     CABS stop IDs are opaque, so a survey can also be recorded by where the
+//     stop is: a place applies to every stop within 40 m of it, on any route.
+//     samplePlaces are only used in development builds, so the step-free
+//     profile can be seen working before real survey data exists.
+//
+// attachStopAccessibility() writes the merged answer onto each stop as
+// stepFree (true / false / undefined when nobody knows), steepApproach and
+// accessibilityNote. The step-free planning profile never boards or leaves at
+// a stop with stepFree: false and avoids ones with steep approaches.
+
+import localAccessibilityFile from '../Data/stopAccessibility.json';
+import { haversineDistance } from './utils.js';
+
+// A place in the survey applies to stops this close to it
+const PLACE_MATCH_METERS = 40;
+
+function normalizeEntry(entry) {
+  return {
+    stepFree: typeof entry.stepFree === 'boolean' ? entry.stepFree : undefined,
+    steepApproach: entry.steepApproach === true,
+    note: typeof entry.note === 'string' ? entry.note : null,
+  };
+}
+
+/**
+ * Survey entries from Data/stopAccessibility.json
+ * Entries that aren't objects, and places without coordinates, are dropped
+ * @param {Object} options
+ * @param {boolean} options.includeSamples - Add samplePlaces (default: development builds only)
+ * @returns {Object} { stops: { stopId: entry }, places: [{ latitude, longitude, ...entry }] }
+ *                   where entry is { stepFree, steepApproach, note }
+ */
+export function loadLocalStopAccessibility(options = {}) {
+  const { includeSamples = typeof __DEV__ !== 'undefined' && __DEV__ } = options;
+
+  const stops = {};
+  Object.entries(localAccessibilityFile?.stops || {}).forEach(([stopId, entry]) => {
+    if (!entry || typeof entry !== 'object') return;
+    stops[stopId] = normalizeEntry(entry);
+  });
+
+  const rawPlaces = [
+    ...(localAccessibilityFile?.places || []),
+    ...(includeSamples ? localAccessibilityFile?.samplePlaces || [] : []),
+  ];
+  const places = rawPlaces
+    .filter((entry) => entry && typeof entry === 'object')
+    .map((entry) => ({ latitude: Number(entry.latitude), longitude: Number(entry.longitude), ...normalizeEntry(entry) }))
+    .filter((place) => Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+
+  return { stops, places };
+}
+
+/**
+ * The survey entry for a stop: by its ID, or else the closest place within PLACE_MATCH_METERS
+ */
+function findEntry(survey, stop) {
+  const byId = survey.stops?.[stop.id];
+  if (byId) return byId;
+
+  let best = null;
+  let bestDistance = PLACE_MATCH_METERS;
+  (survey.places || []).forEach((place) => {
+    const distance = haversineDistance(stop.latitude, stop.longitude, place.latitude, place.longitude);
+    if (distance <= bestDistance) {
+      best = place;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Put what we know about step-free access on every stop
+ * @param {Object} routes - Routes keyed by ID
+ * @param {Object} survey - { stops, places } as from loadLocalStopAccessibility (the default)
+ * @returns {Object} New routes object
+ */
+export function attachStopAccessibility(routes, survey = loadLocalStopAccessibility()) {
+  if (!routes) return routes;
+
+  const updated = {};
+  Object.values(routes).forEach((route) => {
+    if (!route) return;
+    updated[route.id] = {
+      ...route,
+      stops: (route.stops || []).map((stop) => {
+        const entry = findEntry(survey, stop);
+        if (!entry) return stop;
+        return {
+          ...stop,
+          stepFree: entry.stepFree ?? stop.stepFree,
+          steepApproach: entry.steepApproach,
+          accessibilityNote: entry.note,
+        };
+      }),
+    };
+  });
+  return updated;
+}
+
+/**
+ * Summarize the stops an itinerary uses for the accessibility badge
+ * @param {Array} stops - Every stop the trip boards or leaves at
+ * @returns {Object} { stepFreeStops, unverifiedStops, steepStops, notes } - counts, plus
+ *                   any surveyed notes as [{ stopId, stopName, note }]
+ */
+export function summarizeStopAccessibility(stops) {
+  const unique = Array.from(new Map(stops.filter(Boolean).map((stop) => [stop.id, stop])).values());
+  return {
+    stepFreeStops: unique.filter((stop) => stop.stepFree === true).length,
+    unverifiedStops: unique.filter((stop) => stop.stepFree === undefined).length,
+    steepStops: unique.filter((stop) => stop.steepApproach).length,
+    notes: unique
+      .filter((stop) => stop.accessibilityNote)
+      .map((stop) => ({ stopId: stop.id, stopName: stop.name, note: stop.accessibilityNote })),
+  };
+}
@@ -0,0 +1,86 @@
+// stopArrivals.js - Live departures board for each stop
+//
+// The API reports predictions per vehicle ("this bus reaches stops X, Y, Z in
+// ..."). Riders standing at a stop want the opposite: every bus coming to this
+// stop, soonest first. These helpers invert the routes structure into that.
+
+import { STALE_DATA_MINUTES } from './routeData.js';
+
+/**
+ * Seconds since a route's vehicles were fetched (0 if it doesn't say)
+ */
+function vehicleDataAgeSeconds(route, now) {
+  if (!route.vehiclesFetchedAt) return 0;
+  return Math.max(0, (now.getTime() - route.vehiclesFetchedAt) / 1000);
+}
+
+/**
+ * Arrival lists for every stop with at least one predicted bus
+ * Predictions are counted from when they were fetched, so a bus "5 minutes away"
+ * in data that's 2 minutes old shows as 3 minutes away, and buses that should
+ * already have come are dropped
+ * @param {Object} routes - Routes keyed by ID
+ * @param {Object} options
+ * @param {Date} options.now - Time to count minutes from (default new Date())
+ * @returns {Object} stopId -> [{ routeId, routeName, routeColor, vehicleId, destination,
+ *                   minutesAway, arrivalTime: Date, isDelayed, isEstimate }] sorted by minutesAway
+ */
+export function buildArrivalsBoard(routes, options = {}) {
+  const { now = new Date() } = options;
+  const board = {};
+
+  Object.values(routes || {}).forEach((route) => {
+    if (!route?.vehicles) return;
+    const ageSeconds = vehicleDataAgeSeconds(route, now);
+    const isEstimate = ageSeconds / 60 > STALE_DATA_MINUTES;
+
+    route.vehicles.forEach((vehicle) => {
+      // A bus on a loop can be predicted at the same stop twice; each is its own arrival
+      (vehicle.predictions || []).forEach((prediction) => {
+        if (prediction.timeToArrivalInSeconds === undefined) return;
+        const seconds = prediction.timeToArrivalInSeconds - ageSeconds;
+        if (seconds < 0) return;
+
+        if (!board[prediction.stopId]) board[prediction.stopId] = [];
+        board[prediction.stopId].push({
+          routeId: route.id,
+          routeName: route.name,
+          routeColor: route.color,
+          vehicleId: vehicle.id,
+          destination: vehicle.destination || null,
+          minutesAway: seconds / 60,
+          arrivalTime: new Date(now.getTime() + seconds * 1000),
+          isDelayed: Boolean(prediction.isDelayed),
+          isEstimate,
+        });
+      });
+    });
+  });
+
+  Object.values(board).forEach((arrivals) => arrivals.sort((a, b) => a.minutesAway - b.minutesAway));
+  return board;
+}
+
+/**
+ * Upcoming buses at one stop, soonest first
+ * @param {Object} routes - Routes keyed by ID
+ * @param {string} stopId
+ * @param {Object} options
+ * @param {Date} options.now - Time to count minutes from (default new Date())
+ * @param {number} options.limit - Most arrivals to return (default 10)
+ * @returns {Array} Arrivals, as in buildArrivalsBoard
+ */
+export function getStopArrivals(routes, stopId, options = {}) {
+  const { limit = 10 } = options;
+  return (buildArrivalsBoard(routes, options)[stopId] || []).slice(0, limit);
+}
+
+/**
+ * The routes that stop at a stop, whether or not a bus is on the way
+ * @returns {Array} [{ id, name, color }]
+ */
+export function getRoutesServingStop(routes, stopId) {
+  return Object.values(routes || {})
+    .filter((route) => route?.stops?.some((stop) => stop.id === stopId))
+    .map((route) => ({ id: route.id, name: route.name, color: route.color }));
+}
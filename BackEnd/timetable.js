@@ -0,0 +1,401 @@
+// timetable.js - Estimated stop times for when live predictions are missing
+//
+// Stop order comes from projecting each stop onto the route's pattern shape.
+// Run times between stops come from the live predictions of other buses on the
+// route when there are any, and from distance at a typical bus speed otherwise.
+// Routes imported from a GTFS feed also carry a published schedule, which is
+// used instead when no buses on the route are reporting.
+
+import {
+  decodeShape,
+  shapeLength,
+  isLoopShape,
+  projectOntoShape,
+  projectionsOntoShape,
+  bearingDifference,
+  sliceShape,
+} from './routeGeometry.js';
+import { isServiceActive } from './gtfsStatic.js';
+
+// Average bus speed between stops, including traffic lights (~15 mph)
+const TYPICAL_BUS_SPEED_MPS = 6.7;
+
+// Time a bus sits at each stop loading passengers
+const DWELL_SECONDS = 20;
+
+// Stops further than this from a pattern's shape aren't served by that pattern
+const MAX_STOP_OFFSET_METERS = 60;
+
+// A bus this far from a pattern's shape isn't running that pattern
+const MAX_VEHICLE_OFFSET_METERS = 100;
+
+// How far past the search's departure time to expand the published schedule
+export const SCHEDULE_WINDOW_MINUTES = 180;
+
+// Every plan locates every bus on every pattern, so decoded shapes are kept per
+// pattern object and stop sequences per stop list, which survives route copies
+// like ageStaleRoutes'. A refresh brings new objects and the old entries go with them.
+const shapesByPattern = new WeakMap();
+const sequencesByStops = new WeakMap();
+
+function patternShape(pattern) {
+  if (!pattern) return [];
+  if (!shapesByPattern.has(pattern)) {
+    shapesByPattern.set(pattern, decodeShape(pattern.encodedPolyline));
+  }
+  return shapesByPattern.get(pattern);
+}
+
+/**
+ * Order a route's stops along one of its patterns
+ * Worked out once per stop list and pattern; callers mustn't modify the result
+ * @param {Object} route - Route with stops
+ * @param {Object} pattern - Pattern with encodedPolyline
+ * @returns {Object} { shape, length, isLoop, stops: [{ stop, distanceAlong }] } with stops in travel order
+ */
+export function getPatternStopSequence(route, pattern) {
+  if (!Array.isArray(route.stops) || !pattern) return buildPatternStopSequence(route, pattern);
+
+  let byPattern = sequencesByStops.get(route.stops);
+  if (!byPattern) {
+    byPattern = new WeakMap();
+    sequencesByStops.set(route.stops, byPattern);
+  }
+  if (!byPattern.has(pattern)) {
+    byPattern.set(pattern, buildPatternStopSequence(route, pattern));
+  }
+  return byPattern.get(pattern);
+}
+
+function buildPatternStopSequence(route, pattern) {
+  const shape = patternShape(pattern);
+  const stops = [];
+
+  (route.stops || []).forEach((stop) => {
+    const projection = projectOntoShape(shape, stop);
+    if (projection && projection.offset <= MAX_STOP_OFFSET_METERS) {
+      stops.push({ stop, distanceAlong: projection.distanceAlong });
+    }
+  });
+
+  stops.sort((a, b) => a.distanceAlong - b.distanceAlong);
+
+  return {
+    shape,
+    length: shapeLength(shape),
+    isLoop: isLoopShape(shape),
+    stops,
+  };
+}
+
+/**
+ * Learn typical run times between consecutive stops from any live predictions on the route
+ * @returns {Map} "fromStopId>toStopId" -> seconds (median of what was seen)
+ */
+export function getTypicalRunTimes(route) {
+  const samples = new Map();
+
+  (route.vehicles || []).forEach((vehicle) => {
+    const predictions = (vehicle.predictions || [])
+      .filter((p) => p.timeToArrivalInSeconds !== undefined)
+      .sort((a, b) => a.timeToArrivalInSeconds - b.timeToArrivalInSeconds);
+
+    for (let i = 1; i < predictions.length; i++) {
+      const key = `${predictions[i - 1].stopId}>${predictions[i].stopId}`;
+      const seconds = predictions[i].timeToArrivalInSeconds - predictions[i - 1].timeToArrivalInSeconds;
+      if (seconds <= 0) continue;
+      if (!samples.has(key)) samples.set(key, []);
+      samples.get(key).push(seconds);
+    }
+  });
+
+  const runTimes = new Map();
+  samples.forEach((values, key) => {
+    values.sort((a, b) => a - b);
+    runTimes.set(key, values[Math.floor(values.length / 2)]);
+  });
+  return runTimes;
+}
+
+/**
+ * Seconds for a bus to get from one stop to the next
+ */
+function runTimeSeconds(runTimes, fromStopId, toStopId, meters) {
+  const observed = runTimes.get(`${fromStopId}>${toStopId}`);
+  if (observed !== undefined) return observed;
+  return meters / TYPICAL_BUS_SPEED_MPS + DWELL_SECONDS;
+}
+
+/**
+ * Typical seconds for a bus to get from one point on a pattern to a later one
+ * Counts a dwell at every stop in between; on loops the distance may wrap past the end
+ * @param {Object} sequence - From getPatternStopSequence
+ * @param {number} fromDistance - Meters along the shape
+ * @param {number} toDistance - Meters along the shape
+ */
+export function estimateRunSeconds(sequence, fromDistance, toDistance) {
+  let meters = toDistance - fromDistance;
+  if (meters < 0 && sequence.isLoop) meters += sequence.length;
+  if (meters <= 0) return 0;
+
+  const stopsBetween = sequence.stops.filter(({ distanceAlong }) => {
+    const ahead = distanceAlong - fromDistance + (distanceAlong < fromDistance ? sequence.length : 0);
+    return ahead > 0 && ahead < meters;
+  }).length;
+
+  return meters / TYPICAL_BUS_SPEED_MPS + stopsBetween * DWELL_SECONDS;
+}
+
+/**
+ * Figure out which pattern a vehicle is running and where it is along it
+ * Picks the closest shape, skipping ones that run the opposite way to the bus's heading
+ * @returns {Object|null} { pattern, sequence, distanceAlong } or null if the bus isn't near any
+ *                        pattern (sequence is from getPatternStopSequence)
+ */
+export function locateVehicle(route, vehicle) {
+  const latitude = Number(vehicle.latitude);
+  const longitude = Number(vehicle.longitude);
+  if (!isFinite(latitude) || !isFinite(longitude)) return null;
+
+  let best = null;
+
+  (route.patterns || []).forEach((pattern) => {
+    const sequence = getPatternStopSequence(route, pattern);
+    if (sequence.stops.length < 2) return;
+
+    const projection = projectOntoShape(sequence.shape, { latitude, longitude });
+    if (!projection || projection.offset > MAX_VEHICLE_OFFSET_METERS) return;
+
+    // Penalize patterns going the other way down the same street
+    const heading = Number(vehicle.heading);
+    const wrongWay = isFinite(heading) && bearingDifference(heading, projection.bearing) > 90;
+    const score = projection.offset + (wrongWay ? MAX_VEHICLE_OFFSET_METERS : 0);
+
+    if (!best || score < best.score) {
+      best = { pattern, sequence, distanceAlong: projection.distanceAlong, score };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Cut the ride between two stops out of one pattern's shape, in its direction of travel
+ * A shape can pass a stop more than once (out-and-back routes on one street, loops
+ * that come by twice), so every pass near each stop is a candidate. The ride boards
+ * at the first pass of fromStop still ahead of the bus (any pass when there's no bus)
+ * and gets off at the first pass of toStop after that.
+ * @param {number|null} vehicleDistance - Where the bus is along the shape, if it's been located
+ * @returns {Object|null} { meters, polyline } or null if the pattern doesn't serve both stops that way
+ */
+function cutRide(pattern, fromStop, toStop, vehicleDistance = null) {
+  const shape = patternShape(pattern);
+  let boardings = projectionsOntoShape(shape, fromStop, MAX_STOP_OFFSET_METERS);
+  const alightings = projectionsOntoShape(shape, toStop, MAX_STOP_OFFSET_METERS);
+  if (boardings.length === 0 || alightings.length === 0) return null;
+
+  const isLoop = isLoopShape(shape);
+  const length = shapeLength(shape);
+  const metersAhead = (fromDistance, toDistance) => {
+    const meters = toDistance - fromDistance;
+    return meters < 0 && isLoop ? meters + length : meters;
+  };
+
+  // A bus pulling in may already be a little past the point its stop projects to
+  if (vehicleDistance !== null) {
+    const ahead = boardings
+      .map((boarding) => ({ boarding, meters: metersAhead(vehicleDistance - MAX_STOP_OFFSET_METERS, boarding.distanceAlong) }))
+      .filter(({ meters }) => meters >= 0)
+      .sort((a, b) => a.meters - b.meters);
+    if (ahead.length === 0) return null;
+    boardings = [ahead[0].boarding];
+  }
+
+  let best = null;
+  boardings.forEach((from) => {
+    alightings.forEach((to) => {
+      const meters = metersAhead(from.distanceAlong, to.distanceAlong);
+      if (meters > 0 && (!best || meters < best.meters)) best = { from, to, meters };
+    });
+  });
+  if (!best) return null;
+
+  return {
+    meters: best.meters,
+    polyline: sliceShape(shape, best.from.distanceAlong, best.to.distanceAlong, { loop: isLoop }),
+  };
+}
+
+/**
+ * The path a bus takes between two stops, cut from the route's pattern shape
+ * Uses the pattern the bus is running, from where it is now, when it can be located;
+ * otherwise the pattern that serves both stops with the shortest ride from one to
+ * the other in its direction of travel (through the end of the shape and round again on loops).
+ * @param {Object} route - Route with stops and patterns
+ * @param {Object} fromStop - { latitude, longitude } where the rider boards
+ * @param {Object} toStop - { latitude, longitude } where they get off
+ * @param {Object} vehicle - The bus being ridden, if known
+ * @returns {Array|null} [{ latitude, longitude }] or null if no pattern serves both stops that way
+ */
+export function getRidePolyline(route, fromStop, toStop, vehicle = null) {
+  if (!route || !fromStop || !toStop) return null;
+
+  const located = vehicle && !vehicle.isScheduled ? locateVehicle(route, vehicle) : null;
+  const ride = located && cutRide(located.pattern, fromStop, toStop, located.distanceAlong);
+  if (ride) return ride.polyline;
+
+  let best = null;
+  (route.patterns || []).forEach((pattern) => {
+    const candidate = cutRide(pattern, fromStop, toStop);
+    if (candidate && (!best || candidate.meters < best.meters)) best = candidate;
+  });
+  return best ? best.polyline : null;
+}
+
+/**
+ * Build an estimated stop time entry in the same shape as a live one
+ */
+function estimatedStopTime(stop, seconds) {
+  return {
+    stopId: stop.id,
+    time: seconds,
+    isEstimate: true,
+    prediction: {
+      stopId: stop.id,
+      stopName: stop.name,
+      timeToArrivalInSeconds: seconds,
+      isDelayed: false,
+    },
+  };
+}
+
+/**
+ * Estimate upcoming stop times for a bus that has no live predictions
+ * Follows its pattern from where the bus is now for one lap (or to the end of the line)
+ * @returns {Array} Stop times: [{ stopId, time, prediction, isEstimate: true }] (time in seconds from now)
+ */
+export function buildEstimatedStopTimes(route, vehicle) {
+  const located = locateVehicle(route, vehicle);
+  if (!located) return [];
+
+  const { sequence, distanceAlong } = located;
+  const runTimes = getTypicalRunTimes(route);
+
+  // Stops still ahead on this lap, then (for loops) the ones behind the bus on the next lap
+  const ahead = sequence.stops.filter((s) => s.distanceAlong >= distanceAlong);
+  const upcoming = sequence.isLoop
+    ? [...ahead, ...sequence.stops.filter((s) => s.distanceAlong < distanceAlong)]
+    : ahead;
+  if (upcoming.length === 0) return [];
+
+  const stopTimes = [];
+  let seconds = 0;
+  let position = distanceAlong;
+  let prevStop = null;
+
+  upcoming.forEach((entry) => {
+    let meters = entry.distanceAlong - position;
+    if (meters < 0) meters += sequence.length; // wrapped around the loop
+
+    seconds += prevStop
+      ? runTimeSeconds(runTimes, prevStop.id, entry.stop.id, meters)
+      : meters / TYPICAL_BUS_SPEED_MPS;
+
+    stopTimes.push(estimatedStopTime(entry.stop, seconds));
+    position = entry.distanceAlong;
+    prevStop = entry.stop;
+  });
+
+  return stopTimes;
+}
+
+/**
+ * Continue a bus's live stop times past its last prediction using typical run times
+ * CABS only predicts the next handful of stops, so without this a destination a
+ * little further down the line looks unreachable
+ * @param {Array} stopTimes - Live stop times sorted by time
+ * @returns {Array} The live stop times followed by estimated ones (at most one lap in total)
+ */
+export function extendStopTimes(route, vehicle, stopTimes) {
+  if (stopTimes.length === 0) return stopTimes;
+
+  const last = stopTimes[stopTimes.length - 1];
+
+  // Prefer the pattern the bus is on; otherwise any pattern that serves its last predicted stop
+  const located = locateVehicle(route, vehicle);
+  const sequence = located?.sequence ||
+    (route.patterns || [])
+      .map((pattern) => getPatternStopSequence(route, pattern))
+      .find((seq) => seq.stops.some((s) => s.stop.id === last.stopId));
+  if (!sequence) return stopTimes;
+
+  const lastIndex = sequence.stops.findIndex((s) => s.stop.id === last.stopId);
+  if (lastIndex === -1) return stopTimes;
+
+  const runTimes = getTypicalRunTimes(route);
+  const remaining = sequence.stops.length - stopTimes.length;
+  const extended = [...stopTimes];
+  let seconds = last.time;
+
+  for (let step = 1; step <= remaining; step++) {
+    const index = lastIndex + step;
+    if (!sequence.isLoop && index >= sequence.stops.length) break;
+
+    const prev = sequence.stops[(index - 1) % sequence.stops.length];
+    const next = sequence.stops[index % sequence.stops.length];
+
+    let meters = next.distanceAlong - prev.distanceAlong;
+    if (meters < 0) meters += sequence.length;
+
+    seconds += runTimeSeconds(runTimes, prev.stop.id, next.stop.id, meters);
+    extended.push(estimatedStopTime(next.stop, seconds));
+  }
+
+  return extended;
+}
+
+/**
+ * Turn a route's published schedule into trips running around the given time
+ * Yesterday's service is included because GTFS trips after midnight belong to
+ * the day they started on (times like 25:10:00)
+ * @param {Object} route - Route with a schedule from gtfsToRoutes
+ * @param {Date} now - Time the returned stop times are relative to
+ * @param {number} fromMinutes - Skip trips that are finished by this many minutes from now
+ * @returns {Array} Trips: { id, route, vehicle, stopTimes: [{ stopId, time, prediction, isEstimate: true }] }
+ */
+export function buildScheduledTrips(route, now, fromMinutes = 0) {
+  const schedule = route.schedule;
+  if (!schedule || !schedule.trips) return [];
+
+  const windowStart = fromMinutes * 60;
+  const windowEnd = windowStart + SCHEDULE_WINDOW_MINUTES * 60;
+  const stopsById = new Map((route.stops || []).map((stop) => [stop.id, stop]));
+  const trips = [];
+
+  for (let dayOffset = -1; dayOffset <= 1; dayOffset++) {
+    const serviceDay = new Date(now.getTime());
+    serviceDay.setDate(serviceDay.getDate() + dayOffset);
+    serviceDay.setHours(0, 0, 0, 0);
+    const dayStart = (serviceDay.getTime() - now.getTime()) / 1000;
+
+    schedule.trips.forEach((trip) => {
+      if (!isServiceActive(schedule, trip.serviceId, serviceDay)) return;
+
+      const stopTimes = trip.stopTimes
+        .map((stopTime) => ({ stop: stopsById.get(stopTime.stopId), time: dayStart + stopTime.time }))
+        .filter(({ stop, time }) => stop && time >= windowStart && time <= windowEnd)
+        .map(({ stop, time }) => estimatedStopTime(stop, time));
+
+      if (stopTimes.length < 2) return;
+
+      trips.push({
+        id: `${route.id}-${trip.id}-${dayOffset}`,
+        route,
+        vehicle: { id: trip.id, destination: trip.headsign, isScheduled: true },
+        stopTimes,
+      });
+    });
+  }
+
+  return trips;
+}
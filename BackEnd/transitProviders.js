@@ -0,0 +1,303 @@
+// transitProviders.js - Swappable sources of route, vehicle and alert data
+//
+// Every provider has the same three methods, so the planner and the UI don't
+// care where the data comes from:
+//
+//   getRoutes()   -> Promise<{ [routeId]: { id, name, color, stops, patterns, vehicles } }>
+//   getVehicles() -> Promise<{ [routeId]: vehicles[] }>
+//   getAlerts()   -> Promise<alerts[]>   (normalized, see serviceAlerts.js)
+//
+// getVehicles() is what gets polled; merge its result into loaded routes with
+// mergeVehicles() from routeData.js.
+//
+// Vehicles follow the CABS shape: { id, latitude, longitude, heading, speed,
+// predictions: [{ stopId, timeToArrivalInSeconds, isDelayed }], ... }.
+
+import { fetchAllRoutes, fetchStaticRoutes, fetchLiveVehicles, fetchServiceAlerts } from './osuBusAPI.js';
+import Constants from 'expo-constants';
+import { loadGtfsRoutes, fetchGtfsZip, mergeScheduledRoutes } from './gtfsStatic.js';
+import { fetchGtfsRealtimeFeed, feedsToVehicles, feedsToAlerts, attachRealtimeVehicles } from './gtfsRealtime.js';
+import { normalizeAlerts, loadLocalAlerts } from './serviceAlerts.js';
+import { mergeVehicles } from './routeData.js';
+import { saveRoutes, loadCachedRoutes } from './persistentCache.js';
+
+// How long each recorded snapshot plays for when replaying (matches the app's poll interval)
+const REPLAY_INTERVAL_MS = 15000;
+
+// While polling, the last good routes are written to the device at most this often
+const ROUTES_SAVE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Pull the vehicles out of a routes object
+ */
+function vehiclesByRoute(routes) {
+  const vehicles = {};
+  Object.values(routes || {}).forEach((route) => {
+    vehicles[route.id] = route.vehicles || [];
+  });
+  return vehicles;
+}
+
+/**
+ * Live OSU campus buses from the CABS API (content.osu.edu)
+ * Stops and shapes are cached for hours (see fetchStaticRoutes), so getVehicles()
+ * is cheap enough to poll
+ * @param {Object} options
+ * @param {string} options.alertsUrl - Alerts feed in the CABS envelope. CABS has no documented
+ *                                     alerts endpoint, so without one the alerts come from
+ *                                     Data/serviceAlerts.json
+ */
+export function createCabsProvider(options = {}) {
+  const { alertsUrl = null } = options;
+
+  return {
+    name: 'cabs',
+
+    async getRoutes() {
+      return fetchAllRoutes();
+    },
+
+    async getVehicles() {
+      const staticRoutes = await fetchStaticRoutes();
+      return fetchLiveVehicles(Object.keys(staticRoutes));
+    },
+
+    async getAlerts() {
+      if (!alertsUrl) return loadLocalAlerts();
+      try {
+        return await fetchServiceAlerts(alertsUrl);
+      } catch (err) {
+        console.warn('CABS alerts unavailable, using local alerts file:', err.message);
+        return loadLocalAlerts();
+      }
+    },
+  };
+}
+
+/**
+ * Canned data, for demos, offline development and reproducing bugs
+ * Give it one snapshot for a fixed fixture, or several recorded ones to replay
+ * them in order, each for `intervalMs`
+ * @param {Object|Array} snapshots - { routes, alerts } or an array of them
+ * @param {Object} options
+ * @param {number} options.intervalMs - How long each snapshot plays for (default 15s)
+ * @param {boolean} options.loop - Start over after the last snapshot (default true)
+ */
+export function createFixtureProvider(snapshots, options = {}) {
+  const { intervalMs = REPLAY_INTERVAL_MS, loop = true } = options;
+  const list = Array.isArray(snapshots) ? snapshots : [snapshots];
+  const startedAt = Date.now();
+
+  const currentSnapshot = () => {
+    const step = Math.floor((Date.now() - startedAt) / intervalMs);
+    const index = loop ? step % list.length : Math.min(step, list.length - 1);
+    return list[index] || {};
+  };
+
+  return {
+    name: 'fixture',
+
+    async getRoutes() {
+      return currentSnapshot().routes || {};
+    },
+
+    async getVehicles() {
+      return vehiclesByRoute(currentSnapshot().routes);
+    },
+
+    async getAlerts() {
+      return normalizeAlerts(currentSnapshot().alerts, 'fixture');
+    },
+  };
+}
+
+/**
+ * Any agency that publishes GTFS: a static feed for routes and schedules, plus
+ * optional GTFS-Realtime feeds for live buses
+ * @param {Object} config
+ * @param {Uint8Array|ArrayBuffer} config.zipData - GTFS static zip contents
+ * @param {string} config.zipUrl - Or where to download the zip from (once, on first use)
+ * @param {string} config.vehiclePositionsUrl - GTFS-Realtime VehiclePositions endpoint
+ * @param {string} config.tripUpdatesUrl - GTFS-Realtime TripUpdates endpoint
+ * @param {string} config.alertsUrl - GTFS-Realtime Service Alerts endpoint
+ * @param {string} config.idPrefix - Prefix for route IDs, e.g. "COTA-"
+ */
+export function createGtfsProvider(config) {
+  const { zipData, zipUrl, vehiclePositionsUrl, tripUpdatesUrl, alertsUrl, idPrefix = '' } = config;
+  let scheduledRoutes = null;
+
+  // A download that fails is tried again on the next call
+  const getScheduledRoutes = () => {
+    if (!scheduledRoutes) {
+      scheduledRoutes = Promise.resolve(zipData || fetchGtfsZip(zipUrl))
+        .then((data) => loadGtfsRoutes(data, { idPrefix }));
+      scheduledRoutes.catch(() => {
+        scheduledRoutes = null;
+      });
+    }
+    return scheduledRoutes;
+  };
+
+  const fetchLiveRoutes = async () => {
+    const urls = [vehiclePositionsUrl, tripUpdatesUrl].filter(Boolean);
+    const [routes, feeds] = await Promise.all([
+      getScheduledRoutes(),
+      Promise.all(urls.map((url) => fetchGtfsRealtimeFeed(url))),
+    ]);
+    return attachRealtimeVehicles(routes, feedsToVehicles(feeds.filter(Boolean)), { idPrefix });
+  };
+
+  return {
+    name: 'gtfs',
+
+    async getRoutes() {
+      return fetchLiveRoutes();
+    },
+
+    async getVehicles() {
+      return vehiclesByRoute(await fetchLiveRoutes());
+    },
+
+    async getAlerts() {
+      const feed = alertsUrl ? await fetchGtfsRealtimeFeed(alertsUrl) : null;
+      if (!feed) return [];
+      return feedsToAlerts([feed], { routes: await getScheduledRoutes(), idPrefix });
+    },
+  };
+}
+
+/**
+ * Several agencies at once, e.g. CABS plus COTA
+ * Routes with the same ID are combined the way mergeScheduledRoutes does (the
+ * earlier provider's live data wins). One provider failing doesn't take the
+ * others down with it.
+ * @param {Array} providers - Providers in priority order
+ */
+export function createMergedProvider(providers) {
+  const settle = async (method) => {
+    const results = await Promise.allSettled(providers.map((provider) => provider[method]()));
+    return results
+      .map((result, index) => {
+        if (result.status === 'fulfilled') return result.value;
+        console.warn(`Provider ${providers[index].name || index} ${method} failed:`, result.reason);
+        return null;
+      })
+      .filter(Boolean);
+  };
+
+  return {
+    name: 'merged',
+
+    async getRoutes() {
+      const results = await settle('getRoutes');
+      return results.reduceRight((merged, routes) => mergeScheduledRoutes(routes, merged), {});
+    },
+
+    async getVehicles() {
+      const results = await settle('getVehicles');
+      return results.reduceRight((merged, vehicles) => ({ ...merged, ...vehicles }), {});
+    },
+
+    async getAlerts() {
+      return (await settle('getAlerts')).flat();
+    },
+  };
+}
+
+/**
+ * Wrap a provider so its last good routes are saved on the device and served
+ * when the network is down
+ * Cached routes keep their original vehiclesFetchedAt, so the planner can tell
+ * they're old and switch to "stale data" mode
+ * @param {Object} provider - Provider to wrap
+ */
+export function createCachedProvider(provider) {
+  let lastRoutes = null;
+  let lastSavedAt = 0;
+  let lastError = null;
+
+  const remember = (routes, force) => {
+    lastRoutes = routes;
+    if (force || Date.now() - lastSavedAt >= ROUTES_SAVE_INTERVAL_MS) {
+      lastSavedAt = Date.now();
+      saveRoutes(routes);
+    }
+  };
+
+  // Offline, providers still answer, just without any stops
+  const isUsable = (routes) => Object.values(routes || {}).some((route) => route?.stops?.length > 0);
+
+  return {
+    name: `cached-${provider.name}`,
+
+    /**
+     * Routes saved on a previous run, for showing something before the first fetch finishes
+     * @returns {Promise<Object|null>}
+     */
+    async getCachedRoutes() {
+      const cached = await loadCachedRoutes();
+      return cached?.routes || null;
+    },
+
+    /**
+     * Why the last getRoutes()/getVehicles() call failed, or null if it worked
+     * Cached routes are served quietly, so this is how the UI finds out it's offline
+     * @returns {Error|null} Usually one of the typed errors from httpClient.js
+     */
+    getLastError() {
+      return lastError;
+    },
+
+    async getRoutes() {
+      let routes = null;
+      try {
+        routes = await provider.getRoutes();
+        lastError = null;
+      } catch (err) {
+        console.warn(`Provider ${provider.name} getRoutes failed, using cached routes:`, err.message);
+        lastError = err;
+      }
+
+      if (isUsable(routes)) {
+        remember(routes, true);
+        return routes;
+      }
+
+      if (!lastRoutes) {
+        lastRoutes = await this.getCachedRoutes();
+      }
+      return lastRoutes || routes || {};
+    },
+
+    async getVehicles() {
+      let vehicles;
+      try {
+        vehicles = await provider.getVehicles();
+        lastError = null;
+      } catch (err) {
+        lastError = err;
+        throw err;
+      }
+      if (lastRoutes) remember(mergeVehicles(lastRoutes, vehicles), false);
+      return vehicles;
+    },
+
+    async getAlerts() {
+      return provider.getAlerts();
+    },
+  };
+}
+
+/**
+ * The provider the app uses unless told otherwise: CABS, plus the GTFS feed in
+ * app.config.js (extra.gtfs) when one is configured. The feed's schedule fills in
+ * past the live predictions and adds the routes CABS doesn't run.
+ * @param {Object} extra - expo config extra (default: the running app's)
+ */
+export function createDefaultProvider(extra = Constants.expoConfig?.extra) {
+  const cabs = createCabsProvider();
+  const gtfs = extra?.gtfs;
+  if (!gtfs?.zipUrl) return createCachedProvider(cabs);
+
+  return createCachedProvider(createMergedProvider([cabs, createGtfsProvider(gtfs)]));
+}
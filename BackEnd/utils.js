@@ -0,0 +1,85 @@
+// utils.js - Shared helpers for the routing backend
+
+// Average walking speed used for every straight-line walk estimate
+export const WALKING_SPEED_MPS = 1.1;
+
+// Default pace for the step-free (wheelchair) profile; manual chairs on campus
+// paths with curb cuts and crossings average well under walking speed
+export const ACCESSIBLE_WALKING_SPEED_MPS = 0.8;
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * @returns distance in meters
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371e3; // Earth's radius in meters
+  const φ1 = (lat1 * Math.PI) / 180;
+  const φ2 = (lat2 * Math.PI) / 180;
+  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+  return R * c; // Distance in meters
+}
+
+/**
+ * Format a clock time some minutes after a base time
+ * @param {number} totalMinutes - Minutes after baseTime
+ * @param {Date} baseTime - Time to count from (default now)
+ * @returns {string} ETA in the format of "H:MM"
+ */
+export function formatETA(totalMinutes, baseTime = new Date()) {
+  const time = new Date(baseTime.getTime());
+  time.setMinutes(time.getMinutes() + totalMinutes);
+  let hours = time.getHours();
+  hours = hours % 12;
+  if (hours === 0) hours = 12;
+  const minutes = time.getMinutes().toString().padStart(2, '0');
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * Minutes from one Date to another (negative if `to` is earlier)
+ */
+export function minutesBetween(from, to) {
+  return (to.getTime() - from.getTime()) / 60000;
+}
+
+/**
+ * Parse a clock time typed by the user ("9:10", "9:10 am", "14:30") into
+ * the next time it occurs. Without am/pm, picks whichever of the morning or
+ * evening time comes first after now.
+ * @returns {Date|null} null if the text isn't a time
+ */
+export function parseClockTime(text, now = new Date()) {
+  const match = String(text || '').trim().toLowerCase().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!match) return null;
+
+  let hours = Number(match[1]);
+  const minutes = Number(match[2] || 0);
+  const meridiem = match[3];
+  if (minutes > 59 || hours > 23 || (meridiem && (hours === 0 || hours > 12))) return null;
+
+  if (meridiem) {
+    hours = hours % 12;
+    if (meridiem.startsWith('p')) hours += 12;
+  }
+
+  // Try the time as typed, then 12 hours later (for "9:10" meaning 9:10 pm), then tomorrow
+  const candidates = [hours];
+  if (!meridiem && hours < 12) candidates.push(hours + 12);
+
+  for (let dayOffset = 0; dayOffset <= 1; dayOffset++) {
+    for (const h of candidates) {
+      const time = new Date(now.getTime());
+      time.setDate(time.getDate() + dayOffset);
+      time.setHours(h, minutes, 0, 0);
+      if (time > now) return time;
+    }
+  }
+  return null;
+}
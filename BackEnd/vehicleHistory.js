@@ -0,0 +1,313 @@
+// vehicleHistory.js - On-device log of where buses were and what they predicted
+//
+// Every vehicle poll can be appended to a recorder. Rows are stored compactly
+// (arrays, rounded coordinates, the first few predictions) in hourly chunks in
+// AsyncStorage, so old hours can be dropped without rewriting everything. The
+// log is the raw material for headway/delay analysis and for working out why
+// the planner recommended something odd; export it as CSV or GeoJSON.
+
+import { readCache, writeCache, removeCache, CACHE_KEYS } from './persistentCache.js';
+
+// How long rows are kept, and the most kept in total
+const DEFAULT_RETENTION_HOURS = 24;
+const DEFAULT_MAX_ROWS = 20000;
+
+// Buffered rows are written out at most this often
+const FLUSH_INTERVAL_MS = 60 * 1000;
+
+// Predictions kept per row; later ones are re-predicted on the next poll anyway
+const MAX_PREDICTIONS_PER_ROW = 3;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Row layout (arrays keep the stored JSON small):
+// [recordedAt, routeId, vehicleId, latitude, longitude, heading, speed, lastUpdated, destination, predictions]
+// Times are Unix seconds; predictions are [[stopId, seconds, isDelayed ? 1 : 0], ...]
+
+function round(value, decimals) {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(Number(value) * factor) / factor;
+}
+
+// isFinite(null) is true, so check the type: a bus with no position isn't at 0,0
+function isCoordinate(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function toSeconds(date) {
+  const time = date ? new Date(date).getTime() : NaN;
+  return isFinite(time) ? Math.round(time / 1000) : null;
+}
+
+function toRow(routeId, vehicle, recordedAt) {
+  return [
+    toSeconds(recordedAt),
+    routeId,
+    vehicle.id,
+    round(vehicle.latitude, 5),
+    round(vehicle.longitude, 5),
+    round(vehicle.heading, 0),
+    round(vehicle.speed, 1),
+    toSeconds(vehicle.lastUpdated),
+    vehicle.destination || null,
+    (vehicle.predictions || []).slice(0, MAX_PREDICTIONS_PER_ROW).map((prediction) => [
+      prediction.stopId,
+      prediction.timeToArrivalInSeconds,
+      prediction.isDelayed ? 1 : 0,
+    ]),
+  ];
+}
+
+function fromRow(row) {
+  const [recordedAt, routeId, vehicleId, latitude, longitude, heading, speed, lastUpdated, destination, predictions] = row;
+  return {
+    recordedAt: new Date(recordedAt * 1000),
+    routeId,
+    vehicleId,
+    latitude,
+    longitude,
+    heading,
+    speed,
+    lastUpdated: lastUpdated === null ? null : new Date(lastUpdated * 1000),
+    destination,
+    predictions: (predictions || []).map(([stopId, seconds, delayed]) => ({
+      stopId,
+      timeToArrivalInSeconds: seconds,
+      isDelayed: delayed === 1,
+    })),
+  };
+}
+
+function chunkKey(hourStart) {
+  return `${CACHE_KEYS.vehicleHistory}/${hourStart}`;
+}
+
+/**
+ * Record vehicle polls to the device
+ * @param {Object} options
+ * @param {number} options.retentionHours - Rows older than this are dropped (default 24)
+ * @param {number} options.maxRows - Oldest hours are dropped past this many rows (default 20000)
+ */
+export function createHistoryRecorder(options = {}) {
+  const { retentionHours = DEFAULT_RETENTION_HOURS, maxRows = DEFAULT_MAX_ROWS } = options;
+
+  let buffer = [];           // Rows not written yet
+  let lastFlushAt = Date.now();
+  let writes = Promise.resolve();
+  const lastSeen = new Map(); // routeId:vehicleId -> position key, to skip unchanged reports
+
+  // index: { chunks: { [hourStart]: rowCount } }
+  const readIndex = async () => (await readCache(CACHE_KEYS.vehicleHistory))?.value || { chunks: {} };
+
+  const writeBuffer = async (rows) => {
+    const index = await readIndex();
+
+    // Append each row to the chunk for the hour it was recorded in
+    const byHour = new Map();
+    rows.forEach((row) => {
+      const hourStart = Math.floor((row[0] * 1000) / HOUR_MS) * HOUR_MS;
+      if (!byHour.has(hourStart)) byHour.set(hourStart, []);
+      byHour.get(hourStart).push(row);
+    });
+
+    for (const [hourStart, hourRows] of byHour) {
+      const stored = (await readCache(chunkKey(hourStart)))?.value || [];
+      const chunk = stored.concat(hourRows);
+      await writeCache(chunkKey(hourStart), chunk);
+      index.chunks[hourStart] = chunk.length;
+    }
+
+    // Retention: drop whole hours that are too old, then the oldest until under maxRows
+    const cutoff = Date.now() - retentionHours * HOUR_MS;
+    const hours = Object.keys(index.chunks).map(Number).sort((a, b) => a - b);
+    let total = hours.reduce((sum, hour) => sum + index.chunks[hour], 0);
+
+    for (const hour of hours) {
+      const expired = hour + HOUR_MS < cutoff;
+      if (!expired && total <= maxRows) break;
+      // Never drop the hour being written to
+      if (hour === hours[hours.length - 1]) break;
+      total -= index.chunks[hour];
+      delete index.chunks[hour];
+      await removeCache(chunkKey(hour));
+    }
+
+    await writeCache(CACHE_KEYS.vehicleHistory, index);
+  };
+
+  const recorder = {
+    /**
+     * Add one poll's vehicles
+     * Vehicles whose position and timestamp haven't changed since the last poll are skipped
+     * @param {Object} vehiclesByRoute - routeId -> vehicles[], from a provider's getVehicles()
+     * @param {Date} recordedAt - When the poll happened (default now)
+     */
+    record(vehiclesByRoute, recordedAt = new Date()) {
+      Object.entries(vehiclesByRoute || {}).forEach(([routeId, vehicles]) => {
+        (vehicles || []).forEach((vehicle) => {
+          if (vehicle?.id === undefined || !isCoordinate(vehicle.latitude) || !isCoordinate(vehicle.longitude)) return;
+
+          const key = `${routeId}:${vehicle.id}`;
+          const position = `${vehicle.latitude},${vehicle.longitude},${toSeconds(vehicle.lastUpdated)}`;
+          if (lastSeen.get(key) === position) return;
+          lastSeen.set(key, position);
+
+          buffer.push(toRow(routeId, vehicle, recordedAt));
+        });
+      });
+
+      if (Date.now() - lastFlushAt >= FLUSH_INTERVAL_MS) recorder.flush();
+    },
+
+    /**
+     * Write buffered rows to the device now (e.g. when the app goes to the background)
+     */
+    flush() {
+      lastFlushAt = Date.now();
+      if (buffer.length === 0) return writes;
+
+      const rows = buffer;
+      buffer = [];
+      writes = writes.then(() => writeBuffer(rows)).catch((err) => {
+        console.warn('Failed to save vehicle history:', err);
+      });
+      return writes;
+    },
+
+    /**
+     * Read recorded rows back, oldest first
+     * @param {Object} filter
+     * @param {Date} filter.since - Only rows recorded at or after this time
+     * @param {string} filter.routeId - Only this route
+     * @returns {Promise<Array>} [{ recordedAt, routeId, vehicleId, latitude, longitude, heading,
+     *                           speed, lastUpdated, destination, predictions }]
+     */
+    async getRecords(filter = {}) {
+      const { since = null, routeId = null } = filter;
+      await recorder.flush();
+
+      const index = await readIndex();
+      const hours = Object.keys(index.chunks).map(Number).sort((a, b) => a - b)
+        .filter((hour) => !since || hour + HOUR_MS > since.getTime());
+
+      const records = [];
+      for (const hour of hours) {
+        const rows = (await readCache(chunkKey(hour)))?.value || [];
+        rows.forEach((row) => {
+          if (routeId && row[1] !== routeId) return;
+          if (since && row[0] * 1000 < since.getTime()) return;
+          records.push(fromRow(row));
+        });
+      }
+      return records;
+    },
+
+    /**
+     * Delete everything recorded so far
+     */
+    async clear() {
+      buffer = [];
+      lastSeen.clear();
+      await writes;
+      const index = await readIndex();
+      for (const hour of Object.keys(index.chunks)) {
+        await removeCache(chunkKey(hour));
+      }
+      await removeCache(CACHE_KEYS.vehicleHistory);
+    },
+  };
+
+  return recorder;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Recorded rows as CSV, one line per row
+ * Predictions go in one column as "stopId:seconds[:delayed]" separated by "|"
+ * @param {Array} records - From recorder.getRecords()
+ * @returns {string}
+ */
+export function historyToCsv(records) {
+  const header = [
+    'recorded_at', 'route_id', 'vehicle_id', 'latitude', 'longitude', 'heading',
+    'speed_mps', 'last_updated', 'destination', 'predictions',
+  ];
+  const lines = records.map((record) => [
+    record.recordedAt,
+    record.routeId,
+    record.vehicleId,
+    record.latitude,
+    record.longitude,
+    record.heading,
+    record.speed,
+    record.lastUpdated,
+    record.destination,
+    record.predictions
+      .map((p) => `${p.stopId}:${p.timeToArrivalInSeconds}${p.isDelayed ? ':delayed' : ''}`)
+      .join('|'),
+  ].map(csvField).join(','));
+
+  return [header.join(','), ...lines].join('\n');
+}
+
+/**
+ * Recorded rows as a GeoJSON FeatureCollection
+ * @param {Array} records - From recorder.getRecords()
+ * @param {Object} options
+ * @param {boolean} options.tracks - One LineString per vehicle instead of one Point per row
+ * @returns {Object}
+ */
+export function historyToGeoJson(records, options = {}) {
+  const { tracks = false } = options;
+
+  if (!tracks) {
+    return {
+      type: 'FeatureCollection',
+      features: records.map((record) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [record.longitude, record.latitude] },
+        properties: {
+          recordedAt: record.recordedAt.toISOString(),
+          routeId: record.routeId,
+          vehicleId: record.vehicleId,
+          heading: record.heading,
+          speed: record.speed,
+          lastUpdated: record.lastUpdated ? record.lastUpdated.toISOString() : null,
+          destination: record.destination,
+          predictions: record.predictions,
+        },
+      })),
+    };
+  }
+
+  const byVehicle = new Map();
+  records.forEach((record) => {
+    const key = `${record.routeId}:${record.vehicleId}`;
+    if (!byVehicle.has(key)) byVehicle.set(key, []);
+    byVehicle.get(key).push(record);
+  });
+
+  return {
+    type: 'FeatureCollection',
+    features: Array.from(byVehicle.values())
+      .filter((vehicleRecords) => vehicleRecords.length >= 2)
+      .map((vehicleRecords) => ({
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          coordinates: vehicleRecords.map((record) => [record.longitude, record.latitude]),
+        },
+        properties: {
+          routeId: vehicleRecords[0].routeId,
+          vehicleId: vehicleRecords[0].vehicleId,
+          times: vehicleRecords.map((record) => record.recordedAt.toISOString()),
+        },
+      })),
+  };
+}
@@ -0,0 +1,104 @@
+// vehicleMotion.js - Where a bus probably is between polls
+//
+// Positions only arrive every 15 seconds. In between, each bus is moved forward
+// along the pattern it's running at its last reported speed (dead reckoning),
+// so markers glide along the street instead of jumping. The projection never
+// leaves the route shape, never runs past the bus's next stop, and gives up
+// after a while so a frozen feed doesn't send buses across campus.
+
+import { pointAlongShape } from './routeGeometry.js';
+import { locateVehicle } from './timetable.js';
+
+// Longest time to keep moving a bus without hearing from it
+const MAX_PROJECTION_SECONDS = 45;
+
+// Faster than any campus bus; a bigger reported speed is a GPS glitch
+const MAX_PLAUSIBLE_SPEED_MPS = 25;
+
+// Reported positions older than this aren't used as the starting time
+const MAX_POSITION_AGE_MS = 2 * 60 * 1000;
+
+/**
+ * When a vehicle's reported position was taken (ms since epoch)
+ * Prefers the vehicle's own timestamp, then when the route's vehicles were fetched
+ */
+function positionTime(route, vehicle, now) {
+  const updated = vehicle.lastUpdated ? new Date(vehicle.lastUpdated).getTime() : NaN;
+  if (isFinite(updated) && updated <= now.getTime() && now.getTime() - updated <= MAX_POSITION_AGE_MS) {
+    return updated;
+  }
+  return route.vehiclesFetchedAt || now.getTime();
+}
+
+/**
+ * Distance along the shape where the bus reaches its next predicted stop
+ * @returns {number} Meters, never behind the bus (may exceed the shape length on loops)
+ */
+function nextStopDistance(sequence, vehicle, distanceAlong) {
+  const nextStopId = vehicle.predictions?.[0]?.stopId;
+  const entry = nextStopId && sequence.stops.find(({ stop }) => stop.id === nextStopId);
+  if (!entry) return Infinity;
+
+  if (entry.distanceAlong >= distanceAlong) return entry.distanceAlong;
+  // Behind the bus on a loop means it's on the next lap
+  return sequence.isLoop ? entry.distanceAlong + sequence.length : Infinity;
+}
+
+/**
+ * Work out where every bus is on its route, once per poll
+ * @param {Object} routes - Routes keyed by ID
+ * @param {Object} options
+ * @param {Date} options.now - Default new Date()
+ * @returns {Object} `${routeId}:${vehicleId}` -> track, for projectVehicle. Buses that can't
+ *                   be placed on a pattern (or aren't moving) get no track.
+ */
+export function buildVehicleTracks(routes, options = {}) {
+  const { now = new Date() } = options;
+  const tracks = {};
+
+  Object.values(routes || {}).forEach((route) => {
+    if (!route?.patterns?.length) return;
+
+    (route.vehicles || []).forEach((vehicle) => {
+      const speed = Number(vehicle.speed);
+      if (!isFinite(speed) || speed <= 0) return;
+
+      const located = locateVehicle(route, vehicle);
+      if (!located) return;
+
+      const { sequence, distanceAlong } = located;
+      tracks[`${route.id}:${vehicle.id}`] = {
+        shape: sequence.shape,
+        isLoop: sequence.isLoop,
+        startDistance: distanceAlong,
+        stopDistance: nextStopDistance(sequence, vehicle, distanceAlong),
+        speed: Math.min(speed, MAX_PLAUSIBLE_SPEED_MPS),
+        reportedAt: positionTime(route, vehicle, now),
+      };
+    });
+  });
+
+  return tracks;
+}
+
+/**
+ * Where a tracked bus should be drawn right now
+ * @param {Object} track - From buildVehicleTracks
+ * @param {Date} now
+ * @returns {Object|null} { latitude, longitude, heading } or null to use the reported position
+ */
+export function projectVehicle(track, now = new Date()) {
+  if (!track) return null;
+
+  const elapsedSeconds = Math.min(
+    MAX_PROJECTION_SECONDS,
+    Math.max(0, (now.getTime() - track.reportedAt) / 1000)
+  );
+  // Hold at the next stop until the feed says the bus has moved on
+  const distance = Math.min(track.startDistance + track.speed * elapsedSeconds, track.stopDistance);
+
+  const point = pointAlongShape(track.shape, distance, { loop: track.isLoop });
+  if (!point) return null;
+
+  return { latitude: point.latitude, longitude: point.longitude, heading: point.bearing };
+}
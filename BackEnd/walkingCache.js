@@ -0,0 +1,140 @@
+// walkingCache.js - Walking directions kept between requests
+//
+// Every Directions tap used to ask the router again for walks we had already
+// fetched, like the same dorm-to-stop walk every morning. Entries are keyed by
+// both endpoints rounded to a ~5 m grid plus the walking profile and the router
+// that answered, so a slightly different GPS fix still hits and switching
+// routers doesn't serve the old one's paths. The least recently used entry is
+// dropped when the cache is full, and the whole cache is saved to AsyncStorage
+// (see persistentCache.js) so it survives restarts and covers walks when offline.
+
+import { readCache, writeCache, CACHE_KEYS } from './persistentCache.js';
+
+// Grid the endpoints are rounded to: ~5.5 m north-south, ~4.3 m east-west in Columbus
+const GRID_DEGREES = 0.00005;
+
+// Most walks kept
+const MAX_ENTRIES = 100;
+
+// Cached walks younger than this are used without asking the router; older ones
+// only stand in when the router can't be reached
+const FRESH_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Planning a trip stores several walks in a row; they're saved together this long after the first
+const WRITE_DELAY_MS = 2000;
+
+function roundToGrid(value) {
+  return (Math.round(value / GRID_DEGREES) * GRID_DEGREES).toFixed(5);
+}
+
+/**
+ * Cache key for a walk between two [longitude, latitude] points
+ * @param {string} profile - 'walking' (default) or 'wheelchair'
+ * @param {string} provider - Router the walk came from, e.g. 'ors' or 'osrm'
+ */
+export function walkingCacheKey(startCoords, endCoords, profile = 'walking', provider = '') {
+  const point = (coords) => coords.map(roundToGrid).join(',');
+  return `${point(startCoords)}>${point(endCoords)}@${profile}/${provider}`;
+}
+
+/**
+ * LRU cache of walking directions, persisted to AsyncStorage
+ * Reads move an entry to the most-recent end in memory; the order is saved with the next write.
+ * @param {Object} options
+ * @param {number} options.maxEntries - Most walks kept (default 100)
+ * @param {number} options.freshMs - Age under which a walk is reused without asking the router (default 7 days)
+ * @param {string} options.storageKey - persistentCache key (default CACHE_KEYS.walkingDirections)
+ * @param {number} options.writeDelayMs - How long set() waits to save, so a burst is written once (default 2s)
+ */
+export function createWalkingCache(options = {}) {
+  const {
+    maxEntries = MAX_ENTRIES,
+    freshMs = FRESH_MS,
+    storageKey = CACHE_KEYS.walkingDirections,
+    writeDelayMs = WRITE_DELAY_MS,
+  } = options;
+
+  // Map order is recency: least recently used first
+  const entries = new Map();
+  let loading = null;
+  let writes = Promise.resolve();
+  let scheduledWrite = null;
+
+  // Saved as [[key, { directions, savedAt }], ...] oldest use first; anything else
+  // (e.g. the old exact-coordinate format) is ignored
+  function load() {
+    if (!loading) {
+      loading = readCache(storageKey).then((cached) => {
+        if (!Array.isArray(cached?.value)) return;
+        cached.value.forEach(([key, entry]) => {
+          if (entry?.directions) entries.set(key, entry);
+        });
+      });
+    }
+    return loading;
+  }
+
+  // Saves are chained so overlapping ones land in order
+  function writeNow() {
+    writes = writes.then(() => writeCache(storageKey, Array.from(entries)));
+    return writes;
+  }
+
+  // Every set() in a burst shares one save, writeDelayMs after the first
+  function persist() {
+    if (!scheduledWrite) {
+      scheduledWrite = new Promise((resolve) => setTimeout(resolve, writeDelayMs)).then(() => {
+        scheduledWrite = null;
+        return writeNow();
+      });
+    }
+    return scheduledWrite;
+  }
+
+  return {
+    /**
+     * Look up a walk
+     * @param {string} provider - Router the walk should have come from
+     * @returns {Promise<Object|null>} { directions, savedAt: Date, isFresh } or null
+     */
+    async get(startCoords, endCoords, profile, provider) {
+      await load();
+      const key = walkingCacheKey(startCoords, endCoords, profile, provider);
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return {
+        directions: entry.directions,
+        savedAt: new Date(entry.savedAt),
+        isFresh: Date.now() - entry.savedAt < freshMs,
+      };
+    },
+
+    /**
+     * Store a walk, dropping the least recently used ones past maxEntries
+     * Resolves once the batch it's in has been saved
+     */
+    async set(startCoords, endCoords, profile, provider, directions) {
+      await load();
+      const key = walkingCacheKey(startCoords, endCoords, profile, provider);
+      entries.delete(key);
+      entries.set(key, { directions, savedAt: Date.now() });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      return persist();
+    },
+
+    /**
+     * Forget every walk, on the device too
+     */
+    async clear() {
+      await load();
+      entries.clear();
+      return writeNow();
+    },
+  };
+}
@@ -1,7 +1,21 @@
-import polyline from 'polyline';
-import Constants from 'expo-constants';
+import { createWalkingProviderFromConfig } from './walkingProviders.js';
+import { createWalkingCache, walkingCacheKey } from './walkingCache.js';
 
-const ORS_API_KEY = Constants.expoConfig?.extra?.openRouteServiceApiKey || "";
+// Which router answers (ORS, a local OSRM/Valhalla, or straight lines) comes from app.config.js
+let walkingProvider = createWalkingProviderFromConfig();
+
+// Swap the walking provider at runtime (e.g. a straight-line provider in tests); null goes back to the config
+export function setWalkingProvider(provider) {
+    walkingProvider = provider || createWalkingProviderFromConfig();
+}
+
+// Walks we've fetched before, by rounded endpoints, profile and router (see walkingCache.js)
+const walkingCache = createWalkingCache();
+
+// Forget every cached walk (e.g. after switching routers)
+export function clearWalkingCache() {
+    return walkingCache.clear();
+}
 
 // Coordinates should be in [longitude, latitude] format
 // For direct walk: pass only first two params → returns [directions]
@@ -17,45 +31,63 @@ export async function getWalkingDirections(startCoordsFirst, endCoordsFirst, sta
     return Promise.all([firstDirections, secondDirections]);
 }
 
-async function fetchDirections(startCoords, endCoords) {
-    const OSREndpoint = "https://api.openrouteservice.org/v2/directions/foot-walking/json";
-    try {
-        const response = await fetch(OSREndpoint, {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/json; charset=utf-8",
-                "Accept": "application/json, application/geo+json, application/gpx+xml, img/png; charset=utf-8",
-                "Authorization": ORS_API_KEY
-            },
-            body: JSON.stringify({coordinates: [startCoords, endCoords]})
-        });
-        if (!response.ok) {
-            throw new Error(`Response status: ${response.status}`);
+// Fetch directions for many walks at once, e.g. every walk in a set of candidate trips.
+// Walks are [{ from: [longitude, latitude], to: [longitude, latitude] }]; each distinct
+// walk (endpoints within a few metres) is fetched once. Returns one result per walk,
+// in the same order, in the Promise.allSettled format ({ status: "fulfilled", value }
+// or { status: "rejected", reason }) so one failed walk doesn't sink the rest.
+// options.profile - "walking" (default) or "wheelchair" for step-free routes
+// options.speedMps - Pace for providers that time the walk themselves (straight-line)
+export async function getWalkingDirectionsBatch(walks, options = {}) {
+    const requests = new Map();
+    const walkKey = (from, to) => walkingCacheKey(from, to, options.profile, walkingProvider.name);
+    walks.forEach(({ from, to }) => {
+        const key = walkKey(from, to);
+        if (!requests.has(key)) {
+            requests.set(key, fetchDirections(from, to, options));
         }
+    });
+
+    return Promise.allSettled(walks.map(({ from, to }) => requests.get(walkKey(from, to))));
+}
 
-        const result = await response.json();
-        const route = result.routes[0];
-        const segments = route.segments[0];
-
-        return {
-            polyline: polyline.decode(route.geometry).map(([lat, lng]) => ({
-                latitude: lat,
-                longitude: lng
-            })),
-            distance: segments.distance,
-            duration: segments.duration,
-            steps: segments.steps.map((step) => ({
-                distance: step.distance,
-                duration: step.duration,
-                instruction: step.instruction,
-                type: step.type,
-                name: step.name,
-                wayPoints: step.way_points
-            }))
-        };
+// Walking times from every source to every destination in one request, e.g. from the
+// origin to all the stops near it. Points are [longitude, latitude]; the result is
+// { durations, distances } with one row per source (seconds and meters, null where
+// there's no route). Not cached: the planner falls back to straight lines if it fails.
+// options - Same as getWalkingDirectionsBatch
+export async function getWalkingMatrix(sources, destinations, options = {}) {
+    if (!walkingProvider.getMatrix) {
+        throw new Error(`${walkingProvider.name || "Walking"} provider has no matrix support`);
+    }
+    return walkingProvider.getMatrix(sources, destinations, options);
+}
+
+async function fetchDirections(startCoords, endCoords, options = {}) {
+    const { profile = "walking" } = options;
+
+    // Straight lines are free to recompute, so they skip the cache and don't push real routes out of it
+    const useCache = !walkingProvider.isOffline;
+    const provider = walkingProvider;
+    const cached = useCache ? await walkingCache.get(startCoords, endCoords, profile, provider.name) : null;
+    if (cached?.isFresh) {
+        return cached.directions;
+    }
+
+    try {
+        const directions = await provider.getDirections(startCoords, endCoords, options);
+        if (useCache) {
+            walkingCache.set(startCoords, endCoords, profile, provider.name, directions);
+        }
+        return directions;
 
     } catch (error) {
         console.error(error.message);
+
+        // Offline or the router is down - an old answer for this walk beats none
+        if (cached) {
+            return { ...cached.directions, isCached: true, cachedAt: cached.savedAt };
+        }
         throw error;
     }
-}
\ No newline at end of file
+}
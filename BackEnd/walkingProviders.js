@@ -0,0 +1,431 @@
+// walkingProviders.js - Swappable sources of walking directions
+//
+// Every provider has the same methods, so walkingDirectionsAPI.js doesn't care
+// which router answers:
+//
+//   getDirections(startCoords, endCoords, options) -> Promise<{ polyline, distance, duration, steps }>
+//   getMatrix(sources, destinations, options) -> Promise<{ durations, distances }>
+//
+// getMatrix times every source to every destination in one request: durations[i][j]
+// is seconds from sources[i] to destinations[j] and distances[i][j] meters, with
+// null where no route was found.
+// options.profile is 'walking' (default) or 'wheelchair' - step-free paths only,
+// for the accessible planning profile - and options.speedMps is the pace used
+// by providers that time the walk themselves. Coordinates are [longitude, latitude]. distance is meters, duration seconds,
+// polyline [{ latitude, longitude }], and steps
+// [{ instruction, distance, duration, type, name, wayPoints }] where type uses
+// the openrouteservice instruction codes (below) whichever router answered.
+//
+// Which provider the app uses comes from app.config.js:
+//
+//   extra.walkingDirections = { provider: 'ors' | 'osrm' | 'valhalla' | 'straight-line', url }
+//
+// (plus profile/wheelchairProfile for OSRM and costing for Valhalla)
+//
+// so the team can point development builds at a local OSRM or Valhalla
+// container instead of using up the ORS quota.
+
+import polyline from 'polyline';
+import Constants from 'expo-constants';
+import { requestJson } from './httpClient.js';
+import { haversineDistance, WALKING_SPEED_MPS } from './utils.js';
+
+const ORS_BASE_URL = 'https://api.openrouteservice.org';
+
+// openrouteservice profile for each of our walking profiles
+const ORS_PROFILES = {
+  walking: 'foot-walking',
+  wheelchair: 'wheelchair',
+};
+
+// A trip waits on these, so give up sooner than the bus data does
+const DIRECTIONS_TIMEOUT_MS = 6000;
+const DIRECTIONS_RETRIES = 1;
+
+// Matrix replies are small, and planning falls back to straight lines without one
+const MATRIX_TIMEOUT_MS = 5000;
+
+// openrouteservice instruction types
+const STEP_TYPES = {
+  left: 0,
+  right: 1,
+  sharpLeft: 2,
+  sharpRight: 3,
+  slightLeft: 4,
+  slightRight: 5,
+  straight: 6,
+  uturn: 9,
+  arrive: 10,
+  depart: 11,
+  keepLeft: 12,
+  keepRight: 13,
+};
+
+/**
+ * openrouteservice - the hosted API (needs a key) or a self-hosted instance
+ * @param {Object} options
+ * @param {string} options.apiKey - Sent as the Authorization header
+ * @param {string} options.url - Base URL (default https://api.openrouteservice.org)
+ */
+export function createOrsWalkingProvider(options = {}) {
+  const { apiKey = '', url = ORS_BASE_URL } = options;
+
+  return {
+    name: 'ors',
+
+    async getDirections(startCoords, endCoords, options = {}) {
+      const orsProfile = ORS_PROFILES[options.profile] || ORS_PROFILES.walking;
+      const result = await requestJson(`${url}/v2/directions/${orsProfile}/json`, {
+        endpoint: 'ors-directions',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          Accept: 'application/json, application/geo+json, application/gpx+xml, img/png; charset=utf-8',
+          Authorization: apiKey,
+        },
+        body: JSON.stringify({ coordinates: [startCoords, endCoords] }),
+        timeoutMs: DIRECTIONS_TIMEOUT_MS,
+        retries: DIRECTIONS_RETRIES,
+        validate: (json) => (json?.routes?.[0]?.segments?.[0]?.steps ? null : 'no route segments'),
+      });
+      const route = result.routes[0];
+      const segment = route.segments[0];
+
+      return {
+        polyline: decodePolyline(route.geometry, 5),
+        distance: segment.distance,
+        duration: segment.duration,
+        steps: segment.steps.map((step) => ({
+          distance: step.distance,
+          duration: step.duration,
+          instruction: step.instruction,
+          type: step.type,
+          name: step.name,
+          wayPoints: step.way_points,
+        })),
+      };
+    },
+
+    async getMatrix(sources, destinations, options = {}) {
+      const orsProfile = ORS_PROFILES[options.profile] || ORS_PROFILES.walking;
+      const result = await requestJson(`${url}/v2/matrix/${orsProfile}`, {
+        endpoint: 'ors-matrix',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json; charset=utf-8',
+          Accept: 'application/json; charset=utf-8',
+          Authorization: apiKey,
+        },
+        body: JSON.stringify({
+          locations: [...sources, ...destinations],
+          sources: sources.map((_, index) => index),
+          destinations: destinations.map((_, index) => sources.length + index),
+          metrics: ['duration', 'distance'],
+        }),
+        timeoutMs: MATRIX_TIMEOUT_MS,
+        retries: DIRECTIONS_RETRIES,
+        validate: (json) => (Array.isArray(json?.durations) ? null : 'no durations'),
+      });
+
+      return { durations: result.durations, distances: result.distances || [] };
+    },
+  };
+}
+
+/**
+ * OSRM step -> openrouteservice instruction type
+ */
+function osrmStepType(maneuver) {
+  if (maneuver.type === 'depart') return STEP_TYPES.depart;
+  if (maneuver.type === 'arrive') return STEP_TYPES.arrive;
+  const modifiers = {
+    left: STEP_TYPES.left,
+    right: STEP_TYPES.right,
+    'sharp left': STEP_TYPES.sharpLeft,
+    'sharp right': STEP_TYPES.sharpRight,
+    'slight left': STEP_TYPES.slightLeft,
+    'slight right': STEP_TYPES.slightRight,
+    uturn: STEP_TYPES.uturn,
+  };
+  return modifiers[maneuver.modifier] ?? STEP_TYPES.straight;
+}
+
+/**
+ * OSRM only describes maneuvers, so write the sentence ourselves
+ */
+function osrmInstruction(step) {
+  const { type, modifier } = step.maneuver;
+  const onto = step.name ? ` onto ${step.name}` : '';
+  if (type === 'depart') return `Head ${modifier || 'out'}${step.name ? ` on ${step.name}` : ''}`;
+  if (type === 'arrive') return 'Arrive at your destination';
+  if (!modifier || modifier === 'straight') return `Continue straight${onto}`;
+  if (modifier === 'uturn') return `Turn around${onto}`;
+  return `Turn ${modifier}${onto}`;
+}
+
+/**
+ * Thrown when a router can't answer for the requested walking profile, so the
+ * walk falls back to a marked estimate instead of a route that ignores the profile
+ */
+export class UnsupportedProfileError extends Error {
+  constructor(provider, profile) {
+    super(`${provider} has no ${profile} profile configured`);
+    this.name = 'UnsupportedProfileError';
+    this.type = 'unsupported-profile';
+    this.profile = profile;
+  }
+}
+
+/**
+ * OSRM (e.g. a local osrm-backend container built with the foot profile)
+ * @param {Object} options
+ * @param {string} options.url - Base URL, e.g. http://localhost:5000
+ * @param {string} options.profile - Routing profile in the URL (default 'foot')
+ * @param {string} options.wheelchairProfile - Profile for step-free requests. OSRM ships
+ *                                             without one; if it isn't set, step-free
+ *                                             requests throw UnsupportedProfileError
+ */
+export function createOsrmWalkingProvider(options = {}) {
+  const { url, profile = 'foot', wheelchairProfile = null } = options;
+  if (!url) throw new Error('OSRM walking provider needs a url');
+
+  // A foot route would send a wheelchair user up stairs, so never stand one in for it
+  function urlProfileFor(requestOptions) {
+    if (requestOptions.profile !== 'wheelchair') return profile;
+    if (!wheelchairProfile) throw new UnsupportedProfileError('OSRM', 'wheelchair');
+    return wheelchairProfile;
+  }
+
+  return {
+    name: 'osrm',
+
+    async getDirections(startCoords, endCoords, requestOptions = {}) {
+      const coordinates = `${startCoords.join(',')};${endCoords.join(',')}`;
+      const urlProfile = urlProfileFor(requestOptions);
+      const result = await requestJson(
+        `${url}/route/v1/${urlProfile}/${coordinates}?overview=full&geometries=polyline&steps=true`,
+        {
+          endpoint: 'osrm-route',
+          timeoutMs: DIRECTIONS_TIMEOUT_MS,
+          retries: DIRECTIONS_RETRIES,
+          validate: (json) => (json?.code === 'Ok' && json.routes?.[0]?.legs?.[0] ? null : `no route (${json?.code})`),
+        }
+      );
+      const route = result.routes[0];
+
+      // Steps carry their own geometry; count points to get each one's range in the full polyline
+      let pointIndex = 0;
+      const steps = route.legs[0].steps.map((step) => {
+        const pointCount = Math.max(1, polyline.decode(step.geometry || '').length);
+        const wayPoints = [pointIndex, pointIndex + pointCount - 1];
+        pointIndex += pointCount - 1;
+        return {
+          distance: step.distance,
+          duration: step.duration,
+          instruction: osrmInstruction(step),
+          type: osrmStepType(step.maneuver),
+          name: step.name || '-',
+          wayPoints,
+        };
+      });
+
+      return {
+        polyline: decodePolyline(route.geometry, 5),
+        distance: route.distance,
+        duration: route.duration,
+        steps,
+      };
+    },
+
+    async getMatrix(sources, destinations, requestOptions = {}) {
+      const coordinates = [...sources, ...destinations].map((point) => point.join(',')).join(';');
+      const urlProfile = urlProfileFor(requestOptions);
+      const sourceIndexes = sources.map((_, index) => index).join(';');
+      const destinationIndexes = destinations.map((_, index) => sources.length + index).join(';');
+      const result = await requestJson(
+        `${url}/table/v1/${urlProfile}/${coordinates}?sources=${sourceIndexes}&destinations=${destinationIndexes}&annotations=duration,distance`,
+        {
+          endpoint: 'osrm-table',
+          timeoutMs: MATRIX_TIMEOUT_MS,
+          retries: DIRECTIONS_RETRIES,
+          validate: (json) => (json?.code === 'Ok' && Array.isArray(json.durations) ? null : `no table (${json?.code})`),
+        }
+      );
+
+      return { durations: result.durations, distances: result.distances || [] };
+    },
+  };
+}
+
+/**
+ * Valhalla maneuver type -> openrouteservice instruction type
+ */
+function valhallaStepType(type) {
+  const types = {
+    1: STEP_TYPES.depart, 2: STEP_TYPES.depart, 3: STEP_TYPES.depart,
+    4: STEP_TYPES.arrive, 5: STEP_TYPES.arrive, 6: STEP_TYPES.arrive,
+    9: STEP_TYPES.slightRight, 10: STEP_TYPES.right, 11: STEP_TYPES.sharpRight,
+    12: STEP_TYPES.uturn, 13: STEP_TYPES.uturn,
+    14: STEP_TYPES.sharpLeft, 15: STEP_TYPES.left, 16: STEP_TYPES.slightLeft,
+    23: STEP_TYPES.keepRight, 24: STEP_TYPES.keepLeft,
+  };
+  return types[type] ?? STEP_TYPES.straight;
+}
+
+/**
+ * Valhalla (e.g. a local valhalla container)
+ * @param {Object} options
+ * @param {string} options.url - Base URL, e.g. http://localhost:8002
+ * @param {string} options.costing - Costing model (default 'pedestrian')
+ */
+export function createValhallaWalkingProvider(options = {}) {
+  const { url, costing = 'pedestrian' } = options;
+  if (!url) throw new Error('Valhalla walking provider needs a url');
+
+  return {
+    name: 'valhalla',
+
+    async getDirections(startCoords, endCoords, requestOptions = {}) {
+      const result = await requestJson(`${url}/route`, {
+        endpoint: 'valhalla-route',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          locations: [startCoords, endCoords].map(([lon, lat]) => ({ lat, lon })),
+          costing,
+          // The pedestrian model has a wheelchair type that avoids steps and steep grades
+          ...(requestOptions.profile === 'wheelchair' && {
+            costing_options: { [costing]: { type: 'wheelchair' } },
+          }),
+          directions_options: { units: 'kilometers' },
+        }),
+        timeoutMs: DIRECTIONS_TIMEOUT_MS,
+        retries: DIRECTIONS_RETRIES,
+        validate: (json) => (json?.trip?.legs?.[0]?.shape ? null : 'no trip legs'),
+      });
+      const leg = result.trip.legs[0];
+
+      return {
+        // Valhalla shapes use 6 decimal places
+        polyline: decodePolyline(leg.shape, 6),
+        distance: leg.summary.length * 1000,
+        duration: leg.summary.time,
+        steps: (leg.maneuvers || []).map((maneuver) => ({
+          distance: maneuver.length * 1000,
+          duration: maneuver.time,
+          instruction: maneuver.instruction,
+          type: valhallaStepType(maneuver.type),
+          name: maneuver.street_names?.[0] || '-',
+          wayPoints: [maneuver.begin_shape_index, maneuver.end_shape_index],
+        })),
+      };
+    },
+
+    async getMatrix(sources, destinations, requestOptions = {}) {
+      const toLocation = ([lon, lat]) => ({ lat, lon });
+      const result = await requestJson(`${url}/sources_to_targets`, {
+        endpoint: 'valhalla-matrix',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sources: sources.map(toLocation),
+          targets: destinations.map(toLocation),
+          costing,
+          ...(requestOptions.profile === 'wheelchair' && {
+            costing_options: { [costing]: { type: 'wheelchair' } },
+          }),
+          units: 'kilometers',
+        }),
+        timeoutMs: MATRIX_TIMEOUT_MS,
+        retries: DIRECTIONS_RETRIES,
+        validate: (json) => (Array.isArray(json?.sources_to_targets) ? null : 'no sources_to_targets'),
+      });
+
+      // Unroutable pairs come back with null time and distance
+      const rows = result.sources_to_targets;
+      return {
+        durations: rows.map((row) => row.map((cell) => cell.time ?? null)),
+        distances: rows.map((row) => row.map((cell) => (cell.distance == null ? null : cell.distance * 1000))),
+      };
+    },
+  };
+}
+
+/**
+ * Straight lines at walking speed (options.speedMps when given) - no network at all
+ * For offline development and tests; times are the same haversine estimate the planner uses
+ */
+export function createStraightLineWalkingProvider() {
+  return {
+    name: 'straight-line',
+    isOffline: true,
+
+    async getDirections(startCoords, endCoords, options = {}) {
+      const { speedMps = WALKING_SPEED_MPS } = options;
+      const [startLongitude, startLatitude] = startCoords;
+      const [endLongitude, endLatitude] = endCoords;
+      const distance = haversineDistance(startLatitude, startLongitude, endLatitude, endLongitude);
+
+      return {
+        polyline: [
+          { latitude: startLatitude, longitude: startLongitude },
+          { latitude: endLatitude, longitude: endLongitude },
+        ],
+        distance,
+        duration: distance / speedMps,
+        steps: [],
+      };
+    },
+
+    async getMatrix(sources, destinations, options = {}) {
+      const { speedMps = WALKING_SPEED_MPS } = options;
+      const distances = sources.map(([fromLongitude, fromLatitude]) =>
+        destinations.map(([toLongitude, toLatitude]) =>
+          haversineDistance(fromLatitude, fromLongitude, toLatitude, toLongitude)));
+
+      return {
+        durations: distances.map((row) => row.map((distance) => distance / speedMps)),
+        distances,
+      };
+    },
+  };
+}
+
+function decodePolyline(encoded, precision) {
+  return polyline.decode(encoded, precision).map(([latitude, longitude]) => ({ latitude, longitude }));
+}
+
+/**
+ * The walking provider named in app.config.js (extra.walkingDirections), ORS by default
+ * A config that can't be used (unknown provider, missing url) falls back to ORS with a warning
+ * @param {Object} extra - expo config extra (default: the running app's)
+ */
+export function createWalkingProviderFromConfig(extra = Constants.expoConfig?.extra) {
+  const config = extra?.walkingDirections || {};
+  const createOrs = () => createOrsWalkingProvider({
+    apiKey: extra?.openRouteServiceApiKey || '',
+    url: (config.provider === 'ors' && config.url) || ORS_BASE_URL,
+  });
+
+  try {
+    switch (config.provider || 'ors') {
+      case 'ors':
+        return createOrs();
+      case 'osrm':
+        return createOsrmWalkingProvider({
+          url: config.url,
+          profile: config.profile,
+          wheelchairProfile: config.wheelchairProfile,
+        });
+      case 'valhalla':
+        return createValhallaWalkingProvider({ url: config.url, costing: config.costing });
+      case 'straight-line':
+        return createStraightLineWalkingProvider();
+      default:
+        throw new Error(`unknown provider "${config.provider}"`);
+    }
+  } catch (err) {
+    console.warn(`Walking directions config ignored (${err.message}), using openrouteservice`);
+    return createOrs();
+  }
+}
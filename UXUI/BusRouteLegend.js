@@ -1,8 +1,45 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { Colors, Spacing, Typography } from '../style/theme';
+import { STALE_DATA_MINUTES, getRouteDataAge } from '../BackEnd/routeData';
+import { describeError } from '../BackEnd/httpClient';
+import { analyzeServiceSpacing } from '../BackEnd/serviceSpacing';
+
+/**
+ * "Updated 3 min ago" style label for the vehicle data
+ */
+function formatDataAge(minutes) {
+  if (minutes < 1) return 'Updated just now';
+  return `Updated ${Math.round(minutes)} min ago`;
+}
+
+/**
+ * "18 min gap" / "bunched" note for a route, or null if its buses are spread out
+ */
+function formatSpacing(spacing) {
+  if (!spacing) return null;
+  if (spacing.hasLargeGap) return `${Math.round(spacing.largestGapMinutes)} min gap`;
+  if (spacing.isBunched) return 'bunched';
+  return null;
+}
+
+/**
+ * "8 min old" note for a route whose vehicles didn't update with the rest, or null
+ */
+function formatRouteAge(route) {
+  const age = getRouteDataAge(route);
+  if (age === null || age <= STALE_DATA_MINUTES) return null;
+  return `${Math.round(age)} min old`;
+}
+
+/**
+ * @param {number|null} dataAge - Minutes since the latest vehicle update (routes that are
+ *                                staler than that say so on their own row)
+ */
+export default function BusRouteLegend({ routes, dataAge = null, dataError = null }) {
+  // Only recomputed when a vehicle poll replaces the routes
+  const spacing = useMemo(() => analyzeServiceSpacing(routes), [routes]);
 
-export default function BusRouteLegend({ routes }) {
   if (!routes || Object.keys(routes).length === 0) {
     return null; // Don't show legend if no routes loaded
   }
@@ -10,6 +47,16 @@ export default function BusRouteLegend({ routes }) {
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Bus Routes</Text>
+      {dataAge !== null && (
+        <Text style={[styles.dataAge, dataAge > STALE_DATA_MINUTES && styles.dataAgeStale]}>
+          {formatDataAge(dataAge)}
+        </Text>
+      )}
+      {dataError && (
+        <Text style={styles.dataError}>
+          {describeError(dataError)}
+        </Text>
+      )}
       {Object.values(routes).map((route) => {
         if (!route) return null;
         // Use API color first, then fallback to theme colors, then default
@@ -17,11 +64,20 @@ export default function BusRouteLegend({ routes }) {
           route.color || // API-provided color
           Colors.busRouteColors?.[route.id] || // Theme color by route ID
           Colors.busRouteDefault; // Fallback to default
+        const spacingNote = formatSpacing(spacing[route.id]);
+        const ageNote = formatRouteAge(route);
         
         return (
           <View key={String(route.id)} style={styles.row}>
-            <View style={[styles.swatch, { backgroundColor: baseColor }]} />
-            <Text style={styles.label}>{route.id}</Text>
+            <View style={[styles.swatch, { backgroundColor: baseColor }, route.degraded && styles.swatchDegraded]} />
+            <Text style={[styles.label, route.degraded && styles.labelDegraded]}>{route.id}</Text>
+            {route.degraded && <Text style={styles.degradedNote}>limited data</Text>}
+            {ageNote && <Text style={styles.routeAgeNote}>{ageNote}</Text>}
+            {spacingNote && (
+              <Text style={[styles.spacingNote, spacing[route.id].hasLargeGap && styles.spacingNoteGap]}>
+                {spacingNote}
+              </Text>
+            )}
           </View>
         );
       })}
@@ -54,6 +110,24 @@ const styles = StyleSheet.create({
     marginBottom: Spacing.sm,
     fontWeight: '600',
   },
+  dataAge: {
+    fontFamily: Typography.fontFamily,
+    ...Typography.caption,
+    color: Colors.textSecondary,
+    marginTop: -Spacing.xs,
+    marginBottom: Spacing.sm,
+  },
+  dataAgeStale: {
+    color: Colors.error,
+  },
+  dataError: {
+    fontFamily: Typography.fontFamily,
+    ...Typography.caption,
+    color: Colors.error,
+    maxWidth: 160,
+    marginTop: -Spacing.xs,
+    marginBottom: Spacing.sm,
+  },
   row: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -74,4 +148,32 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '500',
   },
+  swatchDegraded: {
+    opacity: 0.4,
+  },
+  labelDegraded: {
+    color: Colors.textSecondary,
+  },
+  degradedNote: {
+    fontFamily: Typography.fontFamily,
+    ...Typography.caption,
+    color: Colors.textSecondary,
+    marginLeft: Spacing.xs,
+  },
+  routeAgeNote: {
+    fontFamily: Typography.fontFamily,
+    ...Typography.caption,
+    color: Colors.error,
+    marginLeft: Spacing.xs,
+  },
+  spacingNote: {
+    fontFamily: Typography.fontFamily,
+    ...Typography.caption,
+    color: Colors.textSecondary,
+    fontStyle: 'italic',
+    marginLeft: Spacing.xs,
+  },
+  spacingNoteGap: {
+    color: Colors.error,
+  },
 });
\ No newline at end of file
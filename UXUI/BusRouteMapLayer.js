@@ -1,19 +1,131 @@
-import React from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { View, Text, StyleSheet, Platform } from 'react-native';
-import { Polyline, Marker } from 'react-native-maps';
+import { Polyline, Marker, MarkerAnimated, AnimatedRegion } from 'react-native-maps';
 import polyline from 'polyline';
 import { Colors, Spacing } from '../style/theme';
 import Icon, { IconSizes } from './Icons';
 import PulsingDot from './PulsingDot';
+import { buildVehicleTracks, projectVehicle } from '../BackEnd/vehicleMotion';
+
+// How often projected bus positions are recomputed; markers glide between them
+const MOTION_TICK_MS = 1000;
+
+// Route lines sit above the base map; stops and buses stack on top of them
+const ROUTE_Z_INDEX = 10;
+
+/**
+ * Bus marker that glides to each projected position and jumps straight to a
+ * newly reported one
+ * @param {Object} position - { latitude, longitude, heading } to show now
+ * @param {string} reportKey - Changes whenever the feed reports a new position
+ */
+function VehicleMarker({ route, vehicle, position, baseColor, reportKey, zIndex }) {
+  // Same object until the position moves, so the effect below runs once per move
+  const target = useMemo(() => ({
+    latitude: position.latitude,
+    longitude: position.longitude,
+    latitudeDelta: 0,
+    longitudeDelta: 0,
+  }), [position.latitude, position.longitude]);
+  const [coordinate] = useState(() => new AnimatedRegion(target));
+  const lastReportKey = useRef(reportKey);
+
+  useEffect(() => {
+    if (lastReportKey.current !== reportKey) {
+      // Real update: snap to it rather than sliding from the old guess
+      lastReportKey.current = reportKey;
+      coordinate.stopAnimation();
+      coordinate.setValue(target);
+      return;
+    }
+    coordinate.timing({ ...target, duration: MOTION_TICK_MS, useNativeDriver: false }).start();
+  }, [coordinate, target, reportKey]);
+
+  return (
+    <MarkerAnimated
+      coordinate={coordinate}
+      title={`Bus ${vehicle?.id ?? 'Unknown'} (${vehicle?.routeCode ?? route.id})`}
+      description={`Next: ${vehicle?.nextStop}`}
+      pinColor={baseColor}
+      zIndex={zIndex}
+      anchor={{ x: 0.5, y: 0.5 }}
+    >
+      <View style={styles.busMarkerContainer}>
+        <View
+          style={[
+            styles.busMarker,
+            { backgroundColor: baseColor }
+          ]}
+        >
+          <Icon name="bus" size={IconSizes.sm} color="white" />
+        </View>
+        <View
+          style={[
+            styles.directionIndicator,
+            { transform: [{ rotate: `${(position.heading ?? 0) - 90}deg` }] }
+          ]}
+        >
+          <Icon name="chevron-forward" size={IconSizes.xs} color={baseColor} />
+        </View>
+      </View>
+    </MarkerAnimated>
+  );
+}
+
+/**
+ * Every bus on every route, moved along its pattern between polls
+ * The dead-reckoning clock lives here so each tick re-renders only the buses,
+ * not the route lines and stops around them
+ */
+function VehicleMarkers({ routes }) {
+  // Where each bus is on its pattern as of the last poll, then a clock that
+  // moves them along until the next one
+  const vehicleTracks = useMemo(() => buildVehicleTracks(routes), [routes]);
+  const [motionNow, setMotionNow] = useState(() => new Date());
+
+  useEffect(() => {
+    setMotionNow(new Date());
+    if (Object.keys(vehicleTracks).length === 0) return undefined;
+    const interval = setInterval(() => setMotionNow(new Date()), MOTION_TICK_MS);
+    return () => clearInterval(interval);
+  }, [vehicleTracks]);
+
+  return Object.values(routes).map((route) => {
+    if (!route || !Array.isArray(route.vehicles)) return null;
+    const baseColor = route.color || Colors.busRouteColors[route.id];
+
+    return route.vehicles.map((vehicle) => {
+      const lat = Number(vehicle?.latitude);
+      const lng = Number(vehicle?.longitude);
+      if (!isFinite(lat) || !isFinite(lng)) return null;
+
+      const projected = projectVehicle(vehicleTracks[`${route.id}:${vehicle?.id}`], motionNow);
+
+      return (
+        <VehicleMarker
+          key={`bus-${route.id}-${vehicle?.id ?? `${lat},${lng}`}`}
+          route={route}
+          vehicle={vehicle}
+          position={projected || { latitude: lat, longitude: lng, heading: vehicle?.heading }}
+          reportKey={`${lat},${lng},${vehicle?.lastUpdated}`}
+          baseColor={baseColor}
+          zIndex={ROUTE_Z_INDEX + 2}
+        />
+      );
+    });
+  });
+}
 
 /**
  * Component that renders bus routes, stops, vehicles, and active trip visualization on the map
+ * onStopPress(stop) is called with { id, name, latitude, longitude } when a stop marker is tapped
  */
 export default function BusRouteMapLayer({
   routes,
   loadingRoutes,
   activeTrip,
   routeResult,
+  onStopPress,
 }) {
   // Render active trip polylines and waypoint
   const renderActiveTrip = () => {
@@ -46,7 +158,7 @@ export default function BusRouteMapLayer({
         strokeWidth = isCurrent ? 3 : 2;
       } else if (segment.type === 'ride') {
         // Bus ride segment - solid colored line
-        strokeColor = isCurrent ? routeColor : Colors.border;
+        strokeColor = isCurrent ? (segment.route?.color || routeColor) : Colors.border;
         strokeWidth = isCurrent ? 4 : 3;
       }
 
@@ -91,7 +203,7 @@ export default function BusRouteMapLayer({
       if (waypointCoord) {
         const waypointColor = currentSegment.type === 'walk'
           ? Colors.secondary
-          : routeColor;
+          : currentSegment.route?.color || routeColor;
 
         elements.push(
           <Marker
@@ -109,122 +221,85 @@ export default function BusRouteMapLayer({
     return elements;
   };
 
-  // Render standard bus routes (when not in active trip)
-  const renderBusRoutes = () => {
+  // Route lines and stops only change with the routes, so they aren't
+  // decoded and rebuilt on every render
+  const routeLines = useMemo(() => {
     if (loadingRoutes || !routes) return null;
 
     return Object.values(routes).map((route) => {
-      if (!route) return null;
+      if (!route || !Array.isArray(route.patterns)) return null;
+      const baseColor = route.color || Colors.busRouteColors[route.id];
 
-      const baseColor =
-        route.color ||
-        Colors.busRouteColors[route.id];
+      return route.patterns.map((pattern) => {
+        if (!pattern?.encodedPolyline) return null;
 
-      const z = 10;
+        let coords = [];
+        try {
+          coords = polyline.decode(pattern.encodedPolyline).map(([lat, lng]) => ({
+            latitude: Number(lat),
+            longitude: Number(lng),
+          }));
+        } catch (e) {
+          console.warn('Failed to decode polyline for pattern', pattern?.id, e);
+          return null;
+        }
 
-      return (
-        <React.Fragment key={String(route.id)}>
-          {/* Route Lines */}
-          {Array.isArray(route.patterns) &&
-            route.patterns.map((pattern) => {
-              if (!pattern?.encodedPolyline) return null;
-
-              let coords = [];
-              try {
-                coords = polyline.decode(pattern.encodedPolyline).map(([lat, lng]) => ({
-                  latitude: Number(lat),
-                  longitude: Number(lng),
-                }));
-              } catch (e) {
-                console.warn('Failed to decode polyline for pattern', pattern?.id, e);
-                return null;
-              }
-
-              coords = coords.filter((c) => isFinite(c.latitude) && isFinite(c.longitude));
-              if (coords.length < 2) return null;
-
-              return (
-                <Polyline
-                  key={String(pattern.id)}
-                  coordinates={coords}
-                  strokeColor={baseColor}
-                  strokeWidth={3}
-                  zIndex={z}
-                  lineCap="round"
-                  lineJoin="round"
-                  geodesic
-                />
-              );
-            })}
-
-          {/* Stop Markers */}
-          {Array.isArray(route.stops) &&
-            route.stops.map((stop) => {
-              const lat = Number(stop?.latitude);
-              const lng = Number(stop?.longitude);
-              if (!isFinite(lat) || !isFinite(lng)) return null;
-
-              return (
-                <Marker
-                  key={String(stop?.id ?? `${lat},${lng}`)}
-                  coordinate={{ latitude: lat, longitude: lng }}
-                  title={stop?.name ?? 'Stop'}
-                  zIndex={z + 1}
-                  anchor={{ x: 0.5, y: 0.5 }}
-                >
-                  <View style={styles.stopMarker}>
-                    <View style={[styles.stopMarkerInner, { backgroundColor: '#333' }]} />
-                  </View>
-                </Marker>
-              );
-            })}
-
-          {/* Bus Vehicles */}
-          {Array.isArray(route.vehicles) &&
-            route.vehicles.map((vehicle) => {
-              const lat = Number(vehicle?.latitude);
-              const lng = Number(vehicle?.longitude);
-              if (!isFinite(lat) || !isFinite(lng)) return null;
-
-              return (
-                <Marker
-                  key={`bus-${route.id}-${vehicle?.id ?? `${lat},${lng}`}`}
-                  coordinate={{ latitude: lat, longitude: lng }}
-                  title={`Bus ${vehicle?.id ?? 'Unknown'} (${vehicle?.routeCode ?? route.id})`}
-                  description={`Next: ${vehicle?.nextStop}`}
-                  pinColor={baseColor}
-                  zIndex={z + 2}
-                  anchor={{ x: 0.5, y: 0.5 }}
-                >
-                  <View style={styles.busMarkerContainer}>
-                    <View
-                      style={[
-                        styles.busMarker,
-                        { backgroundColor: baseColor }
-                      ]}
-                    >
-                      <Icon name="bus" size={IconSizes.sm} color="white" />
-                    </View>
-                    <View
-                      style={[
-                        styles.directionIndicator,
-                        { transform: [{ rotate: `${(vehicle?.heading ?? 0) - 90}deg` }] }
-                      ]}
-                    >
-                      <Icon name="chevron-forward" size={IconSizes.xs} color={baseColor} />
-                    </View>
-                  </View>
-                </Marker>
-              );
-            })}
-        </React.Fragment>
-      );
+        coords = coords.filter((c) => isFinite(c.latitude) && isFinite(c.longitude));
+        if (coords.length < 2) return null;
+
+        return (
+          <Polyline
+            key={`${route.id}-${pattern.id}`}
+            coordinates={coords}
+            strokeColor={baseColor}
+            strokeWidth={3}
+            zIndex={ROUTE_Z_INDEX}
+            lineCap="round"
+            lineJoin="round"
+            geodesic
+          />
+        );
+      });
     });
-  };
+  }, [routes, loadingRoutes]);
+
+  const stopMarkers = useMemo(() => {
+    if (loadingRoutes || !routes) return null;
+
+    return Object.values(routes).map((route) => {
+      if (!route || !Array.isArray(route.stops)) return null;
+
+      return route.stops.map((stop) => {
+        const lat = Number(stop?.latitude);
+        const lng = Number(stop?.longitude);
+        if (!isFinite(lat) || !isFinite(lng)) return null;
+
+        return (
+          <Marker
+            key={`${route.id}-${stop?.id ?? `${lat},${lng}`}`}
+            coordinate={{ latitude: lat, longitude: lng }}
+            title={onStopPress ? undefined : stop?.name ?? 'Stop'}
+            zIndex={ROUTE_Z_INDEX + 1}
+            anchor={{ x: 0.5, y: 0.5 }}
+            onPress={onStopPress ? (e) => {
+              e?.stopPropagation?.();
+              onStopPress({ id: stop.id, name: stop.name, latitude: lat, longitude: lng });
+            } : undefined}
+          >
+            <View style={styles.stopMarker}>
+              <View style={[styles.stopMarkerInner, { backgroundColor: '#333' }]} />
+            </View>
+          </Marker>
+        );
+      });
+    });
+  }, [routes, loadingRoutes, onStopPress]);
 
   return (
     <>
-      {renderBusRoutes()}
+      {routeLines}
+      {stopMarkers}
+      {!loadingRoutes && routes && <VehicleMarkers routes={routes} />}
       {renderActiveTrip()}
     </>
   );
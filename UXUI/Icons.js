@@ -30,6 +30,8 @@ const ICON_MAP = {
   'walk': 'walk',
   'stop': 'flag',
   'stop-circle': 'stop-circle',
+  'swap': 'swap-horizontal',
+  'accessible': 'accessibility',
 
   // Time & Status
   'time': 'time',
@@ -42,6 +44,7 @@ const ICON_MAP = {
   'alert-outline': 'alert-circle-outline',
   'warning': 'warning',
   'information': 'information-circle',
+  'offline': 'cloud-offline',
 
   // Actions
   'play': 'play',
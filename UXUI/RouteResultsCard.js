@@ -8,6 +8,7 @@ import {
 } from 'react-native';
 import { Colors, Spacing, Typography, Layout } from '../style/theme';
 import Icon, { IconSizes } from './Icons';
+import ServiceAlertList from './ServiceAlertList';
 import { formatTime } from '../BackEnd/busRouting';
 
 /**
@@ -55,6 +56,89 @@ const formatDistance = (meters) => {
   }
 };
 
+/**
+ * Badge for itineraries planned with the step-free profile
+ * Says how many of the trip's stops are confirmed step-free and calls out the rest
+ */
+function AccessibilityBadge({ accessibility }) {
+  if (!accessibility) return null;
+  const { stepFreeStops = 0, unverifiedStops = 0, steepStops = 0, notes = [] } = accessibility;
+  const caveats = [
+    unverifiedStops > 0 && `${unverifiedStops} stop${unverifiedStops !== 1 ? 's' : ''} not yet surveyed`,
+    steepStops > 0 && `${steepStops} with a steep approach`,
+  ].filter(Boolean);
+
+  return (
+    <View style={styles.accessibilityBadge}>
+      <View style={styles.accessibilityBadgeRow}>
+        <Icon name="accessible" size={IconSizes.sm} color={Colors.primary} />
+        <Text style={styles.accessibilityBadgeTitle}>
+          Step-free route{stepFreeStops > 0 ? ` · ${stepFreeStops} step-free stop${stepFreeStops !== 1 ? 's' : ''}` : ''}
+        </Text>
+      </View>
+      {caveats.length > 0 && (
+        <Text style={styles.accessibilityBadgeText}>{caveats.join(', ')}</Text>
+      )}
+      {notes.map(({ stopId, stopName, note }) => (
+        <Text key={`access-note-${stopId}`} style={styles.accessibilityBadgeText}>
+          {stopName}: {note}
+        </Text>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Index of the quickest itinerary door to door, among the ones that still work
+ * The list is in planning order (latest departure first when arriving by a time,
+ * trips that miss a bus last), so the first one isn't always the fastest
+ */
+function findFastestItinerary(itineraries = []) {
+  let fastest = -1;
+  itineraries.forEach((itinerary, index) => {
+    if (itinerary.missedConnection || itinerary.arrivesLate) return;
+    if (fastest === -1 || itinerary.totalTime < itineraries[fastest].totalTime) fastest = index;
+  });
+  return fastest;
+}
+
+/**
+ * One of the other itineraries, tap to switch to it
+ */
+function ItineraryOption({ itinerary, isFastest, onPress }) {
+  const rides = (itinerary.segments || []).filter((segment) => segment.type === 'ride');
+
+  return (
+    <TouchableOpacity style={styles.optionRow} onPress={onPress}>
+      <View style={styles.optionInfo}>
+        <View style={styles.optionBadges}>
+          {rides.map((ride, index) => (
+            <View
+              key={`option-badge-${index}`}
+              style={[styles.optionBadge, { backgroundColor: ride.route?.color || Colors.primary }]}
+            >
+              <Text style={styles.optionBadgeText}>{ride.route?.id || '?'}</Text>
+            </View>
+          ))}
+          {isFastest && <Text style={styles.optionTag}>Fastest</Text>}
+          {itinerary.accessibility && (
+            <Icon name="accessible" size={IconSizes.xs} color={Colors.textSecondary} />
+          )}
+        </View>
+        <Text style={styles.optionStop} numberOfLines={1}>
+          From {rides[0]?.fromStop?.name || 'Unknown stop'}
+        </Text>
+      </View>
+      <View style={styles.optionTimes}>
+        <Text style={styles.optionTotal}>
+          {itinerary.isEstimate || itinerary.walkingError ? '~' : ''}{formatTime(itinerary.totalTime)}
+        </Text>
+        <Text style={styles.optionEta}>ETA {itinerary.eta}</Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
 /**
  * RouteResultsCard - displays route calculation results
  * Extracted from SearchDrawer for better separation of concerns
@@ -63,6 +147,7 @@ export default function RouteResultsCard({
   routeResult,
   calculatingRoute,
   onStartTrip,
+  onSelectItinerary,
 }) {
   if (calculatingRoute) {
     return (
@@ -77,28 +162,44 @@ export default function RouteResultsCard({
 
   // Bus route recommendation
   if (routeResult.recommendation === 'bus') {
+    const segments = routeResult.segments || [];
+    const rides = segments.filter((segment) => segment.type === 'ride');
+    const firstWait = segments.find((segment) => segment.type === 'wait');
+    const hasTransfer = rides.length > 1;
+    const hasEstimatedWalk = segments.some((segment) => segment.type === 'walk' && segment.isEstimate);
+    const selectedIndex = routeResult.selectedItinerary || 0;
+    const otherItineraries = (routeResult.itineraries || [])
+      .map((itinerary, index) => ({ itinerary, index }))
+      .filter(({ index }) => index !== selectedIndex);
+    const fastestIndex = findFastestItinerary(routeResult.itineraries);
+
     return (
       <View style={styles.routeContainer}>
         <View style={styles.routeTitleRow}>
           <Icon name="bus" size={IconSizes.lg} color={Colors.primary} />
-          <Text style={styles.routeTitle}>Best Route</Text>
+          <Text style={styles.routeTitle}>{selectedIndex === 0 ? 'Best Route' : 'Alternative Route'}</Text>
         </View>
 
+        <AccessibilityBadge accessibility={routeResult.accessibility} />
+
         {routeResult.route && (
           <View style={styles.routeHeader}>
             <Text style={styles.busNumber}>
-              Bus #{routeResult.segments[1]?.bus?.id || 'Unknown'}
+              Bus #{firstWait?.bus?.id || 'Unknown'}
             </Text>
-            <View
-              style={[
-                styles.routeBadge,
-                { backgroundColor: routeResult.route.color || Colors.primary }
-              ]}
-            >
-              <Text style={styles.routeBadgeText}>
-                Route {routeResult.route.id || 'Unknown'}
-              </Text>
-            </View>
+            {rides.map((ride, index) => (
+              <View
+                key={`badge-${index}`}
+                style={[
+                  styles.routeBadge,
+                  { backgroundColor: ride.route?.color || routeResult.route.color || Colors.primary }
+                ]}
+              >
+                <Text style={styles.routeBadgeText}>
+                  Route {ride.route?.id || routeResult.route.id || 'Unknown'}
+                </Text>
+              </View>
+            ))}
           </View>
         )}
 
@@ -106,49 +207,91 @@ export default function RouteResultsCard({
           <View style={styles.stopRow}>
             <Icon name="stop" size={IconSizes.md} color={Colors.success} />
             <Text style={styles.stopText}>
-              Board at: {routeResult.segments[0]?.to?.name || 'Unknown stop'}
+              Board at: {rides[0]?.fromStop?.name || 'Unknown stop'}
             </Text>
           </View>
+          {rides.slice(1).map((ride, index) => (
+            <React.Fragment key={`transfer-${index}`}>
+              <View style={styles.arrowContainer}>
+                <Icon name="arrow-down" size={IconSizes.md} color={Colors.textSecondary} />
+              </View>
+              <View style={styles.stopRow}>
+                <Icon name="swap" size={IconSizes.md} color={ride.route?.color || Colors.primary} />
+                <Text style={styles.stopText}>
+                  Transfer at: {ride.fromStop?.name || 'Unknown stop'} to Route {ride.route?.id || 'Unknown'}
+                </Text>
+              </View>
+            </React.Fragment>
+          ))}
           <View style={styles.arrowContainer}>
             <Icon name="arrow-down" size={IconSizes.md} color={Colors.textSecondary} />
           </View>
           <View style={styles.stopRow}>
             <Icon name="stop-circle" size={IconSizes.md} color={Colors.primary} />
             <Text style={styles.stopText}>
-              Get off at: {routeResult.segments[2]?.toStop?.name || 'Unknown stop'}
+              Get off at: {rides[rides.length - 1]?.toStop?.name || 'Unknown stop'}
             </Text>
           </View>
         </View>
 
         <View style={styles.timeBreakdown}>
-          <TimeRow
-            icon="walk"
-            iconColor={Colors.secondary}
-            label="Walk to bus stop"
-            time={formatTime(routeResult.segments[0]?.duration || 0)}
-          />
-          <TimeRow
-            icon="time"
-            iconColor={Colors.secondary}
-            label="Wait for bus"
-            time={formatTime(routeResult.segments[1]?.duration || 0)}
-            delayed={routeResult.segments[1]?.duration > 15}
-          />
-          <TimeRow
-            icon="bus"
-            iconColor={routeResult.route?.color || Colors.primary}
-            label="Bus ride"
-            time={formatTime(routeResult.segments[2]?.duration || 0)}
-          />
-          <TimeRow
-            icon="walk"
-            iconColor={Colors.secondary}
-            label="Walk to destination"
-            time={formatTime(routeResult.segments[3]?.duration || 0)}
-          />
+          {segments.map((segment, index) => {
+            const routeColor = segment.route?.color || routeResult.route?.color || Colors.primary;
+
+            if (segment.type === 'walk') {
+              let label = 'Walk to transfer stop';
+              if (index === 0) label = 'Walk to bus stop';
+              else if (index === segments.length - 1) {
+                label = segment.to?.entrance?.name ? `Walk to ${segment.to.entrance.name}` : 'Walk to destination';
+              }
+
+              return (
+                <TimeRow
+                  key={index}
+                  icon="walk"
+                  iconColor={Colors.secondary}
+                  label={label}
+                  time={`${segment.isEstimate ? '~' : ''}${formatTime(segment.duration || 0)}`}
+                />
+              );
+            }
+
+            if (segment.type === 'wait') {
+              return (
+                <TimeRow
+                  key={index}
+                  icon="time"
+                  iconColor={Colors.secondary}
+                  label={hasTransfer ? `Wait for ${segment.route?.id || 'bus'}` : 'Wait for bus'}
+                  time={`${segment.isEstimate ? '~' : ''}${formatTime(segment.duration || 0)}`}
+                  delayed={segment.duration > 15}
+                />
+              );
+            }
+
+            if (segment.type === 'ride') {
+              return (
+                <TimeRow
+                  key={index}
+                  icon="bus"
+                  iconColor={routeColor}
+                  label={hasTransfer ? `${segment.route?.id || 'Bus'} ride` : 'Bus ride'}
+                  time={`${segment.isEstimate ? '~' : ''}${formatTime(segment.duration || 0)}`}
+                />
+              );
+            }
+
+            return null;
+          })}
         </View>
 
         <View style={styles.totalTime}>
+          {routeResult.planningMode && routeResult.planningMode !== 'now' && (
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Leave By</Text>
+              <Text style={styles.totalValue}>{routeResult.leaveBy}</Text>
+            </View>
+          )}
           <View style={styles.totalRow}>
             <Text style={styles.totalLabel}>Total Trip Time</Text>
             <Text style={styles.totalValue}>{formatTime(routeResult.totalTime)}</Text>
@@ -159,6 +302,51 @@ export default function RouteResultsCard({
           </View>
         </View>
 
+        {routeResult.isStale ? (
+          <View style={styles.warningRow}>
+            <Icon name="offline" size={IconSizes.sm} color="#B8860B" />
+            <Text style={styles.estimateWarning}>
+              Stale data: planned with bus info from {formatTime(routeResult.dataAge || 0)} ago, so all times are estimates
+            </Text>
+          </View>
+        ) : routeResult.isEstimate && (
+          <View style={styles.warningRow}>
+            <Icon name="warning" size={IconSizes.sm} color="#B8860B" />
+            <Text style={styles.estimateWarning}>
+              Bus times marked ~ are estimated from the timetable (no live predictions)
+            </Text>
+          </View>
+        )}
+
+        {routeResult.missedConnection && (
+          <View style={styles.warningRow}>
+            <Icon name="warning" size={IconSizes.sm} color="#B8860B" />
+            <Text style={styles.estimateWarning}>
+              The walk to a stop takes longer than planned and no later bus was found, so this trip may not work
+            </Text>
+          </View>
+        )}
+
+        {routeResult.arrivesLate && !routeResult.missedConnection && (
+          <View style={styles.warningRow}>
+            <Icon name="warning" size={IconSizes.sm} color="#B8860B" />
+            <Text style={styles.estimateWarning}>
+              With the walks as routed, this trip gets in after the time you asked to arrive by
+            </Text>
+          </View>
+        )}
+
+        {hasEstimatedWalk && (
+          <View style={styles.warningRow}>
+            <Icon name="warning" size={IconSizes.sm} color="#B8860B" />
+            <Text style={styles.estimateWarning}>
+              Walks marked ~ are straight-line estimates ({routeResult.walkingError || 'routing service unavailable'})
+            </Text>
+          </View>
+        )}
+
+        <ServiceAlertList alerts={routeResult.alerts} />
+
         {routeResult.directWalkTime && (
           <View style={styles.comparisonRow}>
             <Icon name="bulb" size={IconSizes.sm} color={Colors.textSecondary} />
@@ -168,6 +356,20 @@ export default function RouteResultsCard({
           </View>
         )}
 
+        {onSelectItinerary && otherItineraries.length > 0 && (
+          <View style={styles.optionsSection}>
+            <Text style={styles.optionsTitle}>Other Options</Text>
+            {otherItineraries.map(({ itinerary, index }) => (
+              <ItineraryOption
+                key={`option-${index}`}
+                itinerary={itinerary}
+                isFastest={index === fastestIndex}
+                onPress={() => onSelectItinerary(index)}
+              />
+            ))}
+          </View>
+        )}
+
         {onStartTrip && (
           <TouchableOpacity style={styles.startTripButton} onPress={onStartTrip}>
             <Icon name="navigate" size={IconSizes.md} color={Colors.surface} />
@@ -187,6 +389,8 @@ export default function RouteResultsCard({
           <Text style={styles.routeTitle}>Walking Recommended</Text>
         </View>
 
+        <AccessibilityBadge accessibility={routeResult.accessibility} />
+
         {routeResult.error && (
           <Text style={styles.walkReasonText}>
             {routeResult.error}
@@ -211,6 +415,12 @@ export default function RouteResultsCard({
         </View>
 
         <View style={styles.totalTime}>
+          {routeResult.planningMode && routeResult.planningMode !== 'now' && (
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Leave By</Text>
+              <Text style={styles.totalValue}>{routeResult.leaveBy || '--:--'}</Text>
+            </View>
+          )}
           <View style={styles.totalRow}>
             <Text style={styles.totalLabel}>Total Trip Time</Text>
             <Text style={styles.totalValue}>{formatTime(routeResult.totalTime || routeResult.directWalkTime || 0)}</Text>
@@ -225,7 +435,7 @@ export default function RouteResultsCard({
           <View style={styles.warningRow}>
             <Icon name="warning" size={IconSizes.sm} color="#B8860B" />
             <Text style={styles.estimateWarning}>
-              Walking time is estimated (routing service unavailable)
+              Walking time is estimated ({routeResult.walkingError || 'routing service unavailable'})
             </Text>
           </View>
         )}
@@ -290,6 +500,30 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: Colors.primary,
   },
+  accessibilityBadge: {
+    backgroundColor: Colors.background,
+    borderRadius: Layout.borderRadius,
+    paddingVertical: Spacing.xs,
+    paddingHorizontal: Spacing.sm,
+    marginBottom: Spacing.md,
+  },
+  accessibilityBadgeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  accessibilityBadgeTitle: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 13,
+    fontWeight: '600',
+    color: Colors.primary,
+  },
+  accessibilityBadgeText: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
   routeHeader: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -306,6 +540,7 @@ const styles = StyleSheet.create({
     paddingHorizontal: Spacing.sm,
     paddingVertical: 4,
     borderRadius: 6,
+    marginRight: Spacing.xs,
   },
   routeBadgeText: {
     fontFamily: Typography.fontFamily,
@@ -408,6 +643,73 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     fontStyle: 'italic',
   },
+  optionsSection: {
+    marginTop: Spacing.md,
+  },
+  optionsTitle: {
+    fontFamily: Typography.fontFamily,
+    ...Typography.caption,
+    color: Colors.textSecondary,
+    textTransform: 'uppercase',
+    letterSpacing: 0.6,
+    marginBottom: Spacing.xs,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    paddingHorizontal: Spacing.sm,
+    borderRadius: Layout.borderRadius,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    marginBottom: Spacing.xs,
+  },
+  optionInfo: {
+    flex: 1,
+  },
+  optionBadges: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  optionBadge: {
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+  },
+  optionBadgeText: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    fontWeight: '700',
+    color: Colors.surface,
+  },
+  optionTag: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.success,
+  },
+  optionStop: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 13,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  optionTimes: {
+    alignItems: 'flex-end',
+    marginLeft: Spacing.sm,
+  },
+  optionTotal: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 15,
+    fontWeight: '700',
+    color: Colors.textPrimary,
+  },
+  optionEta: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    color: Colors.textSecondary,
+  },
   walkReasonText: {
     fontFamily: Typography.fontFamily,
     fontSize: 14,
@@ -9,13 +9,12 @@ import {
   TouchableWithoutFeedback,
   ScrollView,
   Keyboard,
-  ActivityIndicator,
   useWindowDimensions,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Colors, Spacing, Typography, Layout } from '../style/theme';
-import { formatTime } from '../BackEnd/busRouting';
 import Icon, { IconSizes } from './Icons';
+import RouteResultsCard from './RouteResultsCard';
 
 /* ---------------- helpers ---------------- */
 
@@ -171,24 +170,11 @@ function levenshteinDistance(str1, str2) {
 
 const DRAWER_PEEK_HEIGHT = 56;
 
-/* ---------------- TimeRow component ---------------- */
-
-function TimeRow({ iconName, label, time, delayed }) {
-  return (
-    <View style={styles.timeRow}>
-      <View style={styles.timeIconContainer}>
-        <Icon name={iconName} size={IconSizes.sm} color={Colors.textSecondary} />
-      </View>
-      <Text style={styles.timeLabel}>{label}</Text>
-      <View style={styles.timeValueContainer}>
-        <Text style={[styles.timeValue, delayed && styles.delayedText]}>
-          {time}
-        </Text>
-        {delayed && <Icon name="alert" size={IconSizes.xs} color={Colors.error} style={{ marginLeft: 4 }} />}
-      </View>
-    </View>
-  );
-}
+const PLANNING_MODES = [
+  { mode: 'now', label: 'Leave now' },
+  { mode: 'departAt', label: 'Depart at' },
+  { mode: 'arriveBy', label: 'Arrive by' },
+];
 
 /* ---------------- component ---------------- */
 
@@ -205,6 +191,9 @@ export default function SearchDrawer({
   destination = null,
   calculatingRoute = false,
   onStartTrip = () => {},
+  onSelectItinerary = () => {},
+  planningOptions = { mode: 'now', timeText: '', accessible: false },
+  onChangePlanningOptions = () => {},
 }) {
   const insets = useSafeAreaInsets();
   const { height: windowHeight } = useWindowDimensions();
@@ -465,6 +454,56 @@ export default function SearchDrawer({
           )}
         </View>
 
+        {/* WHEN SECTION - leave now, depart at, or arrive by */}
+        {destination && (
+          <View style={styles.section}>
+            <View style={styles.planningRow}>
+              {PLANNING_MODES.map(({ mode, label }) => {
+                const selected = planningOptions.mode === mode;
+                return (
+                  <TouchableOpacity
+                    key={mode}
+                    style={[styles.planningChip, selected && styles.planningChipSelected]}
+                    onPress={() => onChangePlanningOptions({ ...planningOptions, mode })}
+                  >
+                    <Text style={[styles.planningChipText, selected && styles.planningChipTextSelected]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            <TouchableOpacity
+              style={[styles.accessibleToggle, planningOptions.accessible && styles.planningChipSelected]}
+              onPress={() => onChangePlanningOptions({ ...planningOptions, accessible: !planningOptions.accessible })}
+              accessibilityRole="switch"
+              accessibilityState={{ checked: Boolean(planningOptions.accessible) }}
+            >
+              <Icon
+                name="accessible"
+                size={IconSizes.sm}
+                color={planningOptions.accessible ? Colors.surface : Colors.textSecondary}
+              />
+              <Text style={[styles.planningChipText, planningOptions.accessible && styles.planningChipTextSelected]}>
+                Step-free route
+              </Text>
+            </TouchableOpacity>
+            {planningOptions.mode !== 'now' && (
+              <View style={[styles.inputRow, styles.planningTimeRow]}>
+                <Icon name="time" size={IconSizes.md} color={Colors.primary} style={styles.inputIcon} />
+                <TextInput
+                  style={styles.input}
+                  placeholder={planningOptions.mode === 'arriveBy' ? 'Arrive by… (e.g. 9:10)' : 'Leave at… (e.g. 9:10)'}
+                  placeholderTextColor={Colors.textSecondary}
+                  value={planningOptions.timeText}
+                  onChangeText={(timeText) => onChangePlanningOptions({ ...planningOptions, timeText })}
+                  returnKeyType="done"
+                />
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Tap to dismiss search results */}
         {(showOriginResults || showDestResults) && (
           <TouchableWithoutFeedback onPress={dismissSearchResults}>
@@ -475,154 +514,12 @@ export default function SearchDrawer({
         {/* ROUTE RESULTS SECTION */}
         {(routeResult || calculatingRoute) && (
           <View style={styles.resultsSection}>
-            {calculatingRoute ? (
-              <View style={styles.loadingContainer}>
-                <ActivityIndicator size="large" color={Colors.primary} />
-                <Text style={styles.loadingText}>Calculating best route...</Text>
-              </View>
-            ) : routeResult?.recommendation === 'bus' ? (
-              <View style={styles.routeContainer}>
-                <View style={styles.routeTitleRow}>
-                  <Icon name="bus" size={IconSizes.md} color={Colors.primary} />
-                  <Text style={styles.routeTitle}>Best Route</Text>
-                </View>
-
-                {routeResult.route && (
-                  <View style={styles.routeHeader}>
-                    <Text style={styles.busNumber}>
-                      Bus #{routeResult.segments[1]?.bus?.id || 'Unknown'}
-                    </Text>
-                    <Text
-                      style={[
-                        styles.routeBadge,
-                        { backgroundColor: routeResult.route.color || Colors.primary }
-                      ]}
-                    >
-                      Route {routeResult.route.id || 'Unknown'}
-                    </Text>
-                  </View>
-                )}
-
-                <View style={styles.routeStops}>
-                  <View style={styles.stopRow}>
-                    <Icon name="stop" size={IconSizes.sm} color={Colors.textPrimary} />
-                    <Text style={styles.stopText}>Board at: {routeResult.segments[0]?.to?.name || 'Unknown stop'}</Text>
-                  </View>
-                  <Icon name="arrow-down" size={IconSizes.md} color={Colors.textSecondary} style={styles.arrowIcon} />
-                  <View style={styles.stopRow}>
-                    <Icon name="checkmark" size={IconSizes.sm} color={Colors.primary} />
-                    <Text style={styles.stopText}>Get off at: {routeResult.segments[2]?.toStop?.name || 'Unknown stop'}</Text>
-                  </View>
-                </View>
-
-                <View style={styles.timeBreakdown}>
-                  <TimeRow
-                    iconName="walk"
-                    label="Walk to bus stop"
-                    time={formatTime(routeResult.segments[0]?.duration || 0)}
-                  />
-                  <TimeRow
-                    iconName="time"
-                    label="Wait for bus"
-                    time={formatTime(routeResult.segments[1]?.duration || 0)}
-                    delayed={routeResult.segments[1]?.duration > 15}
-                  />
-                  <TimeRow
-                    iconName="bus"
-                    label="Bus ride"
-                    time={formatTime(routeResult.segments[2]?.duration || 0)}
-                  />
-                  <TimeRow
-                    iconName="walk"
-                    label="Walk to destination"
-                    time={formatTime(routeResult.segments[3]?.duration || 0)}
-                  />
-                </View>
-
-                <View style={styles.totalTime}>
-                  <Text style={styles.totalLabel}>Total Trip Time</Text>
-                  <Text style={styles.totalValue}>{formatTime(routeResult.totalTime)}</Text>
-
-                  <Text style={styles.totalLabel}>ETA</Text>
-                  <Text style={styles.totalValue}>{routeResult.eta}</Text>
-                </View>
-
-                {routeResult.directWalkTime && (
-                  <View style={styles.walkComparisonRow}>
-                    <Icon name="walk" size={IconSizes.sm} color={Colors.textSecondary} />
-                    <Text style={styles.walkComparison}>
-                      Walking directly: {formatTime(routeResult.directWalkTime)}
-                    </Text>
-                  </View>
-                )}
-
-                <TouchableOpacity style={styles.startTripButton} onPress={onStartTrip}>
-                  <Icon name="navigate" size={IconSizes.md} color={Colors.surface} />
-                  <Text style={styles.startTripButtonText}>Start Trip</Text>
-                </TouchableOpacity>
-              </View>
-            ) : routeResult?.recommendation === 'walk' ? (
-              <View style={styles.routeContainer}>
-                <View style={styles.routeTitleRow}>
-                  <Icon name="walk" size={IconSizes.md} color={Colors.primary} />
-                  <Text style={styles.routeTitle}>Walking Recommended</Text>
-                </View>
-
-                {routeResult.error && (
-                  <Text style={styles.walkReasonText}>
-                    {routeResult.error}
-                  </Text>
-                )}
-
-                <View style={styles.timeBreakdown}>
-                  <TimeRow
-                    iconName="walk"
-                    label="Walk to destination"
-                    time={formatTime(routeResult.totalTime || routeResult.segments?.[0]?.duration || routeResult.directWalkTime)}
-                  />
-                  {routeResult.segments?.[0]?.distance && (
-                    <TimeRow
-                      iconName="navigate"
-                      label="Distance"
-                      time={formatDistance(routeResult.segments[0].distance)}
-                    />
-                  )}
-                </View>
-
-                <View style={styles.totalTime}>
-                  <Text style={styles.totalLabel}>Total Trip Time</Text>
-                  <Text style={styles.totalValue}>{formatTime(routeResult.totalTime || routeResult.directWalkTime || 0)}</Text>
-
-                  <Text style={styles.totalLabel}>ETA</Text>
-                  <Text style={styles.totalValue}>{routeResult.eta || '--:--'}</Text>
-                </View>
-
-                {routeResult.isEstimate && (
-                  <View style={styles.estimateWarningRow}>
-                    <Icon name="alert" size={IconSizes.sm} color="#B8860B" />
-                    <Text style={styles.estimateWarning}>
-                      Walking time is estimated (routing service unavailable)
-                    </Text>
-                  </View>
-                )}
-
-                <TouchableOpacity style={styles.startTripButton} onPress={onStartTrip}>
-                  <Icon name="navigate" size={IconSizes.md} color={Colors.surface} />
-                  <Text style={styles.startTripButtonText}>Start Trip</Text>
-                </TouchableOpacity>
-              </View>
-            ) : routeResult?.error ? (
-              <View style={styles.errorContainer}>
-                <View style={styles.errorTitleRow}>
-                  <Icon name="alert" size={IconSizes.md} color={Colors.error} />
-                  <Text style={styles.errorTitle}>Route Error</Text>
-                </View>
-                <Text style={styles.errorText}>{routeResult.error}</Text>
-                {routeResult.errorDetails && (
-                  <Text style={styles.errorText}>Details: {routeResult.errorDetails}</Text>
-                )}
-              </View>
-            ) : null}
+            <RouteResultsCard
+              routeResult={routeResult}
+              calculatingRoute={calculatingRoute}
+              onStartTrip={onStartTrip}
+              onSelectItinerary={onSelectItinerary}
+            />
           </View>
         )}
       </ScrollView>
@@ -738,213 +635,54 @@ const styles = StyleSheet.create({
     color: Colors.textSecondary,
     marginTop: 2,
   },
-  tapDismissArea: {
-    height: 200,
-    marginHorizontal: Spacing.md,
-  },
-  resultsSection: {
-    marginHorizontal: Spacing.md,
-    marginTop: Spacing.lg,
-    marginBottom: Spacing.xl,
-  },
-  loadingContainer: {
-    alignItems: 'center',
-    paddingVertical: Spacing.xl,
-  },
-  loadingText: {
-    marginTop: Spacing.md,
-    fontFamily: Typography.fontFamily,
-    ...Typography.body,
-    color: Colors.textSecondary,
-  },
-  errorContainer: {
-    backgroundColor: '#FFE5E5',
-    padding: Spacing.md,
-    borderRadius: Layout.borderRadius,
-    borderWidth: 1,
-    borderColor: '#FFCCCC',
-  },
-  errorTitleRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    gap: Spacing.sm,
-    marginBottom: Spacing.xs,
-  },
-  errorTitle: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 18,
-    fontWeight: '600',
-    color: Colors.error,
-  },
-  errorText: {
-    fontFamily: Typography.fontFamily,
-    ...Typography.body,
-    color: Colors.error,
-  },
-  routeContainer: {
-    backgroundColor: Colors.surface,
-    borderRadius: Layout.borderRadius,
-    borderWidth: 1,
-    borderColor: Colors.border,
-    padding: Spacing.md,
-    ...Layout.shadow,
-  },
-  routeTitleRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: Spacing.md,
-    gap: Spacing.sm,
-  },
-  routeTitle: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 20,
-    fontWeight: '700',
-    color: Colors.primary,
-  },
-  routeHeader: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    marginBottom: Spacing.md,
-  },
-  busNumber: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 18,
-    fontWeight: '600',
-    color: Colors.textPrimary,
-    marginRight: Spacing.sm,
-  },
-  routeBadge: {
-    paddingHorizontal: Spacing.sm,
-    paddingVertical: 4,
-    borderRadius: 6,
-    fontFamily: Typography.fontFamily,
-    fontSize: 14,
-    fontWeight: '700',
-    color: Colors.surface,
-  },
-  routeStops: {
-    backgroundColor: Colors.background,
-    padding: Spacing.md,
-    borderRadius: Layout.borderRadius,
-    marginBottom: Spacing.md,
-  },
-  stopRow: {
+  planningRow: {
     flexDirection: 'row',
-    alignItems: 'center',
     gap: Spacing.sm,
   },
-  stopText: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 15,
-    color: Colors.textPrimary,
+  planningChip: {
     flex: 1,
-  },
-  arrowIcon: {
-    alignSelf: 'center',
-    marginVertical: Spacing.xs,
-  },
-  timeBreakdown: {
-    marginVertical: Spacing.md,
-  },
-  timeRow: {
-    flexDirection: 'row',
     alignItems: 'center',
     paddingVertical: Spacing.sm,
-    borderBottomWidth: 1,
-    borderBottomColor: Colors.border,
-  },
-  timeIconContainer: {
-    width: 28,
-    alignItems: 'center',
-    marginRight: Spacing.sm,
-  },
-  timeValueContainer: {
-    flexDirection: 'row',
-    alignItems: 'center',
-  },
-  timeLabel: {
-    flex: 1,
-    fontFamily: Typography.fontFamily,
-    fontSize: 14,
-    color: Colors.textSecondary,
-  },
-  timeValue: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 14,
-    fontWeight: '600',
-    color: Colors.textPrimary,
-  },
-  delayedText: {
-    color: Colors.error,
+    borderRadius: Layout.borderRadius,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    backgroundColor: Colors.surface,
   },
-  totalTime: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    alignItems: 'center',
+  planningChipSelected: {
     backgroundColor: Colors.primary,
-    padding: Spacing.md,
-    borderRadius: Layout.borderRadius,
-    marginTop: Spacing.md,
+    borderColor: Colors.primary,
   },
-  totalLabel: {
+  planningChipText: {
     fontFamily: Typography.fontFamily,
-    fontSize: 16,
+    fontSize: 14,
     fontWeight: '600',
-    color: Colors.surface,
+    color: Colors.textSecondary,
   },
-  totalValue: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 20,
-    fontWeight: '700',
+  planningChipTextSelected: {
     color: Colors.surface,
   },
-  walkComparisonRow: {
+  accessibleToggle: {
     flexDirection: 'row',
     alignItems: 'center',
     justifyContent: 'center',
-    marginTop: Spacing.md,
     gap: Spacing.xs,
+    marginTop: Spacing.sm,
+    paddingVertical: Spacing.sm,
+    borderRadius: Layout.borderRadius,
+    borderWidth: 1,
+    borderColor: Colors.border,
+    backgroundColor: Colors.surface,
   },
-  walkComparison: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 13,
-    color: Colors.textSecondary,
-    fontStyle: 'italic',
-  },
-  walkReasonText: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 14,
-    color: Colors.textSecondary,
-    marginBottom: Spacing.md,
-    fontStyle: 'italic',
-  },
-  estimateWarningRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'center',
-    marginTop: Spacing.md,
-    gap: Spacing.xs,
+  planningTimeRow: {
+    marginTop: Spacing.sm,
   },
-  estimateWarning: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 12,
-    color: '#B8860B',
-    fontStyle: 'italic',
+  tapDismissArea: {
+    height: 200,
+    marginHorizontal: Spacing.md,
   },
-  startTripButton: {
-    backgroundColor: '#444444',
-    flexDirection: 'row',
-    alignItems: 'center',
-    justifyContent: 'center',
-    paddingVertical: Spacing.lg,
-    borderRadius: Layout.borderRadius,
+  resultsSection: {
+    marginHorizontal: Spacing.md,
     marginTop: Spacing.lg,
-    gap: Spacing.sm,
-  },
-  startTripButtonText: {
-    fontFamily: Typography.fontFamily,
-    fontSize: 18,
-    fontWeight: '700',
-    color: Colors.surface,
+    marginBottom: Spacing.xl,
   },
 });
\ No newline at end of file
@@ -0,0 +1,80 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Colors, Spacing, Typography, Layout } from '../style/theme';
+import Icon, { IconSizes } from './Icons';
+
+const SEVERITY_COLORS = {
+  severe: Colors.error,
+  warning: '#B8860B',
+  info: Colors.textSecondary,
+};
+
+const SEVERITY_ICONS = {
+  severe: 'alert',
+  warning: 'warning',
+  info: 'information',
+};
+
+/**
+ * ServiceAlertList - Active service alerts (detours, closed stops) for a trip
+ * Used by RouteResultsCard and TripProgressView
+ *
+ * @param {Array} alerts - Normalized alerts from aggregateRouteInfo (see serviceAlerts.js)
+ * @param {boolean} compact - Titles only, for tight spaces
+ */
+export default function ServiceAlertList({ alerts, compact = false }) {
+  if (!alerts || alerts.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      {alerts.map((alert) => {
+        const color = SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info;
+        return (
+          <View key={alert.id} style={[styles.alert, { borderLeftColor: color }]}>
+            <View style={styles.titleRow}>
+              <Icon name={SEVERITY_ICONS[alert.severity] || 'information'} size={IconSizes.sm} color={color} />
+              <Text style={[styles.title, { color }]} numberOfLines={compact ? 1 : 2}>
+                {alert.routeIds?.length > 0 ? `${alert.routeIds.join(', ')}: ` : ''}{alert.title}
+              </Text>
+            </View>
+            {!compact && alert.description && (
+              <Text style={styles.description} numberOfLines={3}>{alert.description}</Text>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: Spacing.md,
+    gap: Spacing.xs,
+  },
+  alert: {
+    backgroundColor: Colors.background,
+    borderLeftWidth: 3,
+    borderRadius: Layout.borderRadius,
+    paddingVertical: Spacing.xs,
+    paddingHorizontal: Spacing.sm,
+  },
+  titleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+  },
+  title: {
+    flex: 1,
+    fontFamily: Typography.fontFamily,
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  description: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+    marginLeft: IconSizes.sm + Spacing.xs,
+  },
+});
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Modal,
+  Pressable,
+} from 'react-native';
+import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { Colors, Spacing, Typography, Layout } from '../style/theme';
+import Icon, { IconSizes } from './Icons';
+import { getStopArrivals, getRoutesServingStop } from '../BackEnd/stopArrivals';
+
+// Recount "minutes away" this often, between vehicle polls too
+const BOARD_TICK_MS = 15000;
+
+/**
+ * "Due", "1 min", "12 min"
+ */
+function formatMinutesAway(minutes) {
+  if (minutes < 1) return 'Due';
+  return `${Math.floor(minutes)} min`;
+}
+
+/**
+ * StopArrivalsBoard - Live departures for one stop, shown when a stop marker is tapped
+ *
+ * @param {Object} stop - { id, name } of the tapped stop, or null to hide the board
+ * @param {Object} routes - Routes keyed by ID (refreshed by the vehicle poll)
+ * @param {Function} onClose
+ */
+export default function StopArrivalsBoard({ stop, routes, onClose }) {
+  const insets = useSafeAreaInsets();
+  const [now, setNow] = useState(new Date());
+
+  useEffect(() => {
+    if (!stop) return undefined;
+    setNow(new Date());
+    const interval = setInterval(() => setNow(new Date()), BOARD_TICK_MS);
+    return () => clearInterval(interval);
+  }, [stop, routes]);
+
+  if (!stop) return null;
+
+  const arrivals = getStopArrivals(routes, stop.id, { now });
+  const servingRoutes = getRoutesServingStop(routes, stop.id);
+
+  return (
+    <Modal visible transparent animationType="fade" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <Pressable style={styles.backdrop} onPress={onClose} />
+        <View style={[styles.sheet, { paddingBottom: insets.bottom + Spacing.md }]}>
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={styles.headerLeft}>
+              <Icon name="stop" size={IconSizes.lg} color={Colors.primary} />
+              <View style={styles.headerText}>
+                <Text style={styles.headerTitle} numberOfLines={2}>{stop.name || 'Bus Stop'}</Text>
+                {servingRoutes.length > 0 && (
+                  <View style={styles.routeChips}>
+                    {servingRoutes.map((route) => (
+                      <View
+                        key={route.id}
+                        style={[styles.routeChip, { backgroundColor: route.color || Colors.busRouteColors?.[route.id] || Colors.secondary }]}
+                      >
+                        <Text style={styles.routeChipText}>{route.id}</Text>
+                      </View>
+                    ))}
+                  </View>
+                )}
+              </View>
+            </View>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Icon name="close" size={IconSizes.md} color={Colors.textSecondary} />
+            </TouchableOpacity>
+          </View>
+
+          {/* Departures */}
+          <ScrollView style={styles.list} contentContainerStyle={{ paddingBottom: Spacing.md }}>
+            {arrivals.length === 0 ? (
+              <Text style={styles.emptyText}>No buses predicted at this stop right now</Text>
+            ) : (
+              arrivals.map((arrival, index) => {
+                const color = arrival.routeColor || Colors.busRouteColors?.[arrival.routeId] || Colors.secondary;
+                return (
+                  <View key={`${arrival.vehicleId}-${index}`} style={styles.arrivalRow}>
+                    <View style={[styles.routeBadge, { backgroundColor: color }]}>
+                      <Icon name="bus" size={IconSizes.sm} color="white" />
+                      <Text style={styles.routeBadgeText}>{arrival.routeId}</Text>
+                    </View>
+                    <View style={styles.arrivalInfo}>
+                      <Text style={styles.destination} numberOfLines={1}>
+                        {arrival.destination ? `To ${arrival.destination}` : arrival.routeName}
+                      </Text>
+                      <Text style={styles.vehicleText}>Bus {arrival.vehicleId}</Text>
+                    </View>
+                    <View style={styles.timeContainer}>
+                      <Text style={[styles.minutesAway, arrival.isDelayed && styles.delayedText]}>
+                        {arrival.isEstimate ? '~' : ''}{formatMinutesAway(arrival.minutesAway)}
+                      </Text>
+                      {arrival.isDelayed && <Text style={styles.delayedLabel}>Delayed</Text>}
+                    </View>
+                  </View>
+                );
+              })
+            )}
+            {arrivals.some((arrival) => arrival.isEstimate) && (
+              <View style={styles.warningRow}>
+                <Icon name="offline" size={IconSizes.sm} color="#B8860B" />
+                <Text style={styles.estimateWarning}>Bus data is out of date, so times marked ~ are estimates</Text>
+              </View>
+            )}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+  },
+  backdrop: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+  },
+  sheet: {
+    backgroundColor: Colors.surface,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: '60%',
+    ...Layout.shadow,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: Spacing.md,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.border,
+  },
+  headerLeft: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  headerText: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 18,
+    fontWeight: '700',
+    color: Colors.textPrimary,
+  },
+  routeChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: Spacing.xs,
+    marginTop: Spacing.xs,
+  },
+  routeChip: {
+    borderRadius: 4,
+    paddingHorizontal: 6,
+    paddingVertical: 1,
+  },
+  routeChipText: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 11,
+    fontWeight: '700',
+    color: 'white',
+  },
+  closeButton: {
+    padding: Spacing.sm,
+    borderRadius: 20,
+    backgroundColor: Colors.background,
+  },
+  list: {
+    paddingHorizontal: Spacing.md,
+    paddingTop: Spacing.sm,
+  },
+  emptyText: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 14,
+    color: Colors.textSecondary,
+    textAlign: 'center',
+    paddingVertical: Spacing.lg,
+  },
+  arrivalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.border,
+    gap: Spacing.md,
+  },
+  routeBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    borderRadius: 6,
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: 4,
+    minWidth: 64,
+  },
+  routeBadgeText: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 13,
+    fontWeight: '700',
+    color: 'white',
+  },
+  arrivalInfo: {
+    flex: 1,
+  },
+  destination: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 15,
+    fontWeight: '500',
+    color: Colors.textPrimary,
+  },
+  vehicleText: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    color: Colors.textSecondary,
+    marginTop: 2,
+  },
+  timeContainer: {
+    alignItems: 'flex-end',
+  },
+  minutesAway: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 17,
+    fontWeight: '700',
+    color: Colors.textPrimary,
+  },
+  delayedText: {
+    color: Colors.error,
+  },
+  delayedLabel: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 11,
+    color: Colors.error,
+  },
+  warningRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: Spacing.md,
+    gap: Spacing.xs,
+  },
+  estimateWarning: {
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    color: '#B8860B',
+    fontStyle: 'italic',
+  },
+});
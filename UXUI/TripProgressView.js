@@ -14,6 +14,7 @@ import { GestureHandlerRootView } from 'react-native-gesture-handler';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 import { Colors, Spacing, Typography, Layout } from '../style/theme';
 import Icon, { IconSizes } from './Icons';
+import ServiceAlertList from './ServiceAlertList';
 import { formatTime } from '../BackEnd/busRouting';
 
 /* ---------------- constants ---------------- */
@@ -204,16 +205,15 @@ function getSegmentIcon(type, routeColor) {
 /**
  * Get label for segment type
  */
-function getSegmentLabel(segment, index) {
+function getSegmentLabel(segment, index, segmentCount) {
   switch (segment.type) {
     case 'walk':
-      if (index === 0) {
-        return `Walk to ${segment.to?.name || 'bus stop'}`;
-      } else {
-        return 'Walk to destination';
+      if (index === segmentCount - 1) {
+        return segment.to?.entrance?.name ? `Walk to ${segment.to.entrance.name}` : 'Walk to destination';
       }
+      return `Walk to ${segment.to?.name || 'bus stop'}`;
     case 'wait':
-      return `Wait for bus`;
+      return segment.route?.id ? `Wait for ${segment.route.id} bus` : `Wait for bus`;
     case 'ride':
       return `Ride ${segment.stopsBetween || 0} stop${segment.stopsBetween !== 1 ? 's' : ''}`;
     default:
@@ -232,8 +232,9 @@ function getCurrentInstruction(segment, routeResult) {
       }
       return `Walk to ${segment.to?.name || 'your destination'}`;
     case 'wait':
-      const busId = segment.bus?.id || routeResult?.route?.id;
-      return `Board the ${routeResult?.route?.id || ''} bus (Bus #${busId})`;
+      const routeId = segment.route?.id || routeResult?.route?.id || '';
+      const busId = segment.bus?.id || routeId;
+      return `Board the ${routeId} bus (Bus #${busId})`;
     case 'ride':
       return `Get off at ${segment.toStop?.name || 'your stop'}`;
     default:
@@ -244,14 +245,15 @@ function getCurrentInstruction(segment, routeResult) {
 /**
  * SegmentRow - displays a single step in the trip
  */
-function SegmentRow({ segment, index, currentIndex, routeColor, isLast }) {
+function SegmentRow({ segment, index, currentIndex, routeColor, segmentCount }) {
   const isCompleted = index < currentIndex;
   const isCurrent = index === currentIndex;
   const isPending = index > currentIndex;
+  const isLast = index === segmentCount - 1;
 
-  const { icon, color } = getSegmentIcon(segment.type, routeColor);
-  const label = getSegmentLabel(segment, index);
-  const duration = segment.duration ? formatTime(segment.duration) : '--';
+  const { icon, color } = getSegmentIcon(segment.type, segment.route?.color || routeColor);
+  const label = getSegmentLabel(segment, index, segmentCount);
+  const duration = segment.duration ? `${segment.isEstimate ? '~' : ''}${formatTime(segment.duration)}` : '--';
 
   // Pulsing animation for current step
   const pulseAnim = useRef(new Animated.Value(1)).current;
@@ -382,6 +384,7 @@ export default function TripProgressView({
 
   const currentSegment = routeResult.segments[currentSegmentIndex];
   const routeColor = routeResult.route?.color || Colors.primary;
+  const currentRouteColor = currentSegment?.route?.color || routeColor;
 
   // Calculate remaining time
   const remainingSegments = routeResult.segments.slice(activeTrip.currentSegmentIndex);
@@ -444,6 +447,9 @@ export default function TripProgressView({
         nestedScrollEnabled={true}
         scrollEventThrottle={16}
       >
+        {/* Detours and closures on this trip */}
+        <ServiceAlertList alerts={routeResult.alerts} compact />
+
         {/* Step list */}
         <View style={styles.stepList}>
           {routeResult.segments.map((segment, index) => (
@@ -453,7 +459,7 @@ export default function TripProgressView({
               index={index}
               currentIndex={activeTrip.currentSegmentIndex}
               routeColor={routeColor}
-              isLast={index === routeResult.segments.length - 1}
+              segmentCount={routeResult.segments.length}
             />
           ))}
         </View>
@@ -463,9 +469,9 @@ export default function TripProgressView({
           <Text style={styles.currentStepTitle}>Current Step</Text>
           <View style={styles.currentStepContent}>
             <Icon
-              name={getSegmentIcon(currentSegment?.type, routeColor).icon}
+              name={getSegmentIcon(currentSegment?.type, currentRouteColor).icon}
               size={IconSizes.xl}
-              color={routeColor}
+              color={currentRouteColor}
             />
             <Text style={styles.currentStepInstruction}>
               {getCurrentInstruction(currentSegment, routeResult)}
@@ -482,6 +488,16 @@ export default function TripProgressView({
             </View>
           )}
 
+          {/* No directions for this walk: it was estimated as a straight line */}
+          {currentSegment?.type === 'walk' && currentSegment?.isEstimate && (
+            <View style={styles.estimateNote}>
+              <Icon name="warning" size={IconSizes.sm} color="#B8860B" />
+              <Text style={styles.estimateNoteText}>
+                Walking directions unavailable, so the line and time are straight-line estimates
+              </Text>
+            </View>
+          )}
+
           {/* Walking steps for walk segment */}
           {currentSegment?.type === 'walk' && currentSegment?.steps?.length > 0 && (
             <View style={styles.walkingSteps}>
@@ -714,6 +730,19 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: Colors.primary,
   },
+  estimateNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: Spacing.sm,
+    gap: Spacing.xs,
+  },
+  estimateNoteText: {
+    flex: 1,
+    fontFamily: Typography.fontFamily,
+    fontSize: 12,
+    color: '#B8860B',
+    fontStyle: 'italic',
+  },
   walkingSteps: {
     marginTop: Spacing.md,
     paddingTop: Spacing.md,
@@ -49,6 +49,20 @@ module.exports = {
         projectId: "ab7bd5a5-f80a-4ec7-b075-01d3b1d13932"
       },
       openRouteServiceApiKey: process.env.OPENROUTESERVICE_API_KEY,
+      // Walking router: "ors" (default), "osrm", "valhalla" or "straight-line" (offline)
+      walkingDirections: {
+        provider: process.env.WALKING_DIRECTIONS_PROVIDER || "ors",
+        url: process.env.WALKING_DIRECTIONS_URL,
+      },
+      // GTFS feed merged with CABS: its schedule covers times past the live
+      // predictions and routes CABS doesn't run. Off unless GTFS_STATIC_URL is set
+      gtfs: {
+        zipUrl: process.env.GTFS_STATIC_URL,
+        vehiclePositionsUrl: process.env.GTFS_VEHICLE_POSITIONS_URL,
+        tripUpdatesUrl: process.env.GTFS_TRIP_UPDATES_URL,
+        alertsUrl: process.env.GTFS_ALERTS_URL,
+        idPrefix: process.env.GTFS_ID_PREFIX || "",
+      },
     },
     owner: "gosu-team"
   }
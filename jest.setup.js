@@ -0,0 +1,6 @@
+// Runs before every test file (see "jest" in package.json)
+
+// AsyncStorage is native; its package ships an in-memory stand-in for tests
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
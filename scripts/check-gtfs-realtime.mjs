@@ -0,0 +1,127 @@
+// check-gtfs-realtime.mjs - Runs the hand-written GTFS-Realtime decoder over fixture feeds
+//
+//   npm run check:gtfs-realtime
+//
+// The .pb files in fixtures/gtfs-realtime/ were written with the official
+// gtfs-realtime-bindings encoder, header timestamp 1760000000:
+//
+//   vehicle-positions.pb - bus 1201 on trip T100 (route 2) with position, bearing,
+//                          speed and an occupancy field the decoder skips, plus a
+//                          deleted entity
+//   trip-updates.pb      - T100's stop times: one already passed, one skipped, one
+//                          3 minutes late, one departure-only, and a negative delay
+//   alerts.pb            - a route 2 detour closing stop HIGH-13, headline in
+//                          Spanish and English
+//
+// Exits non-zero on the first check that fails.
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { register } from 'node:module';
+
+// Metro imports Data/*.json bare; Node wants `with { type: 'json' }`, so add it here
+register(`data:text/javascript,${encodeURIComponent(`
+  export async function load(url, context, nextLoad) {
+    if (url.endsWith('.json')) return nextLoad(url, { ...context, importAttributes: { type: 'json' } });
+    return nextLoad(url, context);
+  }
+`)}`);
+
+const { decodeFeedMessage, feedsToVehicles, feedsToAlerts, fetchGtfsRealtimeFeed } =
+  await import('../BackEnd/gtfsRealtime.js');
+
+const FEED_TIME = 1760000000;
+const fixture = (name) => readFileSync(new URL(`./fixtures/gtfs-realtime/${name}`, import.meta.url));
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+check('decodes the feed header', () => {
+  const feed = decodeFeedMessage(fixture('vehicle-positions.pb'));
+  assert.equal(feed.header.gtfsRealtimeVersion, '2.0');
+  assert.equal(feed.header.timestamp, FEED_TIME);
+  assert.equal(feed.entity.length, 2);
+});
+
+check('reads vehicle positions and trip updates into one vehicle', () => {
+  const feeds = ['vehicle-positions.pb', 'trip-updates.pb'].map((name) => decodeFeedMessage(fixture(name)));
+  const vehicles = feedsToVehicles(feeds, { now: new Date(FEED_TIME * 1000) });
+
+  assert.equal(vehicles.length, 1, 'the deleted entity is dropped');
+  const [bus] = vehicles;
+  assert.equal(bus.id, '1201');
+  assert.equal(bus.tripId, 'T100');
+  assert.equal(bus.routeCode, '2');
+  // Positions are float32 on the wire
+  assert.ok(Math.abs(bus.latitude - 39.99765) < 1e-5);
+  assert.ok(Math.abs(bus.longitude - -83.00864) < 1e-5);
+  assert.equal(bus.heading, 185);
+  assert.equal(bus.speed, 8.5);
+  assert.equal(bus.lastUpdated.getTime(), 1759999990 * 1000);
+
+  assert.deepEqual(bus.predictions, [
+    { stopId: 'HIGH-11', timeToArrivalInSeconds: 60, isDelayed: false },
+    { stopId: 'HIGH-15', timeToArrivalInSeconds: 300, isDelayed: true },
+    { stopId: 'HIGH-17', timeToArrivalInSeconds: 420, isDelayed: false },
+  ]);
+  assert.equal(bus.nextStop, 'HIGH-11');
+});
+
+check('decodes negative delays', () => {
+  const feed = decodeFeedMessage(fixture('trip-updates.pb'));
+  const { tripUpdate } = feed.entity[0];
+  assert.equal(tripUpdate.delay, -45);
+  assert.equal(tripUpdate.stopTimeUpdate[1].arrival.delay, -45);
+});
+
+check('reads service alerts', () => {
+  const alerts = feedsToAlerts([decodeFeedMessage(fixture('alerts.pb'))], { idPrefix: 'COTA-' });
+  assert.equal(alerts.length, 1);
+  const [alert] = alerts;
+  assert.equal(alert.id, 'a1');
+  assert.equal(alert.title, 'High St detour');
+  assert.equal(alert.description, 'Buses skip the 13th Ave stop until tomorrow.');
+  assert.equal(alert.effect, 'detour');
+  assert.deepEqual(alert.routeIds, ['COTA-2']);
+  assert.deepEqual(alert.stopIds, ['HIGH-13']);
+  assert.equal(alert.activePeriods[0].start.getTime(), 1759996800 * 1000);
+  assert.equal(alert.activePeriods[0].end.getTime(), 1760083200 * 1000);
+});
+
+check('rejects a truncated feed', () => {
+  const bytes = fixture('trip-updates.pb');
+  assert.throws(() => decodeFeedMessage(bytes.subarray(0, bytes.length - 5)), /Truncated/);
+});
+
+check('fetches through the HTTP client', async () => {
+  const bytes = fixture('alerts.pb');
+  const realFetch = globalThis.fetch;
+  const realWarn = console.warn;
+  console.warn = () => {};
+  try {
+    globalThis.fetch = async () => new Response(bytes);
+    const feed = await fetchGtfsRealtimeFeed('https://example.test/alerts.pb');
+    assert.equal(feed.entity[0].id, 'a1');
+
+    globalThis.fetch = async () => new Response('not found', { status: 404 });
+    assert.equal(await fetchGtfsRealtimeFeed('https://example.test/missing.pb'), null);
+
+    globalThis.fetch = async () => new Response(bytes.subarray(0, bytes.length - 5));
+    assert.equal(await fetchGtfsRealtimeFeed('https://example.test/truncated.pb'), null);
+  } finally {
+    globalThis.fetch = realFetch;
+    console.warn = realWarn;
+  }
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    await fn();
+    console.log(`ok - ${name}`);
+  } catch (err) {
+    failed += 1;
+    console.log(`not ok - ${name}\n  ${err.message.split('\n').join('\n  ')}`);
+  }
+}
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,12 @@
+
+
+2.0
+a1*
+ם*2*	*HIGH-130
+8R0
+
+Desvío en High Stes
+
+High St detourenZ4
+2
+,Buses skip the 13th Ave stop until tomorrow.en
\ No newline at end of file
@@ -0,0 +1,8 @@
+
+
+2.0
+tu1
+	
+T100*2"HIGH-9"HIGH-11"HIGH-13(	"HIGH-15
+"HIGH-17
+1201(
\ No newline at end of file